@@ -6,18 +6,85 @@ const bodyParser = require("body-parser");
 const morgan = require("morgan");
 const helmet = require("helmet");
 const session = require("express-session");
+const MongoStore = require("connect-mongo");
 const fs = require("fs");
-const { body, validationResult } = require("express-validator");
+const { validationResult } = require("express-validator");
 const User = require("./models/User");
-const json2csv = require("json2csv").parse;
+const Form = require("./models/Form");
+const Draft = require("./models/Draft");
+const { ensureAdmin, requireRole } = require("./middleware/auth");
+const { csrfProtection } = require("./middleware/csrf");
+const { acceptUploads } = require("./middleware/uploads");
+const { loadDefaultForm, loadFormBySlug, selectForm, loadSubmissionForm } = require("./middleware/forms");
+const formsRouter = require("./routes/forms");
+const importRouter = require("./routes/import");
+const authRouter = require("./routes/auth");
+const { prepareFirstOwner } = require("./services/adminSetup");
+const adminsRouter = require("./routes/admins");
+const sessionsRouter = require("./routes/sessions");
+const {
+  CORE_FIELDS,
+  DEFAULT_FIELDS,
+  validateSubmission,
+  pickSubmission,
+  toUpdate,
+  formValues,
+  submittedValues,
+  formSteps,
+  evaluateRules,
+  inputAttributes,
+  choiceOptions,
+} = require("./services/formSchema");
+const { AGE_BOUNDARIES, ageBracketLabel, buildSubmissionFilter, pickFilterParams } = require("./services/submissionFilters");
+const { keysetPage, cappedCount } = require("./services/pagination");
+const { applySavedFilter } = require("./middleware/savedFilters");
+const SavedFilter = require("./models/SavedFilter");
+const savedFiltersRouter = require("./routes/savedFilters");
+const { EXPORT_FORMATS, pickColumns, streamExport } = require("./services/exporter");
+const { SESSION_COLLECTION } = require("./services/sessions");
+const { recordAudit } = require("./services/audit");
+const { sendApiError, validationDetails, sendWriteError } = require("./services/apiErrors");
+const { openApiDocument } = require("./services/openapi");
+const { resumeLink, sendResumeLink } = require("./services/drafts");
+const { verifyEmail, validationStatusFor, startEmailRevalidation } = require("./services/emailVerification");
+const { optInEnabled, sendConfirmation, confirmSubmission, startOptInExpiry } = require("./services/optIn");
+const { GRANULARITIES, STATS_PARAMS } = require("./services/dashboardStats");
+const { alertNewSubmission, alertValidationFailed, registerDigestJobs } = require("./services/notifications");
+const { startScheduler } = require("./services/scheduler");
+const { emitSubmissionEvent, secureStoredDeliveries, startWebhookWorker } = require("./services/webhooks");
+const webhooksRouter = require("./routes/webhooks");
+const notificationsRouter = require("./routes/notifications");
+const apiKeysRouter = require("./routes/apiKeys");
+const { trashSubmission, trashFormSubmissions, startTrashRetention } = require("./services/trash");
+const auditRouter = require("./routes/audit");
+const statsRouter = require("./routes/stats");
+const trashRouter = require("./routes/trash");
+const duplicatesRouter = require("./routes/duplicates");
+const { registerDuplicateScan } = require("./services/duplicates");
+const { saveWithAttachments, attachmentsByField, attachmentUrl } = require("./services/attachments");
+const attachmentsRouter = require("./routes/attachments");
+const { geoClientData } = require("./services/geo");
+const { normalizeLegacyGeo } = require("./services/geoMigration");
+const { encryptedFields, isEncrypted, matchValue, revealStored, checkEncryptionKeys } = require("./services/fieldEncryption");
+const { applyEncryptionSettings } = require("./services/encryptionMigration");
+const { seesMaskedData, maskSubmission, submissionsFor } = require("./services/masking");
+const { scrubConsole, scrubUrl } = require("./services/logScrubbing");
+const encryptionRouter = require("./routes/encryption");
 const rateLimit = require("express-rate-limit");
-const axios = require("axios");
 
 dotenv.config();
+// Submissions hold personal data; keep it out of the console logs whatever a log line prints
+scrubConsole();
+// With ENCRYPTED_FIELDS set, refuse to start rather than store personal data under keys nobody backed up
+try {
+  checkEncryptionKeys();
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exit(1);
+}
 const app = express();
 const PORT = process.env.PORT || 3000;
-const ADMIN_USER = process.env.ADMIN_USER || "admin";
-const ADMIN_PASSWORD = process.env.ADMIN_PASS || "admin123";
+const SESSION_TTL_MS = 24 * 60 * 60 * 1000;
 
 // Middleware
 app.use(helmet({ contentSecurityPolicy: false }));
@@ -26,23 +93,37 @@ app.use(
     secret: process.env.SESSION_SECRET || "formapp_secret",
     resave: false,
     saveUninitialized: false,
-    cookie: { secure: process.env.NODE_ENV === "production", maxAge: 24 * 60 * 60 * 1000 },
+    cookie: { secure: process.env.NODE_ENV === "production", maxAge: SESSION_TTL_MS },
+    // Sessions live in MongoDB so they survive restarts and can be listed and revoked per admin.
+    // The store shares mongoose's client once the (retried) connection is open.
+    store: MongoStore.create({
+      clientPromise: new Promise((resolve) => mongoose.connection.once("open", () => resolve(mongoose.connection.getClient()))),
+      collectionName: SESSION_COLLECTION,
+      ttl: SESSION_TTL_MS / 1000,
+      stringify: false,
+      touchAfter: 60,
+    }),
   })
 );
 app.set("view engine", "ejs");
+app.locals.inputAttributes = inputAttributes;
+app.locals.choiceOptions = choiceOptions;
 app.use(bodyParser.urlencoded({ extended: true }));
 app.use(express.json());
 app.use(express.static(path.join(__dirname, "public")));
 app.use("/node_modules", express.static(path.join(__dirname, "node_modules")));
 const accessLogStream = fs.createWriteStream(path.join(__dirname, "access.log"), { flags: "a" });
+// Filter values and emails in query strings are personal data, so logged URLs are scrubbed
+morgan.token("url", (req) => scrubUrl(req.originalUrl || req.url));
+morgan.token("referrer", (req) => scrubUrl(req.get("referer")));
 app.use(morgan("combined", { stream: accessLogStream }));
 
 // Rate Limiting Middleware
 const apiLimiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
+  handler: (req, res) => sendApiError(res, 429, "Too many requests, please try again later."),
 });
-app.use("/api/validate", apiLimiter);
 
 // MongoDB connection with retry logic
 const connectWithRetry = () => {
@@ -66,274 +147,502 @@ const connectWithRetry = () => {
 };
 connectWithRetry();
 
-// Middleware to protect admin-only pages
-function ensureAdmin(req, res, next) {
-  try {
-    if (req.session && req.session.isAdmin) return next();
-    console.log("Unauthorized access, redirecting to /admin");
-    return res.redirect("/admin");
-  } catch (err) {
-    console.error("❌ Error in ensureAdmin middleware:", err.message);
-    res.status(500).json({ error: "Session error" });
-  }
+// The public form; `step` is the wizard step shown, `draft` the notice after saving a draft
+function renderIndex(res, form, locals) {
+  res.render("index", {
+    form,
+    steps: formSteps(form),
+    step: 0,
+    values: {},
+    fieldErrors: {},
+    draftToken: null,
+    draft: null,
+    error: null,
+    success: null,
+    validationMessage: null,
+    ...locals,
+  });
 }
 
 // Make session available to all views
 app.use((req, res, next) => {
   res.locals.isAdmin = req.session.isAdmin || false;
+  res.locals.admin = null;
+  res.locals.can = () => false;
   next();
 });
 
-// External API Service (email validation)
-async function validateEmail(email) {
-  try {
-    const response = await axios.get("https://emailvalidation.abstractapi.com/v1/", {
-      params: { api_key: process.env.EMAIL_VALIDATION_API_KEY, email: email },
-    });
-    console.log("API Response:", response.data);
-    const data = response.data;
-    if (data && typeof data.deliverability === "string" && typeof data.quality_score === "string") {
-      const isValid = data.deliverability === "DELIVERABLE" && parseFloat(data.quality_score) > 0.7;
-      return {
-        isValid: isValid,
-        message: isValid ? "Email validated" : `Email ${data.deliverability.toLowerCase()} (Quality: ${data.quality_score})`
-      };
-    } else {
-      throw new Error("Invalid API response format");
-    }
-  } catch (error) {
-    console.error("Email validation error:", error.response ? error.response.data : error.message);
-    throw new Error("Failed to validate email: " + (error.response ? error.response.data.error : error.message));
-  }
-}
+// CSRF tokens for every form and fetch call; routes taking uploads check the token after parsing them
+app.use(csrfProtection({ uploadPaths: ["/import", "/submit", "/f", "/update", "/api/v1/users", "/api/users"] }));
+
+// Versioned REST API, mounted on /api/v1; the unversioned /api paths remain as deprecated aliases
+const api = express.Router();
 
-// New Route for Email Validation (for client-side use)
-app.get("/api/validate-email", async (req, res) => {
+// Email check for the public form's live feedback
+api.get("/validate-email", apiLimiter, async (req, res) => {
   try {
     const email = req.query.email;
-    if (!email) return res.status(400).json({ isValid: false, message: "Email is required" });
-    const result = await validateEmail(email);
-    res.json(result);
+    if (!email) {
+      return sendApiError(res, 400, "Email is required", { code: "validation_failed", details: [{ field: "email", message: "Email is required" }] });
+    }
+    const { isValid, message } = await verifyEmail(email);
+    res.json({ isValid, message });
   } catch (error) {
     console.error("Validation endpoint error:", error.message);
-    res.status(500).json({ isValid: false, message: "Validation service unavailable: " + error.message });
+    sendApiError(res, 503, "Validation service unavailable");
   }
 });
 
-// RESTful API Routes (admin-only)
-app.get("/api/users", ensureAdmin, async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const limit = parseInt(req.query.limit) || 50;
-  const skip = (page - 1) * limit;
-  const search = req.query.search ? req.query.search.trim() : '';
+// Record fields the submission lists can be sorted on, besides the form's own fields
+const SORTABLE_FIELDS = ["createdAt", "updatedAt", "validationStatus"];
+
+// Whitelisted sort for ?sortBy=&sortDir=, with _id as tie-breaker so pages don't overlap.
+// Encrypted fields have no order to sort on and fall back to createdAt.
+function sortOptions(form, sortBy, sortDir) {
+  const direction = sortDir === "desc" ? -1 : 1;
+  const field = form.fields.find((f) => f.name === sortBy && !isEncrypted(f.name));
+  let path = "createdAt";
+  if (field) path = CORE_FIELDS.includes(field.name) ? field.name : `extra.${field.name}`;
+  else if (SORTABLE_FIELDS.includes(sortBy)) path = sortBy;
+  return { [path]: direction, _id: direction };
+}
+
+// Bulk deletes must echo the form's slug back, typed by the admin, in `confirm`
+const bulkDeleteConfirmed = (req) => String(req.body.confirm || "").trim() === req.form.slug;
+
+const sendValidationErrors = (res, errors) =>
+  sendApiError(res, 400, "Validation failed", { code: "validation_failed", details: validationDetails(errors.array()) });
+
+// Submission routes (admin-only)
+// Pages by opaque cursor (?cursor= from the previous page's nextCursor); ?page= keeps the older offset paging.
+// The total is counted on the first page only, exactly up to COUNT_CAP and as a lower bound beyond it.
+api.get("/users", ensureAdmin, selectForm, applySavedFilter, async (req, res) => {
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const cursor = typeof req.query.cursor === "string" ? req.query.cursor : "";
 
   try {
-    let query = {};
-    if (search) {
-      query = {
-        name: { $regex: search, $options: 'i' }
-      };
+    const query = buildSubmissionFilter(req.form, req.query);
+    const sort = sortOptions(req.form, req.query.sortBy, req.query.sortDir);
+
+    if (req.query.page && !cursor) {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const { count, exact } = await cappedCount(User, query);
+      const users = await User.find(query).sort(sort).skip((page - 1) * limit).limit(limit);
+      return res.json({
+        users: submissionsFor(req.admin, users),
+        page,
+        totalPages: Math.max(Math.ceil(count / limit), 1),
+        totalUsers: count,
+        totalExact: exact
+      });
     }
 
-    const total = await User.countDocuments(query);
-    const users = await User.find(query).skip(skip).limit(limit);
-    res.json({
-      users: users || [],
-      page,
-      totalPages: Math.ceil(total / limit),
-      totalUsers: total
-    });
+    const { docs, nextCursor } = await keysetPage(User, query, sort, { limit, cursor });
+    const body = { users: submissionsFor(req.admin, docs), nextCursor, hasMore: nextCursor !== null };
+    if (!cursor) {
+      const { count, exact } = await cappedCount(User, query);
+      body.totalUsers = count;
+      body.totalExact = exact;
+    }
+    res.json(body);
   } catch (err) {
+    if (err.code === "INVALID_CURSOR") {
+      return sendApiError(res, 400, "The cursor is invalid or was made for a different sort", { code: "invalid_cursor" });
+    }
     console.error("❌ Error fetching users:", err.message, err.stack);
-    res.status(500).json({
-      error: "Error fetching users",
-      users: [],
-      page: 1,
-      totalPages: 1,
-      totalUsers: 0
-    });
+    sendApiError(res, 500, "Error fetching users");
   }
 });
 
-app.get("/api/users/:id", ensureAdmin, async (req, res) => {
+// Submissions in the trash are only reachable through the trash pages
+api.get("/users/:id", ensureAdmin, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
-    if (!user) return res.status(404).json({ error: "User not found" });
-    res.json(user);
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findOne({ _id: req.params.id, deletedAt: null }) : null;
+    if (!user) return sendApiError(res, 404, "User not found");
+    res.json(seesMaskedData(req.admin) ? maskSubmission(user) : user);
   } catch (err) {
     console.error("❌ Error fetching user:", err.message);
-    res.status(500).json({ error: "Error fetching user" });
+    sendApiError(res, 500, "Error fetching user");
   }
 });
 
-app.post(
-  "/api/users",
+// Files uploaded to the submission's file fields, with their download links
+api.get("/users/:id/attachments", ensureAdmin, async (req, res) => {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findOne({ _id: req.params.id, deletedAt: null }).select("_id") : null;
+    if (!user) return sendApiError(res, 404, "User not found");
+    const attachments = Object.values(await attachmentsByField(user._id)).map((attachment) => ({
+      field: attachment.field,
+      name: attachment.originalName,
+      contentType: attachment.contentType,
+      size: attachment.size,
+      url: req.baseUrl + attachmentUrl(user._id, attachment.field),
+      thumbnailUrl: attachment.thumbnailKey ? `${req.baseUrl}${attachmentUrl(user._id, attachment.field)}/thumbnail` : null,
+      createdAt: attachment.createdAt,
+    }));
+    res.json({ attachments });
+  } catch (err) {
+    console.error("❌ Error fetching attachments:", err.message);
+    sendApiError(res, 500, "Error fetching attachments");
+  }
+});
+
+api.post(
+  "/users",
   ensureAdmin,
-  [
-    body("name").trim().notEmpty().withMessage("Name is required"),
-    body("email").isEmail().withMessage("Invalid email address"),
-    body("dob").isDate().withMessage("Invalid date of birth"),
-    body("contact").matches(/^[0-9]{10}$/).withMessage("Contact must be a valid 10-digit number"),
-    body("state").trim().notEmpty().withMessage("State is required"),
-    body("country").trim().notEmpty().withMessage("Country is required"),
-  ],
+  requireRole("editor"),
+  selectForm,
+  acceptUploads,
+  validateSubmission(),
   async (req, res) => {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+    if (!errors.isEmpty()) return sendValidationErrors(res, errors);
     try {
-      const { name, email, dob, contact, state, country } = req.body;
-      const user = new User({ name, email, dob, contact, state, country });
-      await user.save();
+      const user = new User({ ...pickSubmission(req.form.fields, req.body), form: req.form._id });
+      await saveWithAttachments(req, req.form, user, () => user.save());
+      await recordAudit(req, { action: "create", form: req.form, after: user });
+      emitSubmissionEvent("submission.created", user, req.form);
       res.status(201).json(user);
     } catch (err) {
       console.error("❌ Error creating user:", err.message);
-      res.status(500).json({ error: err.message || "Error creating user" });
+      sendWriteError(res, err, "Error creating user");
     }
   }
 );
 
-app.put(
-  "/api/users/:id",
+// PUT replaces the submission's values like the edit page does; PATCH changes the fields present
+// in the body, with the form's rules applied to the stored values merged with them
+const updateUserApi = ({ partial }) => [
   ensureAdmin,
-  [
-    body("name").optional().trim().notEmpty().withMessage("Name is required"),
-    body("email").optional().isEmail().withMessage("Invalid email address"),
-    body("dob").optional().isDate().withMessage("Invalid date of birth"),
-    body("contact").optional().matches(/^[0-9]{10}$/).withMessage("Contact must be a valid 10-digit number"),
-    body("state").optional().trim().notEmpty().withMessage("State is required"),
-    body("country").optional().trim().notEmpty().withMessage("Country is required"),
-  ],
+  requireRole("editor"),
+  loadSubmissionForm,
+  acceptUploads,
+  validateSubmission({ partial }),
   async (req, res) => {
     const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.status(400).json({ errors: errors.array() });
-    }
+    if (!errors.isEmpty()) return sendValidationErrors(res, errors);
     try {
-      const { name, email, dob, contact, state, country } = req.body;
-      const updateData = {};
-      if (name) updateData.name = name;
-      if (email) updateData.email = email;
-      if (dob) updateData.dob = new Date(dob);
-      if (contact) updateData.contact = contact;
-      if (state) updateData.state = state;
-      if (country) updateData.country = country;
-      const user = await User.findByIdAndUpdate(req.params.id, updateData, { new: true });
-      if (!user) return res.status(404).json({ error: "User not found" });
+      const before = mongoose.isValidObjectId(req.params.id) ? await User.findOne({ _id: req.params.id, deletedAt: null }) : null;
+      if (!before) return sendApiError(res, 404, "User not found");
+      const submission = pickSubmission(req.form.fields, req.body, { partial, stored: req.submission });
+      const user = await saveWithAttachments(req, req.form, { _id: before._id, ...submission }, () =>
+        User.findOneAndUpdate({ _id: req.params.id, deletedAt: null }, toUpdate(submission), { new: true, runValidators: true })
+      );
+      if (!user) return sendApiError(res, 404, "User not found");
+      await recordAudit(req, { action: "update", form: req.form, before, after: user });
+      emitSubmissionEvent("submission.updated", user, req.form);
       res.json(user);
     } catch (err) {
       console.error("❌ Error updating user:", err.message);
-      res.status(500).json({ error: err.message || "Error updating user" });
+      sendWriteError(res, err, "Error updating user");
     }
-  }
-);
+  },
+];
 
-app.delete("/api/users/:id", ensureAdmin, async (req, res) => {
+api.put("/users/:id", updateUserApi({ partial: false }));
+api.patch("/users/:id", updateUserApi({ partial: true }));
+
+api.delete("/users/:id", ensureAdmin, requireRole("editor"), async (req, res) => {
   try {
-    const user = await User.findByIdAndDelete(req.params.id);
-    if (!user) return res.status(404).json({ error: "User not found" });
+    const user = mongoose.isValidObjectId(req.params.id) ? await trashSubmission(req, req.params.id) : null;
+    if (!user) return sendApiError(res, 404, "User not found");
     res.status(204).send();
   } catch (err) {
     console.error("❌ Error deleting user:", err.message);
-    res.status(500).json({ error: "Error deleting user" });
+    sendApiError(res, 500, "Error deleting user");
   }
 });
 
-app.delete("/api/users", ensureAdmin, async (req, res) => {
+api.delete("/users", ensureAdmin, requireRole("owner"), selectForm, async (req, res) => {
+  if (!bulkDeleteConfirmed(req)) {
+    const message = `Send { "confirm": "${req.form.slug}" } to delete all submissions of this form`;
+    return sendApiError(res, 400, message, { code: "confirmation_required", details: [{ field: "confirm", message }] });
+  }
   try {
-    await User.deleteMany({});
+    const count = await trashFormSubmissions(req, req.form);
+    console.log(`✅ ${count} users of form "${req.form.slug}" moved to trash by ${req.admin.username}`);
     res.status(204).send();
   } catch (err) {
     console.error("❌ Error deleting all users:", err.message);
-    res.status(500).json({ error: "Error deleting all users" });
+    sendApiError(res, 500, "Error deleting all users");
   }
 });
 
+// Generated from the models on first request, see services/openapi.js
+api.get("/openapi.json", (req, res) => {
+  res.json(openApiDocument());
+});
+
+api.get("/docs", (req, res) => {
+  res.render("api-docs", { specUrl: "/api/v1/openapi.json" });
+});
+
+api.use("/audit", ensureAdmin, auditRouter);
+api.use("/attachments", ensureAdmin, attachmentsRouter);
+api.use("/stats", ensureAdmin, selectForm, statsRouter);
+
+api.use((req, res) => {
+  sendApiError(res, 404, `No API route for ${req.method} ${req.baseUrl}${req.path}`);
+});
+
+// Old unversioned paths answer the same, with headers pointing clients at /api/v1
+function deprecatedApiAlias(req, res, next) {
+  res.set("Deprecation", "true");
+  res.set("Link", `</api/v1${req.path}>; rel="successor-version"`);
+  next();
+}
+
+app.use("/api/v1", api);
+app.use("/api", deprecatedApiAlias, api);
+
 // Routes
-app.get("/", (req, res) => {
-  res.render("index", { error: null, success: null, validationMessage: null });
+app.get("/", loadDefaultForm, (req, res) => {
+  renderIndex(res, req.form);
+});
+
+// Countries, their subdivisions and calling codes for the dropdowns of public/geo-fields.js
+app.get("/geo.json", (req, res) => {
+  res.set("Cache-Control", "public, max-age=86400");
+  res.json(geoClientData());
 });
 
 app.get("/about", (req, res) => {
   res.render("about");
 });
 
-app.post(
-  "/submit",
-  [
-    body("name").trim().notEmpty().withMessage("Name is required"),
-    body("email").isEmail().withMessage("Invalid email address"),
-    body("dob").isDate().withMessage("Invalid date of birth"),
-    body("contact").matches(/^[0-9]{10}$/).withMessage("Contact must be a valid 10-digit number"),
-    body("state").trim().notEmpty().withMessage("State is required"),
-    body("country").trim().notEmpty().withMessage("Country is required"),
-  ],
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      return res.render("index", {
-        error: errors.array().map((e) => e.msg).join(", "),
-        success: null,
-        validationMessage: null,
-      });
+// First message per field of a failed validation, by field name
+function fieldErrorsOf(errors) {
+  const byField = {};
+  validationDetails(errors).forEach(({ field, message }) => {
+    if (!byField[field]) byField[field] = message;
+  });
+  return byField;
+}
+
+/**
+ * Validate and store a public submission for req.form. The submit buttons post `nav`:
+ *   draft   save the typed values as a draft and show its resume link
+ *   back    show the previous wizard step
+ *   next    check the fields of the current step and move on (JSON answer for the page script)
+ *   submit  check everything and store the submission (the default)
+ * Every re-render keeps the typed values, and the wizard step and draft token posted with them.
+ */
+async function handleSubmission(req, res) {
+  const steps = formSteps(req.form);
+  const typed = submittedValues(req.form.fields, req.body);
+  const step = Math.min(Math.max(parseInt(req.body.step) || 0, 0), steps.length - 1);
+  const draftToken = typeof req.body.draft === "string" && req.body.draft ? req.body.draft : null;
+  const nav = req.body.nav || "submit";
+  const rerender = (locals) => renderIndex(res, req.form, { values: typed, step, draftToken, ...locals });
+  const errors = validationResult(req).array();
+  // Steps whose fields are all hidden by the conditional rules are skipped; the last one holds the submit button
+  const { visible } = evaluateRules(req.form.fields, req.body);
+  const shown = (i) => i === steps.length - 1 || steps[i].fields.some((field) => visible[field.name]);
+  const nextStep = () => {
+    for (let i = step + 1; i < steps.length; i++) if (shown(i)) return i;
+    return step;
+  };
+  const previousStep = () => {
+    for (let i = step - 1; i > 0; i--) if (shown(i)) return i;
+    return 0;
+  };
+
+  if (nav === "draft") return saveDraft(req, { values: typed, step, draftToken, errors, rerender });
+  if (nav === "back") return rerender({ step: previousStep() });
+
+  if (nav === "next") {
+    const names = steps[step].fields.map((field) => field.name);
+    const stepErrors = errors.filter((e) => names.includes(e.path));
+    if (req.accepts(["html", "json"]) === "json") {
+      if (stepErrors.length) {
+        return sendApiError(res, 400, "Validation failed", { code: "validation_failed", details: validationDetails(stepErrors) });
+      }
+      return res.json({ step: nextStep() });
     }
+    if (stepErrors.length) {
+      return rerender({ error: stepErrors.map((e) => e.msg).join(", "), fieldErrors: fieldErrorsOf(stepErrors) });
+    }
+    return rerender({ step: nextStep() });
+  }
+
+  if (errors.length) {
+    const fieldErrors = fieldErrorsOf(errors);
+    const firstInvalid = steps.findIndex((s) => s.fields.some((field) => fieldErrors[field.name]));
+    return rerender({ error: errors.map((e) => e.msg).join(", "), fieldErrors, step: firstInvalid >= 0 ? firstInvalid : step });
+  }
+  try {
+    const submission = pickSubmission(req.form.fields, req.body);
+    const emailCheck = await validationStatusFor(submission.email);
+    if (!emailCheck.isValid) {
+      alertValidationFailed(req.form, submission.email, emailCheck.message);
+      const emailStep = steps.findIndex((s) => s.fields.some((field) => field.name === "email"));
+      return rerender({ error: emailCheck.message, fieldErrors: { email: emailCheck.message }, step: Math.max(emailStep, 0) });
+    }
+    const validationMessage = emailCheck.message;
+    // Without an email there is nothing to confirm
+    if (!optInEnabled() || !submission.email) {
+      const created = new User({ ...submission, form: req.form._id, validationStatus: validationMessage });
+      const user = await saveWithAttachments(req, req.form, created, () => created.save());
+      await recordAudit(req, { action: "create", form: req.form, after: user });
+      alertNewSubmission(req.form, user);
+      emitSubmissionEvent("submission.created", user, req.form);
+      await Draft.discard(draftToken);
+      return renderIndex(res, req.form, { success: "Form submitted successfully!", validationMessage });
+    }
+
+    // Double opt-in: stored as pending until the emailed link is opened. Submitting again
+    // while still pending replaces the details and sends a fresh link.
+    const pending = await User.findOne({
+      form: req.form._id,
+      ...matchValue("email", submission.email),
+      confirmationStatus: "pending",
+      deletedAt: null,
+    });
+    const values = { ...submission, validationStatus: validationMessage, confirmationSentAt: new Date(), confirmationMailedAt: null };
+    let user;
+    if (pending) {
+      const before = pending.toObject();
+      pending.set(values);
+      user = await saveWithAttachments(req, req.form, pending, () => pending.save());
+      await recordAudit(req, { action: "update", form: req.form, before, after: user });
+      emitSubmissionEvent("submission.updated", user, req.form);
+    } else {
+      const created = new User({ ...values, form: req.form._id, confirmationStatus: "pending" });
+      user = await saveWithAttachments(req, req.form, created, () => created.save());
+      await recordAudit(req, { action: "create", form: req.form, after: user });
+      alertNewSubmission(req.form, user);
+      emitSubmissionEvent("submission.created", user, req.form);
+    }
+    await Draft.discard(draftToken);
     try {
-      const { name, email, dob, contact, state, country } = req.body;
-      let validationMessage = null;
+      await sendConfirmation(user, req.form, `${req.protocol}://${req.get("host")}`);
+    } catch (err) {
+      console.error("❌ Error sending confirmation email:", err.message);
+      return rerender({
+        error: "Your submission was saved, but we couldn't send the confirmation email. Please submit again later.",
+      });
+    }
+    renderIndex(res, req.form, {
+      success: "Almost done! We sent a confirmation link to your email address; your submission counts once you open it.",
+      validationMessage,
+    });
+  } catch (err) {
+    console.error("❌ Error saving user:", err.message);
+    rerender({ error: `Server error: ${err.message}` });
+  }
+}
+
+// Store the typed values unchecked and show the resume link, also emailed when the address is valid
+async function saveDraft(req, { values, step, draftToken, errors, rerender }) {
+  try {
+    const { draft, token } = await Draft.saveFor(req.form, { values, step, token: draftToken });
+    const link = resumeLink(req, token);
+    let emailedTo = null;
+    if (values.email && !errors.some((e) => e.path === "email")) {
       try {
-        const validationResult = await validateEmail(email);
-        if (!validationResult.isValid) {
-          return res.render("index", {
-            error: validationResult.message,
-            success: null,
-            validationMessage: null,
-          });
-        }
-        validationMessage = validationResult.message;
+        await sendResumeLink(values.email.trim(), req.form, link, draft.expiresAt);
+        emailedTo = values.email.trim();
       } catch (err) {
-        console.error("❌ Email validation failed:", err.message);
-        validationMessage = "Validation unavailable";
+        console.error("❌ Error sending resume link:", err.message);
       }
-      await new User({ name, email, dob, contact, state, country, validationStatus: validationMessage }).save();
-      res.render("index", { error: null, success: "Form submitted successfully!", validationMessage });
-    } catch (err) {
-      console.error("❌ Error saving user:", err.message);
-      res.render("index", { error: `Server error: ${err.message}`, success: null, validationMessage: null });
     }
+    rerender({ draftToken: token, draft: { link, expiresAt: draft.expiresAt, emailedTo } });
+  } catch (err) {
+    console.error("❌ Error saving draft:", err.message);
+    rerender({ error: "Your answers couldn't be saved for later. Please try again." });
   }
-);
+}
+
+app.post("/submit", loadDefaultForm, acceptUploads, validateSubmission(), handleSubmission);
+
+// Every form is also served on its own public URL
+app.get("/f/:slug", loadFormBySlug, (req, res) => {
+  renderIndex(res, req.form);
+});
 
-app.get("/users", ensureAdmin, async (req, res) => {
+app.post("/f/:slug", loadFormBySlug, acceptUploads, validateSubmission(), handleSubmission);
+
+// Resume link of a saved draft: the draft's form with its values, on the step it was saved at
+app.get("/resume/:token", async (req, res, next) => {
   try {
-    const page = parseInt(req.query.page) || 1;
-    const limit = 10;
-    const skip = (page - 1) * limit;
-    const total = await User.countDocuments();
-    const users = await User.find().skip(skip).limit(limit);
-    res.render("users", {
-      users: users || [],
-      page,
-      totalPages: Math.ceil(total / limit),
+    const draft = await Draft.findByToken(req.params.token);
+    const form = draft ? await Form.findById(draft.form) : null;
+    if (!form) {
+      return renderIndex(res.status(404), await Form.getDefault(), { error: "This link has expired or the answers were already submitted." });
+    }
+    const steps = formSteps(form);
+    renderIndex(res, form, {
+      values: submittedValues(form.fields, draft.values || {}),
+      step: Math.min(draft.step, steps.length - 1),
+      draftToken: req.params.token,
     });
+  } catch (err) {
+    console.error("❌ Error resuming draft:", err.message);
+    next(err);
+  }
+});
+
+// Link from the double opt-in email
+app.get("/confirm/:token", async (req, res, next) => {
+  try {
+    const user = await confirmSubmission(req, req.params.token);
+    const form = user ? await Form.findById(user.form) : null;
+    res.status(user ? 200 : 404).render("confirm", { confirmed: Boolean(user), form });
+  } catch (err) {
+    console.error("❌ Error confirming submission:", err.message);
+    next(err);
+  }
+});
+
+// Options of the filter panel on /users and /grid; encrypted fields can only be matched exactly, and not by age
+async function filterPanelLocals(req) {
+  const [savedFilters, validationStatuses] = await Promise.all([
+    SavedFilter.find({ form: req.form._id }).sort({ name: 1 }),
+    User.distinct("validationStatus", { form: req.form._id, deletedAt: null, validationStatus: { $ne: null } }),
+  ]);
+  return {
+    filters: pickFilterParams(req.query),
+    savedFilters,
+    activeFilter: req.savedFilter || null,
+    validationStatuses: validationStatuses.sort(),
+    ageBrackets: isEncrypted("dob") ? [] : AGE_BOUNDARIES.slice(0, -1).map((lower) => ({ value: String(lower), label: ageBracketLabel(lower) })),
+    encryptedFields: encryptedFields(),
+    filterError: typeof req.query.filterError === "string" ? req.query.filterError : null,
+  };
+}
+
+// Filters come from the query string (or ?filter=<saved filter id>), so filtered views can be bookmarked
+app.get("/users", ensureAdmin, selectForm, applySavedFilter, async (req, res) => {
+  // The rows are fetched page by page from /api/v1/users; only the filter panel is rendered here
+  try {
+    res.render("users", { form: req.form, ...(await filterPanelLocals(req)) });
   } catch (err) {
     console.error("❌ Error loading users:", err.message);
     res.render("users", {
-      users: [],
-      page: 1,
-      totalPages: 1,
+      form: req.form,
+      filters: pickFilterParams(req.query),
       error: "Error loading users. Please try again.",
     });
   }
 });
 
-app.get("/create", ensureAdmin, (req, res) => {
+app.get("/grid", ensureAdmin, selectForm, applySavedFilter, async (req, res, next) => {
+  try {
+    res.render("grid", { form: req.form, ...(await filterPanelLocals(req)) });
+  } catch (err) {
+    console.error("❌ Error loading grid:", err.message);
+    next(err);
+  }
+});
+
+app.get("/create", ensureAdmin, requireRole("editor"), selectForm, (req, res) => {
   console.log("Reached /create route");
   try {
-    res.render("create");
+    res.render("create", { form: req.form, values: {} });
   } catch (err) {
     console.error("❌ Error rendering create page:", err.message);
     res.status(500).render("users", {
+      form: req.form,
       users: [],
       page: 1,
       totalPages: 1,
@@ -342,14 +651,24 @@ app.get("/create", ensureAdmin, (req, res) => {
   }
 });
 
-app.get("/delete-all", ensureAdmin, async (req, res) => {
+app.post("/delete-all", ensureAdmin, requireRole("owner"), selectForm, async (req, res) => {
+  if (!bulkDeleteConfirmed(req)) {
+    return res.status(400).render("users", {
+      form: req.form,
+      users: [],
+      page: 1,
+      totalPages: 1,
+      error: `Type "${req.form.slug}" to confirm deleting all submissions of this form`,
+    });
+  }
   try {
-    await User.deleteMany({});
-    console.log("✅ All users deleted successfully");
-    res.redirect("/users");
+    const count = await trashFormSubmissions(req, req.form);
+    console.log(`✅ All ${count} users of form "${req.form.slug}" moved to trash`);
+    res.redirect(`/users?form=${encodeURIComponent(req.form.slug)}`);
   } catch (err) {
     console.error("❌ Error deleting all users:", err.message);
     res.render("users", {
+      form: req.form,
       users: [],
       page: 1,
       totalPages: 1,
@@ -358,29 +677,60 @@ app.get("/delete-all", ensureAdmin, async (req, res) => {
   }
 });
 
-app.get("/export", ensureAdmin, async (req, res) => {
+// Streams the selected form's submissions; takes the /api/users filters plus ?format= and ?columns=
+app.get("/export", ensureAdmin, selectForm, applySavedFilter, async (req, res) => {
+  const format = EXPORT_FORMATS[req.query.format] ? req.query.format : "csv";
+  const masked = seesMaskedData(req.admin);
   try {
-    const users = await User.find();
-    const fields = ["name", "email", "dob", "contact", "state", "country", "createdAt", "validationStatus"];
-    const csv = json2csv(users.map((user) => user.toObject()), { fields });
-    res.header("Content-Type", "text/csv");
-    res.attachment("users.csv");
-    res.send(csv);
+    // Lean cursors skip the model's hooks, so rows are decrypted here
+    const cursor = User.find(buildSubmissionFilter(req.form, req.query))
+      .sort({ _id: 1 })
+      .lean()
+      .batchSize(1000)
+      .cursor()
+      .map((doc) => (masked ? maskSubmission(revealStored(doc)) : revealStored(doc)));
+    await streamExport(res, {
+      cursor,
+      columns: pickColumns(req.form, req.query.columns),
+      format,
+      filename: req.form.slug,
+    });
   } catch (err) {
-    console.error("❌ Error exporting CSV:", err.message);
+    console.error(`❌ Error exporting ${format.toUpperCase()}:`, err.message);
+    if (res.headersSent) return res.destroy(err);
     res.redirect("/users");
   }
 });
 
-app.get("/edit/:id", ensureAdmin, async (req, res) => {
+app.use("/forms", ensureAdmin, requireRole("editor"), formsRouter);
+app.use("/import", ensureAdmin, requireRole("editor"), selectForm, importRouter);
+app.use("/admins", ensureAdmin, requireRole("owner"), adminsRouter);
+app.use("/sessions", ensureAdmin, sessionsRouter);
+app.use("/audit", ensureAdmin, auditRouter);
+app.use("/trash", ensureAdmin, requireRole("editor"), selectForm, trashRouter);
+app.use("/duplicates", ensureAdmin, requireRole("editor"), selectForm, duplicatesRouter);
+app.use("/attachments", ensureAdmin, attachmentsRouter);
+app.use("/saved-filters", ensureAdmin, selectForm, savedFiltersRouter);
+app.use("/settings/notifications", ensureAdmin, notificationsRouter);
+app.use("/settings/api-keys", ensureAdmin, apiKeysRouter);
+app.use("/settings/encryption", ensureAdmin, requireRole("owner"), encryptionRouter);
+app.use("/webhooks", ensureAdmin, requireRole("owner"), webhooksRouter);
+
+app.get("/edit/:id", ensureAdmin, requireRole("editor"), loadSubmissionForm, async (req, res) => {
   try {
-    const user = await User.findById(req.params.id);
+    const user = await User.findOne({ _id: req.params.id, deletedAt: null });
     if (!user) {
       console.log(`User not found for ID: ${req.params.id}`);
       return res.redirect("/users");
     }
-    console.log(`Rendering edit page for user: ${user.name}, ID: ${user._id}`);
-    res.render("edit", { user, error: null });
+    console.log(`Rendering edit page for submission ${user._id}`);
+    res.render("edit", {
+      form: req.form,
+      user,
+      values: formValues(req.form.fields, user),
+      attachments: await attachmentsByField(user._id),
+      error: null,
+    });
   } catch (err) {
     console.error("❌ Error fetching user for edit:", err.message);
     res.redirect("/users");
@@ -390,68 +740,47 @@ app.get("/edit/:id", ensureAdmin, async (req, res) => {
 app.post(
   "/update/:id",
   ensureAdmin,
-  [
-    body("name").trim().notEmpty().withMessage("Name is required"),
-    body("email").isEmail().withMessage("Invalid email address"),
-    body("dob").isDate().withMessage("Invalid date of birth"),
-    body("contact").matches(/^[0-9]{10}$/).withMessage("Contact must be a valid 10-digit number"),
-    body("state").trim().notEmpty().withMessage("State is required"),
-    body("country").trim().notEmpty().withMessage("Country is required"),
-  ],
-  async (req, res) => {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
-      const user = await User.findById(req.params.id);
+  requireRole("editor"),
+  loadSubmissionForm,
+  acceptUploads,
+  validateSubmission(),
+  async (req, res, next) => {
+    // Back to the edit page, with the values sent and what went wrong
+    const showError = async (status, error, user) => {
+      user = user || (await User.findOne({ _id: req.params.id, deletedAt: null }));
       if (!user) return res.status(404).redirect("/users");
-      return res.status(400).render("edit", {
-        user,
-        error: errors.array().map((e) => e.msg).join(", "),
-      });
-    }
+      res.status(status).render("edit", { form: req.form, user, values: req.body, attachments: await attachmentsByField(user._id), error });
+    };
+    if (!mongoose.isValidObjectId(req.params.id)) return res.status(404).send("User not found");
     try {
-      const { name, email, dob, contact, state, country } = req.body;
-      let validationMessage = (await User.findById(req.params.id)).validationStatus;
-      try {
-        const validationResult = await validateEmail(email);
-        if (!validationResult.isValid) {
-          const user = await User.findById(req.params.id);
-          return res.status(400).render("edit", {
-            user,
-            error: validationResult.message,
-          });
-        }
-        validationMessage = validationResult.message;
-      } catch (err) {
-        console.error("❌ Email validation failed:", err.message);
-        validationMessage = "Validation unavailable";
-      }
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) return await showError(400, errors.array().map((e) => e.msg).join(", "));
+      const submission = pickSubmission(req.form.fields, req.body);
+      const before = await User.findOne({ _id: req.params.id, deletedAt: null });
+      if (!before) return res.status(404).redirect("/users");
+      const emailCheck = await validationStatusFor(submission.email);
+      if (!emailCheck.isValid) return await showError(400, emailCheck.message, before);
       const updateData = {
-        name,
-        email,
-        dob: new Date(dob),
-        contact,
-        state,
-        country,
-        validationStatus: validationMessage,
+        ...toUpdate(submission),
+        validationStatus: emailCheck.message,
       };
-      const user = await User.findByIdAndUpdate(req.params.id, updateData, { new: true, runValidators: true });
+      const user = await saveWithAttachments(req, req.form, { _id: before._id, ...submission }, () =>
+        User.findOneAndUpdate({ _id: req.params.id, deletedAt: null }, updateData, { new: true, runValidators: true })
+      );
       if (!user) return res.status(404).redirect("/users");
+      await recordAudit(req, { action: "update", form: req.form, before, after: user });
+      emitSubmissionEvent("submission.updated", user, req.form);
       res.redirect("/users");
     } catch (err) {
       console.error("❌ Error updating user:", err.message);
-      const user = await User.findById(req.params.id);
-      if (!user) return res.status(404).redirect("/users");
-      res.status(500).render("edit", {
-        user,
-        error: `Failed to update user: ${err.message || "Internal server error"}`,
-      });
+      showError(500, `Failed to update user: ${err.message || "Internal server error"}`).catch(next);
     }
   }
 );
 
-app.get("/delete/:id", ensureAdmin, async (req, res) => {
+app.post("/delete/:id", ensureAdmin, requireRole("editor"), async (req, res) => {
   try {
-    await User.findByIdAndDelete(req.params.id);
+    await trashSubmission(req, req.params.id);
     res.redirect("/users");
   } catch (err) {
     console.error("❌ Error deleting user:", err.message);
@@ -459,152 +788,64 @@ app.get("/delete/:id", ensureAdmin, async (req, res) => {
   }
 });
 
-app.get("/dashboard", ensureAdmin, async (req, res) => {
-  try {
-    const users = await User.find();
-    const totalUsers = users.length;
-
-    let usersOverTime = { labels: [], data: [] };
-    let usersByCountry = { labels: [], data: [] };
-    let ageDistribution = { labels: [], data: [] };
-    let topStates = { labels: [], data: [] };
-    let recentUsers = [];
-
-    if (totalUsers > 0) {
-      const usersByYear = await User.aggregate([
-        { $match: { createdAt: { $exists: true, $ne: null } } },
-        { $group: { _id: { year: { $year: "$createdAt" } }, count: { $sum: 1 } } },
-        { $sort: { "_id.year": 1 } }
-      ]);
-      usersOverTime = {
-        labels: usersByYear.map(item => item._id.year.toString()),
-        data: usersByYear.map(item => item.count)
-      };
-
-      const usersByCountryAgg = await User.aggregate([
-        { $match: { country: { $exists: true, $ne: null } } },
-        { $group: { _id: "$country", count: { $sum: 1 } } },
-        { $sort: { count: -1 } }
-      ]);
-      usersByCountry = {
-        labels: usersByCountryAgg.map(item => item._id || "Unknown"),
-        data: usersByCountryAgg.map(item => item.count)
-      };
-
-      const today = new Date();
-      const ageDistributionAgg = await User.aggregate([
-        { $match: { dob: { $exists: true, $ne: null } } },
-        {
-          $project: {
-            age: {
-              $floor: {
-                $divide: [
-                  { $subtract: [today, "$dob"] },
-                  1000 * 60 * 60 * 24 * 365.25
-                ]
-              }
-            }
-          }
-        },
-        {
-          $bucket: {
-            groupBy: "$age",
-            boundaries: [0, 18, 30, 45, 60, 120],
-            default: "Other",
-            output: { count: { $sum: 1 } }
-          }
-        }
-      ]);
-      ageDistribution = {
-        labels: ageDistributionAgg.map(item =>
-          item._id === "Other" ? "Other" : `${item._id}-${item._id + (item._id === 60 ? 60 : 14)}`
-        ),
-        data: ageDistributionAgg.map(item => item.count)
-      };
-
-      const mostCommonCountry = usersByCountryAgg[0]?._id || null;
-      if (mostCommonCountry) {
-        const topStatesAgg = await User.aggregate([
-          { $match: { country: mostCommonCountry, state: { $exists: true, $ne: null } } },
-          { $group: { _id: "$state", count: { $sum: 1 } } },
-          { $sort: { count: -1 } },
-          { $limit: 5 }
-        ]);
-        topStates = {
-          labels: topStatesAgg.map(item => item._id || "Unknown"),
-          data: topStatesAgg.map(item => item.count)
-        };
-      }
-
-      recentUsers = await User.find()
-        .sort({ createdAt: -1 })
-        .limit(5)
-        .select("name email dob contact state country createdAt validationStatus");
-    }
-
-    console.log('Users Over Time:', JSON.stringify(usersOverTime, null, 2));
-    console.log('Users by Country:', JSON.stringify(usersByCountry, null, 2));
-    console.log('Age Distribution:', JSON.stringify(ageDistribution, null, 2));
-    console.log('Top States:', JSON.stringify(topStates, null, 2));
-    console.log('Recent Users:', JSON.stringify(recentUsers, null, 2));
-    console.log('Total Users:', totalUsers);
-
-    res.render("dashboard", {
-      totalUsers,
-      usersOverTime,
-      usersByCountry,
-      ageDistribution,
-      topStates,
-      recentUsers
-    });
-  } catch (err) {
-    console.error("❌ Error loading dashboard:", err.message);
-    res.render("admin", { error: "Error loading dashboard. Please try again." });
-  }
-});
-
-app.use((req, res, next) => {
-  if (typeof req.session.attempts === "undefined") req.session.attempts = 0;
-  next();
-});
-
-app.get("/admin", (req, res) => {
-  res.render("admin", { error: null });
-});
-
-app.post("/admin", (req, res) => {
-  const { username, password } = req.body;
-
-  if (req.session.attempts >= 3) {
-    return res.render("admin", { error: "🚫 Too many failed attempts. Please try again later." });
-  }
-
-  if (username === ADMIN_USER && password === ADMIN_PASSWORD) {
-    req.session.isAdmin = true;
-    req.session.attempts = 0;
-    return res.redirect("/dashboard");
-  } else {
-    req.session.attempts += 1;
-    return res.render("admin", { error: `❌ Invalid credentials. ${3 - req.session.attempts} attempts remaining.` });
-  }
-});
-
-app.get("/logout", (req, res) => {
-  req.session.destroy(() => {
-    res.redirect("/admin");
+// Totals, charts and drill-downs are drawn in the browser from /api/v1/stats, so the page itself is cheap
+app.get("/dashboard", ensureAdmin, selectForm, (req, res) => {
+  const filters = {};
+  STATS_PARAMS.forEach((name) => {
+    if (typeof req.query[name] === "string") filters[name] = req.query[name].trim();
+  });
+  res.render("dashboard", {
+    filters,
+    granularity: GRANULARITIES[req.query.granularity] ? req.query.granularity : "year",
+    granularities: Object.keys(GRANULARITIES),
   });
 });
 
+app.use(authRouter);
+
 app.use((err, req, res, next) => {
+  const isApi = req.originalUrl.startsWith("/api/");
+  if (isApi && err.type === "entity.parse.failed") {
+    return sendApiError(res, 400, "Request body is not valid JSON", { code: "invalid_json" });
+  }
   console.error("❌ Server error:", err.stack);
-  res.status(500).render("index", {
+  if (isApi) return sendApiError(res, 500, "Something went wrong on the server");
+  res.status(500);
+  renderIndex(res, req.form || { title: "User Submission Portal", fields: DEFAULT_FIELDS }, {
     error: "Something went wrong on the server. Please try again later.",
-    success: null,
-    validationMessage: null,
   });
 });
 
-mongoose.connection.once("open", () => {
+// Submissions from before multi-form support belong to the default form
+async function adoptLegacySubmissions() {
+  try {
+    const defaultForm = await Form.getDefault();
+    const result = await User.updateMany({ form: { $exists: false } }, { $set: { form: defaultForm._id } });
+    if (result.modifiedCount) console.log(`✅ Assigned ${result.modifiedCount} submissions to the default form`);
+    // The per-form unique email index only covers documents with an explicit deletedAt: null
+    await User.updateMany({ deletedAt: { $exists: false } }, { $set: { deletedAt: null } });
+    // Submissions from before double opt-in count as confirmed
+    await User.updateMany({ confirmationStatus: { $exists: false } }, { $set: { confirmationStatus: "confirmed" } });
+    // Replaces the old unique email index with the per-form one
+    await User.syncIndexes();
+  } catch (err) {
+    console.error("❌ Error migrating submissions to forms:", err.message);
+  }
+}
+
+mongoose.connection.once("open", async () => {
+  await adoptLegacySubmissions();
+  await normalizeLegacyGeo();
+  await applyEncryptionSettings();
+  await secureStoredDeliveries();
+  await prepareFirstOwner();
+  startTrashRetention();
+  startEmailRevalidation();
+  startOptInExpiry();
+  registerDigestJobs();
+  registerDuplicateScan();
+  startScheduler();
+  startWebhookWorker();
   app.listen(PORT, () => console.log(`🚀 Server running at http://localhost:${PORT}`));
 });
 
@@ -0,0 +1,91 @@
+const Admin = require("../models/Admin");
+const ApiKey = require("../models/ApiKey");
+const { sendApiError } = require("../services/apiErrors");
+const { scrubUrl } = require("../services/logScrubbing");
+
+const isApiRequest = (req) => req.originalUrl.startsWith("/api/");
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+// How often a request refreshes the "last seen" time shown on the sessions page
+const LAST_SEEN_INTERVAL_MS = 60 * 1000;
+
+// The token of an `Authorization: Bearer <token>` header, or null
+function bearerToken(req) {
+  const match = /^Bearer\s+(\S+)\s*$/i.exec(req.get("authorization") || "");
+  return match ? match[1] : null;
+}
+
+// API calls authenticated with a key; they never touch the session
+const usesApiKey = (req) => isApiRequest(req) && Boolean(req.get("authorization"));
+
+function signedInAs(req, res, admin) {
+  req.admin = admin;
+  res.locals.admin = admin;
+  res.locals.can = (role) => admin.hasRole(role);
+}
+
+function unauthorized(req, res, message) {
+  console.log(`Unauthorized: ${req.method} ${scrubUrl(req.originalUrl)} (${message})`);
+  res.set("WWW-Authenticate", 'Bearer realm="api"');
+  return sendApiError(res, 401, message);
+}
+
+// Authenticate an API call by its bearer token; the key's admin must still be active
+async function authenticateApiKey(req, res, next) {
+  const token = bearerToken(req);
+  if (!token) return unauthorized(req, res, "Authorization header must be 'Bearer <api key>'");
+  const apiKey = await ApiKey.findByToken(token);
+  const admin = apiKey ? await Admin.findById(apiKey.admin) : null;
+  if (!admin || admin.status !== "active") return unauthorized(req, res, "Invalid or revoked API key");
+  if (!SAFE_METHODS.includes(req.method) && !apiKey.allows("editor")) {
+    console.log(`Forbidden: ${req.method} ${scrubUrl(req.originalUrl)} with read-only key ${apiKey.keyPrefix}`);
+    return sendApiError(res, 403, "This API key is read-only", { code: "read_only_key" });
+  }
+  signedInAs(req, res, admin);
+  req.apiKey = apiKey;
+  const lastUsed = new Date(apiKey.lastUsedAt || 0).getTime();
+  if (Date.now() - lastUsed > LAST_SEEN_INTERVAL_MS) {
+    await ApiKey.updateOne({ _id: apiKey._id }, { lastUsedAt: new Date(), lastUsedIp: req.ip });
+  }
+  return next();
+}
+
+// Middleware to protect admin-only pages and the API; loads the signed-in admin into req.admin
+async function ensureAdmin(req, res, next) {
+  try {
+    if (usesApiKey(req)) return await authenticateApiKey(req, res, next);
+    if (req.session && req.session.adminId) {
+      const admin = await Admin.findById(req.session.adminId);
+      if (admin && admin.status === "active") {
+        signedInAs(req, res, admin);
+        const lastSeen = new Date(req.session.lastSeenAt || 0).getTime();
+        if (Date.now() - lastSeen > LAST_SEEN_INTERVAL_MS) req.session.lastSeenAt = new Date();
+        return next();
+      }
+      // The account was removed since this session signed in
+      req.session.adminId = null;
+      req.session.isAdmin = false;
+    }
+    if (isApiRequest(req)) return unauthorized(req, res, "Authentication required");
+    console.log("Unauthorized access, redirecting to /admin");
+    return res.redirect("/admin");
+  } catch (err) {
+    console.error("❌ Error in ensureAdmin middleware:", err.message);
+    if (isApiRequest(req)) return sendApiError(res, 500, "Session error");
+    res.status(500).json({ error: "Session error" });
+  }
+}
+
+// Allow the route only for admins whose role is at least `role` (viewer < editor < owner)
+function requireRole(role) {
+  return (req, res, next) => {
+    if (req.admin && req.admin.hasRole(role) && (!req.apiKey || req.apiKey.allows(role))) return next();
+    console.log(`Forbidden: ${req.method} ${scrubUrl(req.originalUrl)} needs the ${role} role`);
+    if (isApiRequest(req)) {
+      if (req.admin && req.admin.hasRole(role)) return sendApiError(res, 403, "This API key is read-only", { code: "read_only_key" });
+      return sendApiError(res, 403, `This action requires the ${role} role`);
+    }
+    res.status(403).render("forbidden", { role });
+  };
+}
+
+module.exports = { ensureAdmin, requireRole, usesApiKey };
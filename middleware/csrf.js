@@ -0,0 +1,61 @@
+const crypto = require("crypto");
+const { usesApiKey } = require("./auth");
+const { sendApiError } = require("../services/apiErrors");
+const { scrubUrl } = require("../services/logScrubbing");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const isApiRequest = (req) => req.originalUrl.startsWith("/api/");
+
+// One token per session, created on first use
+function sessionToken(req) {
+  if (!req.session.csrfToken) req.session.csrfToken = crypto.randomBytes(32).toString("hex");
+  return req.session.csrfToken;
+}
+
+function tokensMatch(sent, expected) {
+  if (typeof sent !== "string" || typeof expected !== "string" || sent.length !== expected.length) return false;
+  return crypto.timingSafeEqual(Buffer.from(sent), Buffer.from(expected));
+}
+
+// Whether the request carries the session's token, as a `_csrf` body field or an X-CSRF-Token header
+const hasValidCsrfToken = (req) => tokensMatch((req.body && req.body._csrf) || req.get("x-csrf-token"), req.session.csrfToken);
+
+// Reject the request unless it carries the session's token
+function verifyCsrf(req, res, next) {
+  if (hasValidCsrfToken(req)) return next();
+  rejectCsrf(req, res);
+}
+
+// The 403 for a missing or wrong token: the error envelope on /api, the forbidden page elsewhere
+function rejectCsrf(req, res) {
+  console.log(`Blocked ${req.method} ${scrubUrl(req.originalUrl)}: missing or invalid CSRF token`);
+  if (isApiRequest(req)) {
+    return sendApiError(res, 403, "Invalid or missing CSRF token", { code: "invalid_csrf_token" });
+  }
+  res.status(403).render("forbidden", {
+    role: null,
+    message: "Your session token is missing or has expired. Go back, reload the page and try again.",
+  });
+}
+
+/**
+ * Expose the session's token to views as `csrfToken` and check it on every state-changing request.
+ * Multipart bodies aren't parsed yet at this point, so requests to `uploadPaths` are left to the
+ * route, whose upload middleware must check the token before it takes any file; multipart
+ * anywhere else is rejected.
+ * API calls with an API key carry no cookies for a forged page to ride on, so they skip the check.
+ */
+function csrfProtection({ uploadPaths = [] } = {}) {
+  return (req, res, next) => {
+    if (usesApiKey(req)) return next();
+    res.locals.csrfToken = sessionToken(req);
+    if (SAFE_METHODS.includes(req.method)) return next();
+    if (req.is("multipart/form-data") && uploadPaths.some((path) => req.path === path || req.path.startsWith(`${path}/`))) {
+      return next();
+    }
+    verifyCsrf(req, res, next);
+  };
+}
+
+module.exports = { csrfProtection, verifyCsrf, rejectCsrf, hasValidCsrfToken };
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+const Form = require("../models/Form");
+const User = require("../models/User");
+
+// Load the default form definition into req.form
+async function loadDefaultForm(req, res, next) {
+  try {
+    req.form = await Form.getDefault();
+    next();
+  } catch (err) {
+    console.error("❌ Error loading form definition:", err.message);
+    next(err);
+  }
+}
+
+// Load the form of a public URL (/f/:slug) into req.form, 404 when it doesn't exist
+async function loadFormBySlug(req, res, next) {
+  try {
+    const form = await Form.findOne({ slug: String(req.params.slug).toLowerCase() });
+    if (!form) return res.status(404).send("Form not found");
+    req.form = form;
+    next();
+  } catch (err) {
+    console.error("❌ Error loading form definition:", err.message);
+    next(err);
+  }
+}
+
+/**
+ * Form picker for admin pages: the form comes from ?form=<slug> (or a `form` body field),
+ * falls back to the one picked last in this session, then to the default form.
+ * Exposes `currentForm` and the list of `forms` to the views.
+ */
+async function selectForm(req, res, next) {
+  try {
+    const requested = (req.query.form || (req.body && req.body.form) || req.session.formSlug || "").toString().toLowerCase();
+    let form = requested ? await Form.findOne({ slug: requested }) : null;
+    if (!form) form = await Form.getDefault();
+    // Remembered for the next page; API key calls have no session to keep it in
+    if (!req.apiKey) req.session.formSlug = form.slug;
+    req.form = form;
+    res.locals.currentForm = form;
+    res.locals.forms = await Form.find().select("slug title").sort({ createdAt: 1 });
+    next();
+  } catch (err) {
+    console.error("❌ Error selecting form:", err.message);
+    next(err);
+  }
+}
+
+// Load the form a stored submission (req.params.id) belongs to, so edits use that form's rules
+async function loadSubmissionForm(req, res, next) {
+  try {
+    const user = mongoose.isValidObjectId(req.params.id) ? await User.findById(req.params.id) : null;
+    const form = user && user.form ? await Form.findById(user.form) : null;
+    req.form = form || (await Form.getDefault());
+    // Partial updates are ruled on the stored values, and read phone numbers in the stored country
+    req.submission = user;
+    next();
+  } catch (err) {
+    console.error("❌ Error loading form definition:", err.message);
+    next(err);
+  }
+}
+
+module.exports = { loadDefaultForm, loadFormBySlug, selectForm, loadSubmissionForm };
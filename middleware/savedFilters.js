@@ -0,0 +1,24 @@
+const mongoose = require("mongoose");
+const SavedFilter = require("../models/SavedFilter");
+
+/**
+ * Expand ?filter=<saved filter id> into its query parameters; parameters given explicitly win.
+ * Runs after selectForm, and only accepts filters saved for req.form.
+ */
+async function applySavedFilter(req, res, next) {
+  try {
+    const id = req.query.filter;
+    if (!id) return next();
+    const saved = mongoose.isValidObjectId(id) ? await SavedFilter.findOne({ _id: id, form: req.form._id }) : null;
+    if (!saved) return next();
+    const { filter, ...explicit } = req.query;
+    req.query = { ...saved.params, ...explicit };
+    req.savedFilter = saved;
+    next();
+  } catch (err) {
+    console.error("❌ Error loading saved filter:", err.message);
+    next(err);
+  }
+}
+
+module.exports = { applySavedFilter };
@@ -0,0 +1,73 @@
+const multer = require("multer");
+const { usesApiKey } = require("./auth");
+const { verifyCsrf, rejectCsrf, hasValidCsrfToken } = require("./csrf");
+const { sendApiError } = require("../services/apiErrors");
+const { UPLOAD_MAX_BYTES } = require("../services/attachments");
+
+// Room for the form's own fields plus _csrf, form, nav and the like; each as large as a urlencoded body
+const EXTRA_TEXT_FIELDS = 10;
+const MAX_TEXT_BYTES = 100 * 1024;
+
+const UPLOAD_MESSAGES = {
+  LIMIT_FILE_SIZE: `File is too large (max ${Math.round((UPLOAD_MAX_BYTES / 1024 / 1024) * 10) / 10} MB)`,
+  LIMIT_FILE_COUNT: "Too many files",
+  LIMIT_UNEXPECTED_FILE: "Unexpected file: this form takes one file per file field",
+};
+
+// A parser taking at most one file for each of the form's file fields, and no other file
+function uploadFor(form, fileFields) {
+  return multer({
+    storage: multer.memoryStorage(),
+    limits: {
+      fileSize: UPLOAD_MAX_BYTES,
+      files: fileFields.length,
+      fields: form.fields.length + EXTRA_TEXT_FIELDS,
+      fieldSize: MAX_TEXT_BYTES,
+    },
+    // The token field comes first in our forms, so a forged post is stopped before any file is read
+    fileFilter: (req, file, cb) => {
+      if (usesApiKey(req) || hasValidCsrfToken(req)) return cb(null, true);
+      req.csrfRejected = true;
+      cb(new Error("missing or invalid CSRF token"));
+    },
+  }).fields(fileFields.map((field) => ({ name: field.name, maxCount: 1 })));
+}
+
+/**
+ * Parse multipart/form-data bodies of submission routes into req.body and req.files (kept in
+ * memory until the submission is saved), for the form in req.form, which must be loaded first.
+ * Only that form's file fields are accepted, and only once the CSRF token that csrfProtection
+ * left to this route has been seen; a form without file fields takes no multipart body at all.
+ * A rejected upload doesn't end the request: it is kept in req.uploadError ({ field, message })
+ * and reported by the file field's validator like any other invalid value. Other bodies pass
+ * through untouched.
+ */
+function acceptUploads(req, res, next) {
+  if (!req.is("multipart/form-data")) return next();
+  const apiKey = usesApiKey(req);
+  // Without a session token nothing sent can match it: no need to read the body to refuse it
+  if (!apiKey && !req.session.csrfToken) return verifyCsrf(req, res, next);
+
+  const fileFields = req.form.fields.filter((field) => field.type === "file");
+  if (!fileFields.length) {
+    if (!apiKey) return verifyCsrf(req, res, next);
+    return sendApiError(res, 415, "This form has no file fields: send the submission as JSON or form-urlencoded");
+  }
+
+  uploadFor(req.form, fileFields)(req, res, (err) => {
+    req.body = req.body || {};
+    // A token arriving after a file doesn't count: the file was refused without being read
+    if (!apiKey && (req.csrfRejected || !hasValidCsrfToken(req))) return rejectCsrf(req, res);
+    if (err) {
+      if (!(err instanceof multer.MulterError)) console.error("❌ Error reading upload:", err.message);
+      // A file under another name is reported on every file field, like errors without a field
+      const field = fileFields.some((item) => item.name === err.field) ? err.field : null;
+      req.uploadError = { field, message: UPLOAD_MESSAGES[err.code] || `Upload failed: ${err.message}` };
+    }
+    // One list of files whatever the field, as the attachment helpers expect
+    req.files = err ? [] : Object.values(req.files || {}).flat();
+    next();
+  });
+}
+
+module.exports = { acceptUploads };
@@ -0,0 +1,105 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcrypt');
+const crypto = require('crypto');
+
+// Ordered from least to most privileged
+const ROLES = ['viewer', 'editor', 'owner'];
+const SALT_ROUNDS = 12;
+const INVITE_TTL_MS = 7 * 24 * 60 * 60 * 1000;
+// Events an admin can get an instant email about, and how often the summary digest goes out
+const ALERT_EVENTS = ['submission', 'validation-failed', 'bulk-delete'];
+const DIGEST_FREQUENCIES = ['off', 'daily', 'weekly'];
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const adminSchema = new mongoose.Schema(
+  {
+    // Invited admins pick their username when they accept the invite
+    username: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      minlength: [3, 'Username must be at least 3 characters'],
+      maxlength: [30, 'Username cannot exceed 30 characters'],
+      match: [/^[a-z0-9._-]+$/, 'Username may only contain letters, digits, dots, dashes and underscores'],
+    },
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true,
+      match: [/^[^\s@]+@[^\s@]+\.[^\s@]+$/, 'Please enter a valid email address'],
+    },
+    passwordHash: { type: String },
+    role: { type: String, enum: ROLES, default: 'viewer' },
+    status: { type: String, enum: ['invited', 'active'], default: 'active' },
+    inviteTokenHash: { type: String, index: true },
+    inviteExpiresAt: { type: Date },
+    invitedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    lastLoginAt: { type: Date },
+    // Sent to `email`; nothing is sent to admins without one
+    notifications: {
+      alerts: { type: [{ type: String, enum: ALERT_EVENTS }], default: [] },
+      digest: { type: String, enum: DIGEST_FREQUENCIES, default: 'off' },
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'admins',
+  }
+);
+
+adminSchema.index({ username: 1 }, { unique: true, partialFilterExpression: { username: { $type: 'string' } } });
+
+adminSchema.methods.setPassword = async function (password) {
+  if (typeof password !== 'string' || password.length < 8) {
+    throw new Error('Password must be at least 8 characters');
+  }
+  this.passwordHash = await bcrypt.hash(password, SALT_ROUNDS);
+};
+
+adminSchema.methods.verifyPassword = function (password) {
+  if (!this.passwordHash || typeof password !== 'string') return Promise.resolve(false);
+  return bcrypt.compare(password, this.passwordHash);
+};
+
+// Whether this admin's role is at least `role`
+adminSchema.methods.hasRole = function (role) {
+  return this.status === 'active' && ROLES.indexOf(this.role) >= ROLES.indexOf(role);
+};
+
+// Create a pending admin and return the plain invite token, which is only stored hashed
+adminSchema.statics.invite = async function ({ email, role, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const admin = await this.create({
+    email,
+    role,
+    status: 'invited',
+    invitedBy,
+    inviteTokenHash: hashToken(token),
+    inviteExpiresAt: new Date(Date.now() + INVITE_TTL_MS),
+  });
+  return { admin, token };
+};
+
+adminSchema.statics.findByInviteToken = function (token) {
+  return this.findOne({
+    status: 'invited',
+    inviteTokenHash: hashToken(String(token)),
+    inviteExpiresAt: { $gt: new Date() },
+  });
+};
+
+adminSchema.statics.ROLES = ROLES;
+adminSchema.statics.ALERT_EVENTS = ALERT_EVENTS;
+adminSchema.statics.DIGEST_FREQUENCIES = DIGEST_FREQUENCIES;
+
+// Handle duplicate username errors
+adminSchema.post('save', function (error, doc, next) {
+  if (error.name === 'MongoServerError' && error.code === 11000) {
+    next(new Error('Username already exists'));
+  } else {
+    next(error);
+  }
+});
+
+module.exports = mongoose.model('Admin', adminSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+// read keys can only fetch; read-write keys act with the full role of the admin who created them
+const API_KEY_SCOPES = ['read', 'read-write'];
+const TOKEN_PREFIX = 'fak_';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [60, 'Name cannot exceed 60 characters'],
+    },
+    admin: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', required: true, index: true },
+    scope: { type: String, enum: API_KEY_SCOPES, default: 'read' },
+    // Only the hash is stored; the first characters are kept so admins can tell keys apart
+    keyHash: { type: String, required: true, unique: true },
+    keyPrefix: { type: String, required: true },
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: null },
+    revokedAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'api_keys',
+  }
+);
+
+// Whether requests made with this key may use routes that need `role`
+apiKeySchema.methods.allows = function (role) {
+  return this.scope === 'read-write' || role === 'viewer';
+};
+
+// Create a key and return the plain token, which is shown once and only stored hashed
+apiKeySchema.statics.generate = async function ({ name, scope, admin }) {
+  const token = TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const apiKey = await this.create({
+    name,
+    scope,
+    admin,
+    keyHash: hashToken(token),
+    keyPrefix: token.slice(0, TOKEN_PREFIX.length + 6),
+  });
+  return { apiKey, token };
+};
+
+// The unrevoked key matching a bearer token, or null
+apiKeySchema.statics.findByToken = function (token) {
+  if (typeof token !== 'string' || !token.startsWith(TOKEN_PREFIX)) return Promise.resolve(null);
+  return this.findOne({ keyHash: hashToken(token), revokedAt: null });
+};
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+module.exports = mongoose.model('ApiKey', apiKeySchema);
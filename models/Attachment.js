@@ -0,0 +1,29 @@
+const mongoose = require('mongoose');
+
+// A file uploaded to a file field of a submission; the bytes live in a storage adapter (services/storage)
+const attachmentSchema = new mongoose.Schema(
+  {
+    submission: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    // Name of the file field; the submission stores the file name under it
+    field: { type: String, required: true },
+    originalName: { type: String, required: true, trim: true, maxlength: 255 },
+    contentType: { type: String, required: true },
+    size: { type: Number, required: true, min: 0 },
+    // Adapter the file was stored with, so files stay readable after STORAGE_DRIVER changes
+    storage: { type: String, required: true },
+    key: { type: String, required: true },
+    // JPEG preview, for images only
+    thumbnailKey: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'attachments',
+  }
+);
+
+attachmentSchema.index({ submission: 1, field: 1, createdAt: -1 });
+// Merged submissions share stored files; a file is deleted once no attachment refers to it
+attachmentSchema.index({ key: 1 });
+
+module.exports = mongoose.model('Attachment', attachmentSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+// delete moves a submission to the trash, purge removes it for good; merge folds duplicates into one
+const AUDIT_ACTIONS = ['create', 'update', 'delete', 'restore', 'purge', 'merge'];
+
+const changeSchema = new mongoose.Schema(
+  {
+    field: { type: String, required: true },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+  },
+  { _id: false }
+);
+
+// One entry per mutation of a submission; entries are only ever inserted
+const auditLogSchema = new mongoose.Schema(
+  {
+    action: { type: String, enum: AUDIT_ACTIONS, required: true },
+    // Who did it; null actor means an anonymous visitor of a public form
+    actor: {
+      id: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin', default: null },
+      username: { type: String, default: null },
+      role: { type: String, default: null },
+    },
+    ip: { type: String },
+    // Prefix of the API key the change was made with, if any
+    apiKey: { type: String },
+    // e.g. "PATCH /api/users/652f..."
+    route: { type: String, required: true },
+    form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', index: true },
+    submission: { type: mongoose.Schema.Types.ObjectId, index: true },
+    // Email of the submission at the time, so entries stay readable after a delete; encrypted
+    // like the submission's (and the values of encrypted fields in changes) when ENCRYPTED_FIELDS has it
+    email: { type: String },
+    // Hash of that email for exact filtering, set while emails are encrypted
+    emailHash: { type: String, index: true },
+    changes: { type: [changeSchema], default: [] },
+    // Shared by the entries of one bulk operation (delete all, import, purge, merge)
+    batch: { type: String, index: true },
+    // On merge entries: the submission kept and the ones folded into it (and moved to the trash)
+    merge: {
+      type: new mongoose.Schema(
+        {
+          kept: { type: mongoose.Schema.Types.ObjectId, required: true },
+          removed: { type: [mongoose.Schema.Types.ObjectId], default: [] },
+        },
+        { _id: false }
+      ),
+      default: undefined,
+    },
+    createdAt: { type: Date, default: Date.now, immutable: true },
+  },
+  {
+    collection: 'audit_log',
+    versionKey: false,
+  }
+);
+
+auditLogSchema.index({ createdAt: -1 });
+auditLogSchema.index({ 'actor.username': 1, createdAt: -1 });
+
+// Append-only: refuse to modify or remove entries through the model
+const appendOnly = function (next) {
+  next(new Error('Audit log entries cannot be modified or deleted'));
+};
+auditLogSchema.pre('save', function (next) {
+  if (!this.isNew) return appendOnly(next);
+  next();
+});
+[
+  'updateOne',
+  'updateMany',
+  'replaceOne',
+  'findOneAndUpdate',
+  'findOneAndReplace',
+  'findOneAndDelete',
+  'deleteOne',
+  'deleteMany',
+].forEach((op) => auditLogSchema.pre(op, appendOnly));
+
+auditLogSchema.statics.ACTIONS = AUDIT_ACTIONS;
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
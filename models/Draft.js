@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+const { ENCRYPTABLE_FIELDS, sealIfEncrypted, openIfSealed } = require('../services/fieldEncryption');
+
+const DRAFT_TTL_MS = (parseInt(process.env.DRAFT_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// A half-filled public form, saved so the respondent can finish it later from a resume link
+const draftSchema = new mongoose.Schema(
+  {
+    form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    // Only the hash of the resume token is stored; the link itself is the respondent's key
+    tokenHash: { type: String, required: true, unique: true },
+    // The typed values as strings, by field name, for re-filling the inputs; encrypted fields are stored sealed
+    values: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Wizard step the respondent was on
+    step: { type: Number, default: 0, min: 0 },
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    timestamps: true,
+    collection: 'drafts',
+  }
+);
+
+// MongoDB removes drafts once expiresAt has passed
+draftSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Copy of `values` with the encrypted fields sealed or opened by `transform`
+function transformValues(values, transform) {
+  const result = { ...values };
+  ENCRYPTABLE_FIELDS.forEach((field) => {
+    if (typeof result[field] === 'string') result[field] = transform(field, result[field]);
+  });
+  return result;
+}
+
+draftSchema.pre('init', function (raw) {
+  if (raw.values) raw.values = transformValues(raw.values, openIfSealed);
+});
+
+/**
+ * Save `values` and `step` for `form`. With the `token` of an existing draft of the form that
+ * draft is updated (and its expiry pushed back), otherwise a new one is created.
+ * Resolves to { draft, token }; the plain token is only known to the caller.
+ */
+draftSchema.statics.saveFor = async function (form, { values, step, token }) {
+  const update = { values: transformValues(values || {}, sealIfEncrypted), step, expiresAt: new Date(Date.now() + DRAFT_TTL_MS) };
+  if (typeof token === 'string' && token) {
+    const draft = await this.findOneAndUpdate({ tokenHash: hashToken(token), form: form._id }, update, { new: true });
+    if (draft) return { draft, token };
+  }
+  const fresh = crypto.randomBytes(24).toString('base64url');
+  const draft = await this.create({ ...update, form: form._id, tokenHash: hashToken(fresh) });
+  return { draft, token: fresh };
+};
+
+// The unexpired draft behind a resume token, or null
+draftSchema.statics.findByToken = function (token) {
+  if (typeof token !== 'string' || !token) return Promise.resolve(null);
+  return this.findOne({ tokenHash: hashToken(token), expiresAt: { $gt: new Date() } });
+};
+
+draftSchema.statics.discard = function (token) {
+  if (typeof token !== 'string' || !token) return Promise.resolve();
+  return this.deleteOne({ tokenHash: hashToken(token) });
+};
+
+module.exports = mongoose.model('Draft', draftSchema);
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Why two submissions look like the same person; see services/duplicates.js
+const MATCH_REASONS = ['contact', 'email', 'name_dob'];
+// open: waiting for review; dismissed: not the same person, never reopened; merged: resolved by a merge
+const CANDIDATE_STATUSES = ['open', 'dismissed', 'merged'];
+
+// A pair of live submissions of one form flagged by the duplicate finder
+const duplicateCandidateSchema = new mongoose.Schema(
+  {
+    form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    // The two submission ids, lowest first; pairKey joins them so a pair is stored once
+    users: {
+      type: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+      validate: [(ids) => ids.length === 2, 'A candidate is a pair of submissions'],
+    },
+    pairKey: { type: String, required: true, unique: true },
+    reasons: { type: [{ type: String, enum: MATCH_REASONS }], default: [] },
+    // 0-1, how sure the finder is; the review queue shows the surest first
+    score: { type: Number, default: 0 },
+    status: { type: String, enum: CANDIDATE_STATUSES, default: 'open' },
+    // Last scan that still found the pair; open pairs a later scan no longer finds are dropped
+    lastSeenAt: { type: Date, default: Date.now },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    reviewedAt: { type: Date },
+    // The submission that was kept when the pair was merged
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  },
+  {
+    timestamps: true,
+    collection: 'duplicate_candidates',
+  }
+);
+
+duplicateCandidateSchema.index({ form: 1, status: 1, score: -1, _id: 1 });
+duplicateCandidateSchema.index({ users: 1, status: 1 });
+
+duplicateCandidateSchema.statics.REASONS = MATCH_REASONS;
+duplicateCandidateSchema.statics.STATUSES = CANDIDATE_STATUSES;
+
+module.exports = mongoose.model('DuplicateCandidate', duplicateCandidateSchema);
@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Cached email verification results, one per address (its hash while submission emails are encrypted)
+const emailCheckSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    isValid: { type: Boolean, required: true },
+    message: { type: String, required: true },
+    provider: { type: String, required: true },
+    checkedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+  },
+  {
+    collection: 'email_checks',
+    versionKey: false,
+  }
+);
+
+// MongoDB removes entries once expiresAt has passed
+emailCheckSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('EmailCheck', emailCheckSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { FIELD_TYPES, CORE_FIELDS, IDENTITY_FIELDS, DEFAULT_FIELDS, ruleErrors, patternProblem } = require('../services/formSchema');
+
+const fieldSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Field name is required'],
+      trim: true,
+      match: [/^[a-zA-Z][a-zA-Z0-9_]*$/, 'Field names must start with a letter and contain only letters, digits or _'],
+    },
+    label: { type: String, required: [true, 'Field label is required'], trim: true },
+    type: { type: String, enum: FIELD_TYPES, default: 'text' },
+    required: { type: Boolean, default: false },
+    // Length for text fields, value for numbers, age in years for dates, size in MB for files
+    min: { type: Number },
+    max: { type: Number },
+    pattern: {
+      type: String,
+      validate: {
+        validator: (value) => !patternProblem(value),
+        message: (props) => patternProblem(props.value),
+      },
+    },
+    message: { type: String, trim: true },
+    placeholder: { type: String, trim: true },
+    // Choices of a select field, accepted MIME types of a file field
+    options: { type: [String], default: undefined },
+    // Heading of the wizard step this field starts or belongs to
+    section: { type: String, trim: true, maxlength: 60 },
+    // Conditional rules, e.g. "country = India" or "email is empty"; see public/form-rules.js
+    showIf: { type: String, trim: true, maxlength: 200 },
+    requiredIf: { type: String, trim: true, maxlength: 200 },
+  },
+  { _id: false }
+);
+
+const formSchema = new mongoose.Schema(
+  {
+    slug: {
+      type: String,
+      required: [true, 'Slug is required'],
+      trim: true,
+      lowercase: true,
+      match: [/^[a-z0-9][a-z0-9-]*$/, 'Slug may only contain lowercase letters, digits and dashes'],
+      unique: true,
+    },
+    title: { type: String, required: [true, 'Title is required'], trim: true, maxlength: 100 },
+    description: { type: String, trim: true, maxlength: 500 },
+    // Show the public form one section at a time, with a progress bar
+    wizard: { type: Boolean, default: false },
+    fields: {
+      type: [fieldSchema],
+      validate: [
+        {
+          validator: (fields) => IDENTITY_FIELDS.every((name) => fields.some((field) => field.name === name)),
+          message: `A form must include the ${IDENTITY_FIELDS.join(' and ')} fields`,
+        },
+        {
+          validator: (fields) => new Set(fields.map((field) => field.name)).size === fields.length,
+          message: 'Field names must be unique',
+        },
+        {
+          validator: (fields) => fields.every((field) => field.type !== 'select' || (field.options || []).length > 0),
+          message: 'Select fields need at least one option',
+        },
+        {
+          validator: (fields) => fields.every((field) => field.type !== 'file' || !CORE_FIELDS.includes(field.name)),
+          message: `File fields need a name of their own; ${CORE_FIELDS.join(', ')} hold text`,
+        },
+        {
+          validator: (fields) => ruleErrors(fields).length === 0,
+          message: (props) => ruleErrors(props.value).join(', '),
+        },
+      ],
+    },
+  },
+  {
+    timestamps: true,
+    collection: 'forms',
+  }
+);
+
+// Fetch the default form, seeding it with the original six fields on first use
+formSchema.statics.getDefault = async function () {
+  const existing = await this.findOne({ slug: 'default' });
+  if (existing) return existing;
+  try {
+    return await this.create({ slug: 'default', title: 'User Submission Portal', fields: DEFAULT_FIELDS });
+  } catch (err) {
+    // Another request seeded it first
+    if (err.code === 11000) return this.findOne({ slug: 'default' });
+    throw err;
+  }
+};
+
+module.exports = mongoose.model('Form', formSchema);
@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Failed admin logins, tracked per username and client IP
+const loginAttemptSchema = new mongoose.Schema(
+  {
+    username: { type: String, required: true, lowercase: true, trim: true },
+    ip: { type: String, required: true },
+    failures: { type: Number, default: 0 },
+    lockedUntil: { type: Date, default: null },
+    lastFailedAt: { type: Date, default: Date.now },
+  },
+  {
+    collection: 'login_attempts',
+  }
+);
+
+loginAttemptSchema.index({ username: 1, ip: 1 }, { unique: true });
+// Forget a username/IP pair a day after its last failure
+loginAttemptSchema.index({ lastFailedAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAttempt', loginAttemptSchema);
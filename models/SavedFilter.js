@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// A named set of submission list filters (see services/submissionFilters.js), shared by the admins of a form
+const savedFilterSchema = new mongoose.Schema(
+  {
+    name: {
+      type: String,
+      required: [true, 'Name is required'],
+      trim: true,
+      maxlength: [60, 'Name cannot exceed 60 characters'],
+    },
+    form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', required: true },
+    // Query parameters as produced by pickFilterParams
+    params: { type: mongoose.Schema.Types.Mixed, default: {} },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  },
+  {
+    timestamps: true,
+    collection: 'saved_filters',
+    minimize: false,
+  }
+);
+
+savedFilterSchema.index({ form: 1, name: 1 }, { unique: true });
+
+module.exports = mongoose.model('SavedFilter', savedFilterSchema);
@@ -0,0 +1,19 @@
+const mongoose = require('mongoose');
+
+// Persisted state of a recurring job, so runs due while the app was down still happen after a restart
+const scheduledJobSchema = new mongoose.Schema(
+  {
+    name: { type: String, required: true, unique: true },
+    nextRunAt: { type: Date, required: true },
+    lastRunAt: { type: Date, default: null },
+    // Set while a process runs the job; a crashed run is picked up again once it passes
+    lockedUntil: { type: Date, default: null },
+    lastError: { type: String, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'scheduled_jobs',
+  }
+);
+
+module.exports = mongoose.model('ScheduledJob', scheduledJobSchema);
@@ -1,4 +1,26 @@
 const mongoose = require('mongoose');
+const { encryptedFields, seal, blindIndex, revealStored, sealUpdate } = require('../services/fieldEncryption');
+
+function hideEncrypted(doc, ret) {
+  delete ret.encrypted;
+  delete ret.hashes;
+  delete ret.birthYear;
+  return ret;
+}
+
+// UTC year of a date of birth (a Date or anything new Date() reads), or null
+function yearOf(dob) {
+  if (dob === undefined || dob === null || dob === '') return null;
+  const date = new Date(dob);
+  return isNaN(date.getTime()) ? null : date.getUTCFullYear();
+}
+
+// Keep birthYear in step with a dob the update sets or clears
+function setBirthYear(update) {
+  const source = update.$set && 'dob' in update.$set ? update.$set : 'dob' in update ? update : null;
+  if (source) update.$set = { ...update.$set, birthYear: yearOf(source.dob) };
+  else if (update.$unset && 'dob' in update.$unset) update.$set = { ...update.$set, birthYear: null };
+}
 
 const userSchema = new mongoose.Schema(
   {
@@ -9,23 +31,22 @@ const userSchema = new mongoose.Schema(
       minlength: [2, 'Name must be at least 2 characters'],
       maxlength: [50, 'Name cannot exceed 50 characters'],
     },
+    // Like dob and contact, the form definition decides whether email is required
     email: {
       type: String,
-      required: [true, 'Email is required'],
       trim: true,
       lowercase: true,
       match: [
         /^[^\s@]+@[^\s@]+\.[^\s@]+$/,
         'Please enter a valid email address',
       ],
-      unique: true,
-      index: true,
     },
+    // Which of dob, contact, state and country are required is decided by the form definition
     dob: {
       type: Date,
-      required: [true, 'Date of birth is required'],
       validate: {
         validator: function (value) {
+          if (value == null) return true;
           const today = new Date();
           const minDate = new Date(today.getFullYear() - 120, today.getMonth(), today.getDate());
           return value <= today && value >= minDate;
@@ -33,21 +54,20 @@ const userSchema = new mongoose.Schema(
         message: 'Date of birth must be valid and not in the future or more than 120 years ago',
       },
     },
+    // E.164, e.g. +919876543210; see services/geo.js
     contact: {
       type: String,
-      required: [true, 'Contact number is required'],
-      match: [/^[0-9]{10}$/, 'Contact number must be a valid 10-digit number'],
+      match: [/^\+[1-9][0-9]{6,14}$/, 'Contact number must be in international format, e.g. +919876543210'],
     },
+    // state and country hold the ISO 3166 names of services/geo.js for dropdown fields
     state: {
       type: String,
-      required: [true, 'State is required'],
       trim: true,
       minlength: [2, 'State must be at least 2 characters'],
-      maxlength: [50, 'State cannot exceed 50 characters'],
+      maxlength: [100, 'State cannot exceed 100 characters'],
     },
     country: {
       type: String,
-      required: [true, 'Country is required'],
       trim: true,
       minlength: [2, 'Country must be at least 2 characters'],
       maxlength: [50, 'Country cannot exceed 50 characters'],
@@ -57,45 +77,129 @@ const userSchema = new mongoose.Schema(
       default: Date.now,
       required: true,
     },
-    validationStatus: { type: String, default: null } // Added for email validation result
+    validationStatus: { type: String, default: null }, // Added for email validation result
+    // The form this submission was made through
+    form: { type: mongoose.Schema.Types.ObjectId, ref: 'Form', index: true },
+    // Values of form fields beyond the six core ones, keyed by field name
+    extra: { type: mongoose.Schema.Types.Mixed, default: undefined },
+    // Public submissions stay pending until the emailed confirmation link is opened (double opt-in)
+    confirmationStatus: { type: String, enum: ['pending', 'confirmed'], default: 'confirmed' },
+    confirmationSentAt: { type: Date },
+    // When the link was handed to a real mail server; only then can an unconfirmed submission expire
+    confirmationMailedAt: { type: Date, default: null },
+    confirmedAt: { type: Date },
+    // Set when the submission is moved to the trash; live submissions have null
+    deletedAt: { type: Date, default: null },
+    deletedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+    // Set on a submission trashed by a duplicate merge: the submission it was merged into
+    mergedInto: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    // Fields named in ENCRYPTED_FIELDS are stored here instead of under their own name (see
+    // services/fieldEncryption.js), with a keyed hash each for exact matching; both are left out of JSON
+    encrypted: { email: String, contact: String, dob: String },
+    hashes: { email: String, contact: String, dob: String },
+    // Year of dob, kept in the clear so the dashboard can count ages in the database while dob is
+    // encrypted; set on every write of dob and left out of JSON like the fields above
+    birthYear: { type: Number, default: null },
   },
   {
     timestamps: true,
     collection: 'users',
+    toJSON: { transform: hideEncrypted },
+    toObject: { transform: hideEncrypted },
   }
 );
 
 // Indexes for faster queries
 userSchema.index({ email: 1 });
+// An email can submit each form once; trashed submissions (deletedAt set) don't count. Encrypted
+// emails are compared by hash.
+userSchema.index(
+  { form: 1, email: 1 },
+  { unique: true, name: 'form_1_email_1_live', partialFilterExpression: { deletedAt: { $type: 'null' }, email: { $type: 'string' } } }
+);
+userSchema.index(
+  { form: 1, 'hashes.email': 1 },
+  { unique: true, name: 'form_1_email_hash_live', partialFilterExpression: { deletedAt: { $type: 'null' }, 'hashes.email': { $type: 'string' } } }
+);
+// Submission lists: one index per supported sort (see sortOptions in app.js), each keyset-paginated on
+// (value, _id) within a form's live submissions. Sorting on a custom (extra.*) field is not indexed.
+['createdAt', 'updatedAt', 'name', 'email', 'dob', 'contact', 'state', 'country', 'validationStatus'].forEach((path) => {
+  userSchema.index({ form: 1, deletedAt: 1, [path]: 1, _id: 1 });
+});
+// ?status= filter and the dashboard's per-status totals
+userSchema.index({ form: 1, deletedAt: 1, confirmationStatus: 1, createdAt: 1 });
+userSchema.index({ confirmationStatus: 1, confirmationSentAt: 1 });
 userSchema.index({ createdAt: 1 });
+// Full-text search (?q=) of the submission lists; no stemming, the indexed values are names and places
+userSchema.index(
+  { name: 'text', email: 'text', state: 'text', country: 'text' },
+  { name: 'submission_text', weights: { name: 4, email: 2 }, default_language: 'none' }
+);
 
-// Pre-save hook for debugging and data validation
-userSchema.pre('save', function (next) {
-  console.log('Saving user:', {
-    name: this.name,
-    email: this.email,
-    dob: this.dob,
-    contact: this.contact,
-    state: this.state,
-    country: this.country,
-    createdAt: this.createdAt,
-    validationStatus: this.validationStatus, // Include new field in log
+// Decrypt encrypted fields of every submission read, hydrated or lean
+userSchema.pre('init', function (raw) {
+  revealStored(raw);
+});
+userSchema.post(['find', 'findOne', 'findOneAndUpdate', 'findOneAndDelete'], function (result) {
+  if (this.mongooseOptions().lean) [].concat(result || []).forEach(revealStored);
+});
+
+// Put back the plain values the pre('save') hook moved out; a failed save leaves them marked modified for a retry
+function restorePlainValues(doc, { saved }) {
+  const plain = doc.$locals.plainValues;
+  if (!plain) return;
+  delete doc.$locals.plainValues;
+  Object.entries(plain).forEach(([field, value]) => {
+    doc.set(field, value);
+    if (saved) doc.unmarkModified(field);
   });
+}
+
+// Pre-save hook for debugging and data validation; runs after the schema validators
+userSchema.pre('save', function (next) {
+  // Ids only: submissions hold personal data that must not reach the logs
+  console.log(`Saving submission ${this._id} (${this.isNew ? 'new' : 'changed'}, ${this.confirmationStatus})`);
   if (!this.createdAt || isNaN(new Date(this.createdAt).getTime())) {
     this.createdAt = new Date();
     console.warn('Invalid createdAt detected, setting to current date');
   }
+  if (this.isNew || this.isModified('dob')) this.birthYear = yearOf(this.dob);
+  const plain = {};
+  encryptedFields().forEach((field) => {
+    if (!this.isNew && !this.isModified(field)) return;
+    const value = this.get(field);
+    plain[field] = value;
+    const stored = value === undefined || value === null || value === '';
+    this.set(`encrypted.${field}`, stored ? undefined : seal(field, value));
+    this.set(`hashes.${field}`, stored ? undefined : blindIndex(field, value));
+    this.set(field, undefined);
+  });
+  this.$locals.plainValues = plain;
   next();
 });
 
-// Handle duplicate email errors
+userSchema.post('save', function (doc) {
+  restorePlainValues(doc, { saved: true });
+});
+
+// Handle duplicate email errors; the driver's message quotes the email, so it isn't logged
 userSchema.post('save', function (error, doc, next) {
+  restorePlainValues(doc, { saved: false });
   if (error.name === 'MongoServerError' && error.code === 11000) {
-    console.error('Duplicate email error:', error.message);
+    console.error(`Duplicate email error saving submission ${doc._id}`);
     next(new Error('Email already exists'));
   } else {
     next(error);
   }
 });
 
-module.exports = mongoose.model('User', userSchema);
\ No newline at end of file
+// Updates store encrypted fields the same way; their plain values are validated here, as the
+// update validators only see what is left in the update
+userSchema.pre(['findOneAndUpdate', 'updateOne', 'updateMany'], async function () {
+  const update = this.getUpdate();
+  if (update) setBirthYear(update);
+  const plain = update && sealUpdate(update);
+  if (plain && this.getOptions().runValidators) await this.model.validate(plain, Object.keys(plain));
+});
+
+module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const crypto = require('crypto');
+
+const WEBHOOK_EVENTS = ['submission.created', 'submission.updated', 'submission.deleted'];
+
+// An endpoint that receives signed POSTs for the events it subscribes to
+const webhookSchema = new mongoose.Schema(
+  {
+    url: {
+      type: String,
+      required: [true, 'URL is required'],
+      trim: true,
+      validate: {
+        validator: (value) => {
+          try {
+            return ['http:', 'https:'].includes(new URL(value).protocol);
+          } catch (err) {
+            return false;
+          }
+        },
+        message: 'URL must be an http or https address',
+      },
+    },
+    description: { type: String, trim: true, maxlength: [200, 'Description cannot exceed 200 characters'] },
+    events: {
+      type: [{ type: String, enum: WEBHOOK_EVENTS }],
+      validate: { validator: (events) => events.length > 0, message: 'Pick at least one event' },
+    },
+    // HMAC key for the X-Webhook-Signature header; receivers keep a copy to verify payloads
+    secret: { type: String, default: () => crypto.randomBytes(24).toString('hex') },
+    active: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'Admin' },
+  },
+  {
+    timestamps: true,
+    collection: 'webhooks',
+  }
+);
+
+webhookSchema.index({ active: 1, events: 1 });
+
+webhookSchema.statics.EVENTS = WEBHOOK_EVENTS;
+
+module.exports = mongoose.model('Webhook', webhookSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+const { encryptedFields, isSealed, seal, openText } = require('../services/fieldEncryption');
+
+const DELIVERY_STATUSES = ['pending', 'succeeded', 'failed'];
+// Associated data of sealed payloads, so they can't pass for a submission field
+const PAYLOAD_FIELD = 'webhookPayload';
+
+// One event sent (or to be sent) to one webhook, with its retry state and last response
+const webhookDeliverySchema = new mongoose.Schema(
+  {
+    webhook: { type: mongoose.Schema.Types.ObjectId, ref: 'Webhook', required: true },
+    event: { type: String, required: true },
+    // The event body with a copy of the submission; stored sealed while field encryption is on
+    payload: { type: mongoose.Schema.Types.Mixed, required: true },
+    // pending until a 2xx response, failed once the retries are used up
+    status: { type: String, enum: DELIVERY_STATUSES, default: 'pending' },
+    attempts: { type: Number, default: 0 },
+    nextAttemptAt: { type: Date, default: Date.now },
+    lastAttemptAt: { type: Date, default: null },
+    // Set while a worker is sending it
+    lockedUntil: { type: Date, default: null },
+    responseStatus: { type: Number, default: null },
+    responseBody: { type: String, default: null },
+    error: { type: String, default: null },
+    redeliveryOf: { type: mongoose.Schema.Types.ObjectId, ref: 'WebhookDelivery', default: null },
+    // Set once the delivery succeeded or failed for good; MongoDB removes it at that time
+    expiresAt: { type: Date, default: null },
+  },
+  {
+    timestamps: true,
+    collection: 'webhook_deliveries',
+  }
+);
+
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+webhookDeliverySchema.index({ webhook: 1, createdAt: -1 });
+webhookDeliverySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// A payload as stored: sealed while any field is encrypted, as is otherwise
+const sealPayload = (payload) => (encryptedFields().length && !isSealed(payload) ? seal(PAYLOAD_FIELD, JSON.stringify(payload)) : payload);
+
+webhookDeliverySchema.pre('validate', function (next) {
+  this.payload = sealPayload(this.payload);
+  next();
+});
+
+// A payload sealed under a key that is no longer in the key file stays as stored
+webhookDeliverySchema.pre('init', function (raw) {
+  if (!isSealed(raw.payload)) return;
+  try {
+    raw.payload = JSON.parse(openText(PAYLOAD_FIELD, raw.payload));
+  } catch (err) {
+    console.error(`❌ Error opening the payload of webhook delivery ${raw._id}:`, err.message);
+  }
+});
+
+webhookDeliverySchema.statics.STATUSES = DELIVERY_STATUSES;
+webhookDeliverySchema.statics.sealPayload = sealPayload;
+
+module.exports = mongoose.model('WebhookDelivery', webhookDeliverySchema);
@@ -0,0 +1,228 @@
+const statsUrl = '/api/v1/stats';
+const usersUrl = '/api/v1/users';
+const filterForm = document.getElementById('statsFilters');
+const countryInput = document.getElementById('statsCountry');
+const errorDiv = document.getElementById('statsError');
+const statusLine = document.getElementById('statsStatusLine');
+const pieColors = [
+  '#007bff', '#4dabf7', '#ff6f61', '#28a745', '#17a2b8',
+  '#6610f2', '#e83e8c', '#fd7e14', '#6f42c1', '#20c997'
+];
+const charts = {};
+
+function createGradient(ctx, color1, color2) {
+  const gradient = ctx.createLinearGradient(0, 0, 0, 400);
+  gradient.addColorStop(0, color1);
+  gradient.addColorStop(1, color2);
+  return gradient;
+}
+
+function displayError(message) {
+  errorDiv.textContent = message;
+  errorDiv.classList.remove('d-none');
+}
+
+// The filters of the form above the charts as query parameters (empty fields left out)
+function filterParams() {
+  const params = new URLSearchParams();
+  new FormData(filterForm).forEach((value, key) => {
+    if (String(value).trim()) params.set(key, String(value).trim());
+  });
+  return params;
+}
+
+async function fetchJson(url) {
+  const response = await fetch(url);
+  const data = await response.json();
+  if (!response.ok) {
+    throw new Error((data.error && data.error.message) || `Request failed (Status: ${response.status})`);
+  }
+  return data;
+}
+
+// (Re)draw a chart; `onPick` gets the index of the clicked bar or slice
+function drawChart(id, config, onPick) {
+  const canvas = document.getElementById(id);
+  const empty = document.querySelector(`[data-empty-for="${id}"]`);
+  if (charts[id]) charts[id].destroy();
+  delete charts[id];
+  const hasData = config.data.labels.length > 0;
+  canvas.classList.toggle('d-none', !hasData);
+  empty.classList.toggle('d-none', hasData);
+  if (!hasData) return;
+
+  config.options = {
+    responsive: true,
+    ...config.options,
+    onClick: (event, elements) => {
+      if (onPick && elements.length) onPick(elements[0].index);
+    },
+    onHover: (event, elements) => {
+      event.native.target.style.cursor = onPick && elements.length ? 'pointer' : 'default';
+    }
+  };
+  charts[id] = new Chart(canvas.getContext('2d'), config);
+}
+
+function barChart(ctx, label, items, colors) {
+  return {
+    type: 'bar',
+    data: {
+      labels: items.map(item => item.label),
+      datasets: [{
+        label,
+        data: items.map(item => item.count),
+        backgroundColor: createGradient(ctx, colors[0], colors[1]),
+        borderColor: colors[0],
+        borderWidth: 1
+      }]
+    },
+    options: { scales: { y: { beginAtZero: true } } }
+  };
+}
+
+function renderStats(stats) {
+  document.getElementById('metricTotal').textContent = stats.totals.total.toLocaleString();
+  document.getElementById('metricPending').textContent = stats.totals.pending.toLocaleString();
+  document.getElementById('metricCountries').textContent = stats.uniqueCountries.toLocaleString();
+  document.getElementById('metricStates').textContent = stats.uniqueStates.toLocaleString();
+  statusLine.textContent = `Figures as of ${new Date(stats.generatedAt).toLocaleTimeString()}${stats.cached ? ' (cached)' : ''}`;
+
+  const datalist = document.getElementById('statsCountries');
+  datalist.innerHTML = '';
+  stats.byCountry.filter(item => item.country).forEach(item => {
+    const option = document.createElement('option');
+    option.value = item.country;
+    datalist.appendChild(option);
+  });
+
+  const overTimeCtx = document.getElementById('usersOverTimeChart').getContext('2d');
+  drawChart(
+    'usersOverTimeChart',
+    barChart(overTimeCtx, `User Registrations by ${stats.filters.granularity}`, stats.overTime.map(item => ({ label: item.period, count: item.count })), ['#007bff', '#4dabf7']),
+    index => {
+      const period = stats.overTime[index];
+      // The bar's days, kept within the dates filtered on
+      const from = stats.filters.from && stats.filters.from > period.from ? stats.filters.from : period.from;
+      const to = stats.filters.to && stats.filters.to < period.to ? stats.filters.to : period.to;
+      showSubmissions(`Registered in ${period.period}`, { from, to });
+    }
+  );
+
+  drawChart(
+    'usersByCountryChart',
+    {
+      type: 'pie',
+      data: {
+        labels: stats.byCountry.map(item => item.country || 'Unknown'),
+        datasets: [{
+          data: stats.byCountry.map(item => item.count),
+          backgroundColor: pieColors,
+          borderColor: '#fff',
+          borderWidth: 2
+        }]
+      }
+    },
+    index => {
+      const country = stats.byCountry[index].country;
+      if (!country) return;
+      countryInput.value = country;
+      loadStats();
+    }
+  );
+
+  const agesCtx = document.getElementById('ageDistributionChart').getContext('2d');
+  drawChart(
+    'ageDistributionChart',
+    barChart(agesCtx, 'Age Distribution', stats.ageDistribution, ['#4dabf7', '#007bff']),
+    index => {
+      const bracket = stats.ageDistribution[index];
+      if (bracket.bracket !== null) showSubmissions(`Aged ${bracket.label}`, { age: bracket.bracket });
+    }
+  );
+
+  document.getElementById('topStatesTitle').textContent = stats.stateCountry ? `Top States in ${stats.stateCountry}` : 'Top States';
+  const statesCtx = document.getElementById('topStatesChart').getContext('2d');
+  drawChart(
+    'topStatesChart',
+    barChart(statesCtx, 'Top States', stats.byState.map(item => ({ label: item.state, count: item.count })), ['#007bff', '#4dabf7']),
+    index => {
+      const { state, country } = stats.byState[index];
+      showSubmissions(`${state}, ${country}`, { state, country });
+    }
+  );
+}
+
+function userRow(user, columns) {
+  const row = document.createElement('tr');
+  columns.forEach(column => {
+    const cell = document.createElement('td');
+    const value = user[column];
+    if (value === undefined || value === null || value === '') cell.textContent = column === 'validationStatus' ? 'Not validated' : 'N/A';
+    else cell.textContent = ['dob', 'createdAt'].includes(column) ? new Date(value).toLocaleDateString() : value;
+    row.appendChild(cell);
+  });
+  return row;
+}
+
+// List the submissions behind a bar: the dashboard filters narrowed by `extra`
+async function showSubmissions(title, extra) {
+  const params = filterParams();
+  params.delete('granularity');
+  Object.entries(extra).forEach(([key, value]) => params.set(key, value));
+  const card = document.getElementById('drillDown');
+  const rows = document.getElementById('drillDownRows');
+  document.getElementById('drillDownTitle').textContent = title;
+  document.getElementById('drillDownLink').href = `/users?${params}`;
+  rows.innerHTML = '';
+  card.classList.remove('d-none');
+  try {
+    const data = await fetchJson(`${usersUrl}?${params}&limit=20&sortBy=createdAt&sortDir=desc`);
+    data.users.forEach(user => rows.appendChild(userRow(user, ['name', 'email', 'state', 'country', 'createdAt'])));
+    const total = `${data.totalUsers.toLocaleString()}${data.totalExact ? '' : '+'}`;
+    document.getElementById('drillDownCount').textContent = data.hasMore ? `Newest 20 of ${total}.` : `${total} in all.`;
+    card.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  } catch (err) {
+    console.error('Drill-down Error:', err);
+    displayError(err.message);
+  }
+}
+
+async function loadRecentUsers(params) {
+  const tbody = document.getElementById('recentUsers');
+  const data = await fetchJson(`${usersUrl}?${params}&limit=5&sortBy=createdAt&sortDir=desc`);
+  tbody.innerHTML = '';
+  data.users.forEach(user => {
+    tbody.appendChild(userRow(user, ['name', 'email', 'dob', 'contact', 'state', 'country', 'createdAt', 'validationStatus']));
+  });
+  document.getElementById('recentUsersEmpty').classList.toggle('d-none', data.users.length > 0);
+}
+
+async function loadStats({ refresh = false } = {}) {
+  errorDiv.classList.add('d-none');
+  const params = filterParams();
+  history.replaceState(null, '', `/dashboard?${params}`);
+  try {
+    const stats = await fetchJson(`${statsUrl}?${params}${refresh ? '&refresh=1' : ''}`);
+    renderStats(stats);
+    params.delete('granularity');
+    await loadRecentUsers(params);
+  } catch (err) {
+    console.error('Stats Error:', err);
+    displayError(err.message);
+  }
+}
+
+filterForm.addEventListener('submit', (event) => {
+  event.preventDefault();
+  document.getElementById('drillDown').classList.add('d-none');
+  loadStats();
+});
+document.getElementById('statsGranularity').addEventListener('change', () => loadStats());
+document.getElementById('statsStatus').addEventListener('change', () => loadStats());
+document.getElementById('statsRefresh').addEventListener('click', () => loadStats({ refresh: true }));
+document.getElementById('drillDownClose').addEventListener('click', () => {
+  document.getElementById('drillDown').classList.add('d-none');
+});
+
+loadStats();
@@ -0,0 +1,160 @@
+// Conditional field rules, shared by the browser (served from /form-rules.js) and the server
+// (required by services/formSchema.js), so both decide the same fields are shown and required.
+//
+// A field may have a showIf and a requiredIf rule: conditions joined with "and", each one of
+//   country = India        country != India
+//   country in India, Nepal    country not in India, Nepal
+//   email is empty         email is not empty
+// Values are compared trimmed and ignoring case. A hidden field counts as empty in other rules.
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) module.exports = factory();
+  else root.FormRules = factory();
+})(typeof self !== 'undefined' ? self : this, function () {
+  const normalize = (value) => (value === undefined || value === null ? '' : String(value).trim().toLowerCase());
+
+  // { field, op, values } for one condition, or null when it can't be read
+  function parseCondition(text) {
+    const source = String(text).trim();
+    let match = /^([a-zA-Z]\w*)\s+is\s+(not\s+)?empty$/i.exec(source);
+    if (match) return { field: match[1], op: match[2] ? 'notEmpty' : 'empty', values: [] };
+    match = /^([a-zA-Z]\w*)\s+(not\s+)?in\s+(.+)$/i.exec(source);
+    if (match) {
+      const values = match[3].split(',').map((value) => value.trim()).filter(Boolean);
+      return values.length ? { field: match[1], op: match[2] ? 'notIn' : 'in', values } : null;
+    }
+    match = /^([a-zA-Z]\w*)\s*(!=|=)\s*(.*)$/.exec(source);
+    if (match) return { field: match[1], op: match[2] === '=' ? 'equals' : 'notEquals', values: [match[3].trim()] };
+    return null;
+  }
+
+  // The conditions of a rule; throws on a part that can't be read. An empty rule has none.
+  function parseRule(text) {
+    if (!text || !String(text).trim()) return [];
+    return String(text)
+      .split(/\s+and\s+/i)
+      .map((part) => {
+        const condition = parseCondition(part);
+        if (!condition) throw new Error(`Cannot read the condition "${part.trim()}"`);
+        return condition;
+      });
+  }
+
+  function holds(condition, value) {
+    const actual = normalize(value);
+    const expected = condition.values.map(normalize);
+    switch (condition.op) {
+      case 'empty':
+        return actual === '';
+      case 'notEmpty':
+        return actual !== '';
+      case 'equals':
+      case 'in':
+        return expected.includes(actual);
+      case 'notEquals':
+      case 'notIn':
+        return !expected.includes(actual);
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Which fields are shown and required for the given values (by field name).
+   * Fields are { name, required, showIf, requiredIf }; rules that can't be read are ignored here,
+   * the form definition is checked when it is saved (see ruleErrors).
+   * Returns { visible: { name: bool }, required: { name: bool } }.
+   */
+  function evaluate(fields, values) {
+    const safeParse = (text) => {
+      try {
+        return parseRule(text);
+      } catch (err) {
+        return [];
+      }
+    };
+    const rules = fields.map((field) => ({ field, showIf: safeParse(field.showIf), requiredIf: safeParse(field.requiredIf) }));
+    const visible = {};
+    fields.forEach((field) => { visible[field.name] = true; });
+    const valueOf = (name) => (visible[name] === false ? '' : (values || {})[name]);
+    const all = (conditions) => conditions.every((condition) => holds(condition, valueOf(condition.field)));
+
+    // A rule can depend on a field that is itself conditional, so repeat until nothing changes
+    for (let pass = 0; pass <= fields.length; pass++) {
+      let changed = false;
+      rules.forEach(({ field, showIf }) => {
+        const shown = all(showIf);
+        if (shown !== visible[field.name]) {
+          visible[field.name] = shown;
+          changed = true;
+        }
+      });
+      if (!changed) break;
+    }
+
+    const required = {};
+    rules.forEach(({ field, requiredIf }) => {
+      required[field.name] = visible[field.name] && Boolean(field.required || (requiredIf.length && all(requiredIf)));
+    });
+    return { visible, required };
+  }
+
+  // Problems with the rules of a form definition, as messages; none when every rule is usable
+  function ruleErrors(fields) {
+    const names = fields.map((field) => field.name);
+    const errors = [];
+    fields.forEach((field) => {
+      [['showIf', 'show-if'], ['requiredIf', 'required-if']].forEach(([key, label]) => {
+        try {
+          parseRule(field[key]).forEach((condition) => {
+            if (condition.field === field.name) errors.push(`The ${label} rule of ${field.name} cannot refer to ${field.name} itself`);
+            else if (!names.includes(condition.field)) errors.push(`The ${label} rule of ${field.name} refers to an unknown field "${condition.field}"`);
+          });
+        } catch (err) {
+          errors.push(`The ${label} rule of ${field.name}: ${err.message}`);
+        }
+      });
+    });
+    return errors;
+  }
+
+  // Browser only: keep the inputs of `form` in step with its rules. Hidden inputs are disabled,
+  // so they are neither checked by the browser nor posted. Rules come from the data-show-if and
+  // data-required-if attributes of each [data-field-wrapper].
+  function bind(form) {
+    const wrappers = Array.from(form.querySelectorAll('[data-field-wrapper]'));
+    if (!wrappers.some((wrapper) => wrapper.dataset.showIf || wrapper.dataset.requiredIf)) return null;
+    const fields = wrappers.map((wrapper) => ({
+      name: wrapper.dataset.fieldWrapper,
+      required: wrapper.dataset.required === 'true',
+      showIf: wrapper.dataset.showIf,
+      requiredIf: wrapper.dataset.requiredIf,
+    }));
+    const refresh = () => {
+      const values = {};
+      fields.forEach((field) => {
+        const input = form.elements[field.name];
+        values[field.name] = input ? input.value : '';
+      });
+      const { visible, required } = evaluate(fields, values);
+      wrappers.forEach((wrapper) => {
+        const name = wrapper.dataset.fieldWrapper;
+        const input = form.elements[name];
+        wrapper.hidden = !visible[name];
+        if (input) {
+          input.disabled = !visible[name];
+          input.required = required[name];
+        }
+      });
+    };
+    form.addEventListener('input', refresh);
+    form.addEventListener('change', refresh);
+    refresh();
+    return refresh;
+  }
+
+  if (typeof document !== 'undefined') {
+    document.querySelectorAll('form').forEach(bind);
+  }
+
+  return { parseRule, evaluate, ruleErrors, bind };
+});
@@ -0,0 +1,22 @@
+// Client-side checks for forms rendered from a form definition.
+// The inputs carry the same constraints as the server rules (required, pattern, min/max, length),
+// so the browser's constraint validation API is enough to report them.
+window.FormValidation = {
+  // Returns one message per invalid field, using the field's definition message
+  validate(form) {
+    const messages = [];
+    form.querySelectorAll('[data-label]').forEach(input => {
+      if (input.type === 'file') {
+        // The size limit has no HTML attribute; the server checks the type and contents too
+        const tooLarge = Array.from(input.files).some(file => file.size > Number(input.dataset.maxBytes));
+        input.setCustomValidity(tooLarge ? input.dataset.message : '');
+      } else if (input.type !== 'select-one' && typeof input.value === 'string' && input.value !== input.value.trim()) {
+        input.value = input.value.trim();
+      }
+      if (!input.checkValidity()) {
+        messages.push(input.value ? input.dataset.message : `${input.dataset.label} is required`);
+      }
+    });
+    return messages;
+  }
+};
@@ -0,0 +1,91 @@
+// Client side of the multi-step public form (a form with data-wizard and <fieldset class="wizard-step">
+// sections). Back and Next switch sections in place; Next checks the section in the browser, then asks
+// the server to check it too. Without this script the same buttons post the form and the server
+// renders the next step.
+window.FormWizard = (() => {
+  const form = document.querySelector('form[data-wizard]');
+  if (!form) return null;
+  const steps = Array.from(form.querySelectorAll('.wizard-step'));
+  const stepInput = form.querySelector('input[name="step"]');
+  const primary = document.getElementById('primaryButton');
+  const back = document.getElementById('backButton');
+  const password = document.getElementById('passwordBlock');
+  const title = document.getElementById('wizardStepTitle');
+  const bar = document.getElementById('wizardProgress');
+  let current = Number(stepInput.value) || 0;
+
+  // A section whose fields are all hidden by the form's rules is skipped; the last one holds the submit button
+  const isShown = index => index === steps.length - 1 || Array.from(steps[index].querySelectorAll('[data-field-wrapper]')).some(wrapper => !wrapper.hidden);
+
+  function show(index, direction = 1) {
+    let target = Math.min(Math.max(index, 0), steps.length - 1);
+    while (target > 0 && target < steps.length - 1 && !isShown(target)) target += direction;
+    current = target;
+    const last = current === steps.length - 1;
+    steps.forEach((step, i) => { step.hidden = i !== current; });
+    stepInput.value = current;
+    back.hidden = current === 0;
+    password.hidden = !last;
+    primary.value = last ? 'submit' : 'next';
+    primary.textContent = last ? 'Submit' : 'Next →';
+    title.textContent = `Step ${current + 1} of ${steps.length}: ${steps[current].dataset.title}`;
+    bar.style.width = `${Math.round(((current + 1) / steps.length) * 100)}%`;
+    bar.parentElement.setAttribute('aria-valuenow', current + 1);
+    form.scrollIntoView({ behavior: 'smooth', block: 'start' });
+  }
+
+  // Put the server's messages under the inputs they are about
+  function showServerErrors(details) {
+    details.forEach(({ field, message }) => {
+      const input = form.querySelector(`[name="${field}"]`);
+      if (!input) return;
+      input.classList.add('is-invalid');
+      const feedback = input.closest('[data-field-wrapper]').querySelector('.invalid-feedback:last-child');
+      if (feedback) feedback.textContent = message;
+    });
+  }
+
+  async function next() {
+    const step = steps[current];
+    const messages = FormValidation.validate(step);
+    if (messages.length > 0) {
+      step.classList.add('was-validated');
+      alert(messages.join('\n'));
+      return;
+    }
+
+    // Files go along so the server can check them too; otherwise a plain urlencoded body will do
+    const data = new FormData(form);
+    const body = form.enctype === 'multipart/form-data' ? data : new URLSearchParams(data);
+    body.delete('password');
+    body.set('nav', 'next');
+    primary.disabled = true;
+    try {
+      const response = await fetch(form.action, { method: 'POST', body, headers: { Accept: 'application/json' } });
+      const data = await response.json();
+      if (response.ok) return show(data.step);
+      if (data.error && data.error.details) {
+        showServerErrors(data.error.details);
+        alert(data.error.details.map(detail => detail.message).join('\n'));
+        return;
+      }
+      throw new Error(data.error ? data.error.message : `Status ${response.status}`);
+    } catch (err) {
+      // The final submit checks every field again, so carry on rather than block the respondent
+      console.error('Step check failed:', err);
+      show(current + 1);
+    } finally {
+      primary.disabled = false;
+    }
+  }
+
+  // Jump to the first section with a field the browser finds invalid
+  function showInvalid() {
+    const index = steps.findIndex(step => Array.from(step.querySelectorAll('[data-label]')).some(input => !input.checkValidity()));
+    if (index >= 0 && index !== current) show(index);
+  }
+
+  form.addEventListener('input', event => event.target.classList.remove('is-invalid'));
+
+  return { next, back: () => show(current - 1, -1), showInvalid };
+})();
@@ -0,0 +1,46 @@
+// Dependent dropdowns for forms with a country field (select[data-geo="country"]): picking a country
+// refills the form's region dropdowns with its subdivisions and shows its calling code in the phone
+// inputs. The list comes from /geo.json, fetched once when a form needs it.
+(() => {
+  let data = null;
+  const load = () => {
+    if (!data) {
+      data = fetch('/geo.json')
+        .then(response => response.json())
+        .then(countries => new Map(countries.map(country => [country.name, country])))
+        .catch(err => {
+          console.error('Could not load the country list:', err);
+          data = null;
+          return new Map();
+        });
+    }
+    return data;
+  };
+
+  function fillRegions(select, country) {
+    const current = select.value;
+    const names = country ? country.subdivisions : [];
+    Array.from(select.options).slice(1).forEach(option => option.remove());
+    names.forEach(name => select.add(new Option(name, name, false, name === current)));
+    // Let the form's rules see the cleared value
+    if (select.value !== current) select.dispatchEvent(new Event('input', { bubbles: true }));
+  }
+
+  function showCallingCode(input, country) {
+    if (!input.dataset.placeholder) input.dataset.placeholder = input.placeholder;
+    input.placeholder = country && country.callingCode ? `${country.callingCode} phone number` : input.dataset.placeholder;
+  }
+
+  document.querySelectorAll('form').forEach(form => {
+    const countrySelect = form.querySelector('select[data-geo="country"]');
+    if (!countrySelect) return;
+    const update = async ({ refill }) => {
+      const country = (await load()).get(countrySelect.value);
+      if (refill) form.querySelectorAll('select[data-geo="region"]').forEach(select => fillRegions(select, country));
+      form.querySelectorAll('input[data-geo="tel"]').forEach(input => showCallingCode(input, country));
+    };
+    countrySelect.addEventListener('change', () => update({ refill: true }));
+    // The server already rendered the regions of a preselected country
+    if (countrySelect.value) update({ refill: false });
+  });
+})();
@@ -1,4 +1,4 @@
-const apiUrl = '/api/users';
+const apiUrl = '/api/v1/users';
 const userGrid = document.getElementById('userGrid');
 const errorDiv = document.getElementById('error');
 const deleteAllBtn = document.getElementById('deleteAllBtn');
@@ -6,8 +6,19 @@ const loadingDiv = document.getElementById('loading');
 const paginationDiv = document.getElementById('pagination');
 const filterInput = document.getElementById('filterInput');
 const headers = document.querySelectorAll('th[data-sort]');
+const gridConfig = window.gridConfig || {
+  form: '',
+  canEdit: true,
+  columns: ['name', 'email', 'dob', 'contact', 'state', 'country'].map(name => ({ name, type: name === 'dob' ? 'date' : 'text' }))
+};
+const coreFields = ['name', 'email', 'dob', 'contact', 'state', 'country'];
+// Sent with every state-changing request; the server rejects them without it
+const csrfMeta = document.querySelector('meta[name="csrf-token"]');
+const csrfToken = csrfMeta ? csrfMeta.content : '';
 
-let currentPage = 1;
+// Cursors of the pages visited since the sort or filters last changed; the last one is the page shown
+let pageCursors = [''];
+let totalUsers = null;
 const limit = 50;
 let sortField = 'name';
 let sortDirection = 'asc';
@@ -32,6 +43,41 @@ function clearError() {
   errorDiv.classList.remove('show');
 }
 
+// Stored values are whatever respondents typed, so they go into the grid's HTML escaped
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[char]);
+}
+
+// Show dates as YYYY-MM-DD so an edited cell can be sent back as is
+function cellText(user, column) {
+  const value = coreFields.includes(column.name) ? user[column.name] : (user.extra || {})[column.name];
+  if (value === undefined || value === null) return '';
+  return column.type === 'date' ? String(value).split('T')[0] : value;
+}
+
+// Files are replaced on the edit page, so their cells only link to the download
+function fileLink(user, column) {
+  const name = cellText(user, column);
+  if (!name) return '';
+  return `<a href="/attachments/${user._id}/${encodeURIComponent(column.name)}">📎 ${escapeHtml(name)}</a>`;
+}
+
+// Message of an API error envelope: { error: { code, message, details? } }
+function responseError(data, fallback) {
+  const error = data && data.error;
+  if (!error) return fallback;
+  if (Array.isArray(error.details) && error.details.length) return error.details.map(d => d.message).join(', ');
+  return error.message || fallback;
+}
+
+// Add the filters of the page's filter panel, when there is one
+function appendPanelFilters(queryParams) {
+  if (typeof currentFilterParams !== 'function') return;
+  currentFilterParams().forEach((value, key) => {
+    if (key !== 'form') queryParams.append(key, value);
+  });
+}
+
 function updateSortIndicators() {
   headers.forEach(header => {
     header.classList.remove('sort-asc', 'sort-desc');
@@ -41,20 +87,24 @@ function updateSortIndicators() {
   });
 }
 
-async function fetchUsers(page = 1) {
+// Loads the page at the top of pageCursors
+async function fetchUsers() {
   showLoading();
   try {
+    const cursor = pageCursors[pageCursors.length - 1];
     const queryParams = new URLSearchParams({
-      page,
       limit,
       sortBy: sortField,
       sortDir: sortDirection,
       search: searchQuery
     });
+    if (gridConfig.form) queryParams.set('form', gridConfig.form);
+    appendPanelFilters(queryParams);
+    if (cursor) queryParams.set('cursor', cursor);
     const response = await fetch(`${apiUrl}?${queryParams}`);
     if (!response.ok) {
       const data = await response.json();
-      throw new Error(data.error || `Failed to fetch users (Status: ${response.status})`);
+      throw new Error(responseError(data, `Failed to fetch users (Status: ${response.status})`));
     }
 
     const data = await response.json();
@@ -62,29 +112,24 @@ async function fetchUsers(page = 1) {
       throw new Error('Invalid response: users array not found');
     }
 
-    let users = data.users;
-    if (searchQuery) {
-      users = users.filter(user =>
-        (user.name || '').toLowerCase().includes(searchQuery.toLowerCase())
-      );
+    const users = data.users;
+    if (typeof data.totalUsers === 'number') {
+      totalUsers = `${data.totalUsers.toLocaleString()}${data.totalExact ? '' : '+'}`;
     }
-
-    currentPage = data.page || 1;
     userGrid.innerHTML = '';
 
     users.forEach(user => {
       const row = document.createElement('tr');
       row.dataset.id = user._id;
       row.innerHTML = `
-        <td data-field="name" contenteditable="true">${user.name || ''}</td>
-        <td data-field="email" contenteditable="true">${user.email || ''}</td>
-        <td data-field="dob" contenteditable="true">${user.dob ? new Date(user.dob).toLocaleDateString() : ''}</td>
-        <td data-field="contact" contenteditable="true">${user.contact || ''}</td>
-        <td data-field="state" contenteditable="true">${user.state || ''}</td>
-        <td data-field="country" contenteditable="true">${user.country || ''}</td>
+        ${gridConfig.columns.map(column => column.type === 'file'
+          ? `<td data-field="${column.name}">${fileLink(user, column)}</td>`
+          : `<td data-field="${column.name}"${gridConfig.canEdit ? ' contenteditable="true"' : ''}>${escapeHtml(cellText(user, column))}</td>`).join('')}
         <td class="actions-cell">
-          <button class="btn btn-primary btn-small" onclick="window.location.href='/edit/${user._id}'">✏️ Edit</button>
-          <button class="btn btn-danger btn-small" onclick="deleteUser('${user._id}')">🗑️ Delete</button>
+          ${gridConfig.canEdit ? `
+            <button class="btn btn-primary btn-small" onclick="window.location.href='/edit/${user._id}'">✏️ Edit</button>
+            <button class="btn btn-danger btn-small" onclick="deleteUser('${user._id}')">🗑️ Delete</button>
+          ` : ''}
         </td>
       `;
       userGrid.appendChild(row);
@@ -96,7 +141,7 @@ async function fetchUsers(page = 1) {
         const field = e.target.dataset.field;
         const value = e.target.textContent.trim();
         if (value !== e.target.dataset.original) {
-          await updateUser(userId, { [field]: field === 'dob' ? new Date(value).toISOString() : value });
+          await updateUser(userId, { [field]: value });
         }
       });
       cell.addEventListener('focus', (e) => {
@@ -110,7 +155,7 @@ async function fetchUsers(page = 1) {
       });
     });
 
-    updatePagination(Math.ceil(users.length / limit) || 1);
+    updatePagination(data.nextCursor);
     console.log(`Fetched ${users.length} users for search: "${searchQuery}"`);
     return users;
   } catch (err) {
@@ -122,26 +167,38 @@ async function fetchUsers(page = 1) {
   }
 }
 
-function updatePagination(totalPages) {
+// Sort or filters changed: start over from the first page
+function fetchFirstPage() {
+  pageCursors = [''];
+  return fetchUsers();
+}
+
+function updatePagination(nextCursor) {
   paginationDiv.innerHTML = '';
-  if (totalPages > 1) {
-    if (currentPage > 1) {
+  if (pageCursors.length > 1 || nextCursor) {
+    if (pageCursors.length > 1) {
       const prevBtn = document.createElement('button');
       prevBtn.className = 'btn btn-primary';
       prevBtn.textContent = '« Previous';
-      prevBtn.onclick = () => fetchUsers(currentPage - 1);
+      prevBtn.onclick = () => {
+        pageCursors.pop();
+        fetchUsers();
+      };
       paginationDiv.appendChild(prevBtn);
     }
 
     const pageInfo = document.createElement('span');
-    pageInfo.textContent = ` Page ${currentPage} of ${totalPages} `;
+    pageInfo.textContent = ` Page ${pageCursors.length}${totalUsers ? ` · ${totalUsers} users` : ''} `;
     paginationDiv.appendChild(pageInfo);
 
-    if (currentPage < totalPages) {
+    if (nextCursor) {
       const nextBtn = document.createElement('button');
       nextBtn.className = 'btn btn-primary';
       nextBtn.textContent = 'Next »';
-      nextBtn.onclick = () => fetchUsers(currentPage + 1);
+      nextBtn.onclick = () => {
+        pageCursors.push(nextCursor);
+        fetchUsers();
+      };
       paginationDiv.appendChild(nextBtn);
     }
   }
@@ -153,31 +210,32 @@ async function updateUser(id, updates) {
     if (updates.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(updates.email)) {
       throw new Error('Invalid email format');
     }
-    if (updates.dob && isNaN(new Date(updates.dob).getTime())) {
+    if (updates.dob && !/^\d{4}-\d{2}-\d{2}$/.test(updates.dob)) {
       throw new Error('Invalid date of birth');
     }
-    if (updates.contact && !/^[0-9]{10}$/.test(updates.contact)) {
-      throw new Error('Contact must be a valid 10-digit number');
+    // The server checks the number against the submission's country and stores it as +<country code><number>
+    if (updates.contact && !/^\+?[0-9 ()-]{6,20}$/.test(updates.contact)) {
+      throw new Error('Contact must be a phone number, e.g. +919876543210');
     }
-    if (updates.state && (updates.state.length < 2 || updates.state.length > 50)) {
-      throw new Error('State must be between 2 and 50 characters');
+    if (updates.state && (updates.state.length < 2 || updates.state.length > 100)) {
+      throw new Error('State must be between 2 and 100 characters');
     }
     if (updates.country && (updates.country.length < 2 || updates.country.length > 50)) {
       throw new Error('Country must be between 2 and 50 characters');
     }
     const response = await fetch(`${apiUrl}/${id}`, {
       method: 'PATCH',
-      headers: { 'Content-Type': 'application/json' },
+      headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
       body: JSON.stringify(updates)
     });
     if (!response.ok) {
       const data = await response.json();
-      throw new Error(data.error || `Failed to update user (Status: ${response.status})`);
+      throw new Error(responseError(data, `Failed to update user (Status: ${response.status})`));
     }
   } catch (err) {
     console.error('Update User Error:', err);
     displayError(err.message);
-    fetchUsers(currentPage);
+    fetchUsers();
   } finally {
     hideLoading();
   }
@@ -185,15 +243,15 @@ async function updateUser(id, updates) {
 
 // ✅ Make deleteUser globally accessible
 window.deleteUser = async function(id) {
-  if (!confirm('Are you sure you want to delete this user?')) return;
+  if (!confirm('Move this user to the trash?')) return;
   showLoading();
   try {
-    const response = await fetch(`${apiUrl}/${id}`, { method: 'DELETE' });
+    const response = await fetch(`${apiUrl}/${id}`, { method: 'DELETE', headers: { 'X-CSRF-Token': csrfToken } });
     if (!response.ok) {
       const data = await response.json();
-      throw new Error(data.error || `Failed to delete user (Status: ${response.status})`);
+      throw new Error(responseError(data, `Failed to delete user (Status: ${response.status})`));
     }
-    fetchUsers(currentPage);
+    fetchUsers();
   } catch (err) {
     console.error('Delete User Error:', err);
     displayError(err.message);
@@ -203,15 +261,24 @@ window.deleteUser = async function(id) {
 };
 
 deleteAllBtn.addEventListener('click', async () => {
-  if (!confirm('Are you sure you want to delete all users?')) return;
+  const typed = prompt(`All submissions of this form will be moved to the trash. Type "${gridConfig.form}" to confirm.`);
+  if (typed === null) return;
+  if (typed.trim() !== gridConfig.form) {
+    displayError('Confirmation did not match; nothing was deleted.');
+    return;
+  }
   showLoading();
   try {
-    const response = await fetch(apiUrl, { method: 'DELETE' });
+    const response = await fetch(`${apiUrl}?form=${encodeURIComponent(gridConfig.form)}`, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json', 'X-CSRF-Token': csrfToken },
+      body: JSON.stringify({ confirm: typed.trim() })
+    });
     if (!response.ok) {
       const data = await response.json();
-      throw new Error(data.error || `Failed to delete all users (Status: ${response.status})`);
+      throw new Error(responseError(data, `Failed to delete all users (Status: ${response.status})`));
     }
-    fetchUsers(1);
+    fetchFirstPage();
   } catch (err) {
     console.error('Delete All Users Error:', err);
     displayError(err.message);
@@ -224,13 +291,15 @@ function refreshData() {
   searchQuery = '';
   filterInput.value = '';
   clearError();
-  fetchUsers(currentPage);
+  fetchFirstPage();
 }
 
-// ✅ Export function for JSON, globally accessible
+// ✅ Export function for JSON, globally accessible; exports what the grid is filtered on
 window.exportJson = function() {
-  console.log('Export JSON functionality to be implemented');
-  displayError('Export JSON is not yet implemented. Please contact the administrator.');
+  const queryParams = new URLSearchParams({ format: 'json', search: searchQuery });
+  if (gridConfig.form) queryParams.set('form', gridConfig.form);
+  appendPanelFilters(queryParams);
+  window.location.href = `/export?${queryParams}`;
 };
 
 function debounce(func, wait) {
@@ -242,7 +311,7 @@ function debounce(func, wait) {
 
 async function checkAndShowForm() {
   clearError();
-  const users = await fetchUsers(currentPage);
+  const users = await fetchFirstPage();
   if (users.length === 0 && searchQuery) {
     displayError('No users found for the given name.');
   } else {
@@ -252,7 +321,6 @@ async function checkAndShowForm() {
 
 filterInput.addEventListener('input', debounce((e) => {
   searchQuery = e.target.value.trim();
-  currentPage = 1;
   checkAndShowForm();
 }, 300));
 
@@ -266,7 +334,7 @@ headers.forEach(header => {
       sortDirection = 'asc';
     }
     updateSortIndicators();
-    fetchUsers(currentPage);
+    fetchFirstPage();
   });
 });
 
@@ -297,4 +365,5 @@ userGrid.addEventListener('keydown', (e) => {
 });
 
 // Initial load
+updateSortIndicators();
 fetchUsers();
\ No newline at end of file
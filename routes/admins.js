@@ -0,0 +1,73 @@
+const express = require('express');
+const router = express.Router();
+const Admin = require('../models/Admin');
+const ApiKey = require('../models/ApiKey');
+const { revokeAllSessions } = require('../services/sessions');
+
+// Render the admin list, optionally with a freshly created invite link to hand out
+async function renderAdmins(req, res, { status = 200, error = null, inviteLink = null } = {}) {
+  const admins = await Admin.find().sort({ createdAt: 1 });
+  res.status(status).render('admins', { admins, roles: Admin.ROLES, error, inviteLink });
+}
+
+// Refuse changes that would leave the app without an active owner
+async function isLastOwner(admin) {
+  if (admin.role !== 'owner' || admin.status !== 'active') return false;
+  return (await Admin.countDocuments({ role: 'owner', status: 'active' })) <= 1;
+}
+
+router.get('/', async (req, res) => {
+  try {
+    await renderAdmins(req, res);
+  } catch (err) {
+    console.error('❌ Error loading admins:', err.message);
+    res.render('admins', { admins: [], roles: Admin.ROLES, error: 'Error loading admins. Please try again.', inviteLink: null });
+  }
+});
+
+router.post('/invite', async (req, res, next) => {
+  try {
+    const role = Admin.ROLES.includes(req.body.role) ? req.body.role : 'viewer';
+    const { admin, token } = await Admin.invite({ email: req.body.email || undefined, role, invitedBy: req.admin._id });
+    console.log(`✅ Admin invite ${admin._id} (${role}) created by ${req.admin.username}`);
+    await renderAdmins(req, res, { inviteLink: `${req.protocol}://${req.get('host')}/invite/${token}` });
+  } catch (err) {
+    console.error('❌ Error creating invite:', err.message);
+    renderAdmins(req, res, { status: 400, error: err.message }).catch(next);
+  }
+});
+
+router.post('/:id/role', async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.redirect('/admins');
+    if (!Admin.ROLES.includes(req.body.role)) throw new Error('Unknown role');
+    if (req.body.role !== 'owner' && (await isLastOwner(admin))) throw new Error('There must be at least one owner');
+    admin.role = req.body.role;
+    await admin.save();
+    console.log(`✅ ${req.admin.username} changed role of ${admin.username || `invitee ${admin._id}`} to ${admin.role}`);
+    res.redirect('/admins');
+  } catch (err) {
+    console.error('❌ Error changing role:', err.message);
+    renderAdmins(req, res, { status: 400, error: err.message }).catch(next);
+  }
+});
+
+router.post('/:id/delete', async (req, res, next) => {
+  try {
+    const admin = await Admin.findById(req.params.id);
+    if (!admin) return res.redirect('/admins');
+    if (admin._id.equals(req.admin._id)) throw new Error('You cannot remove your own account');
+    if (await isLastOwner(admin)) throw new Error('There must be at least one owner');
+    await admin.deleteOne();
+    await revokeAllSessions(admin._id);
+    await ApiKey.updateMany({ admin: admin._id, revokedAt: null }, { revokedAt: new Date() });
+    console.log(`✅ ${req.admin.username} removed admin ${admin.username || `invitee ${admin._id}`}`);
+    res.redirect('/admins');
+  } catch (err) {
+    console.error('❌ Error removing admin:', err.message);
+    renderAdmins(req, res, { status: 400, error: err.message }).catch(next);
+  }
+});
+
+module.exports = router;
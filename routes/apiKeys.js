@@ -0,0 +1,67 @@
+const express = require('express');
+const router = express.Router();
+const ApiKey = require('../models/ApiKey');
+
+// Admins manage their own keys; owners also see everyone's and can revoke them
+async function renderApiKeys(req, res, { status = 200, error = null, success = null, newToken = null } = {}) {
+  const isOwner = req.admin.hasRole('owner');
+  const apiKeys = await ApiKey.find(isOwner ? {} : { admin: req.admin._id })
+    .sort({ revokedAt: 1, createdAt: -1 })
+    .populate('admin', 'username');
+  res.status(status).render('api-keys', {
+    apiKeys,
+    scopes: req.admin.hasRole('editor') ? ApiKey.SCOPES : ['read'],
+    showOwner: isOwner,
+    newToken,
+    error,
+    success,
+  });
+}
+
+const canManage = (req, apiKey) => apiKey.admin.equals(req.admin._id) || req.admin.hasRole('owner');
+
+router.get('/', async (req, res) => {
+  try {
+    await renderApiKeys(req, res);
+  } catch (err) {
+    console.error('❌ Error loading API keys:', err.message);
+    res.status(500).render('api-keys', {
+      apiKeys: [],
+      scopes: ApiKey.SCOPES,
+      showOwner: false,
+      newToken: null,
+      error: 'Error loading API keys. Please try again.',
+      success: null,
+    });
+  }
+});
+
+router.post('/', async (req, res, next) => {
+  try {
+    // A read-write key can't do more than its admin, so viewers only get read keys
+    const scope = ApiKey.SCOPES.includes(req.body.scope) && req.admin.hasRole('editor') ? req.body.scope : 'read';
+    const { apiKey, token } = await ApiKey.generate({ name: req.body.name, scope, admin: req.admin._id });
+    console.log(`✅ ${req.admin.username} created ${scope} API key ${apiKey.keyPrefix} (${apiKey.name})`);
+    await renderApiKeys(req, res, { newToken: token });
+  } catch (err) {
+    console.error('❌ Error creating API key:', err.message);
+    const error = err.name === 'ValidationError' ? Object.values(err.errors).map((e) => e.message).join(', ') : err.message;
+    renderApiKeys(req, res, { status: 400, error }).catch(next);
+  }
+});
+
+router.post('/:id/revoke', async (req, res, next) => {
+  try {
+    const apiKey = await ApiKey.findOne({ _id: req.params.id, revokedAt: null });
+    if (!apiKey || !canManage(req, apiKey)) return res.redirect('/settings/api-keys');
+    apiKey.revokedAt = new Date();
+    await apiKey.save();
+    console.log(`✅ ${req.admin.username} revoked API key ${apiKey.keyPrefix} (${apiKey.name})`);
+    await renderApiKeys(req, res, { success: `API key "${apiKey.name}" revoked.` });
+  } catch (err) {
+    console.error('❌ Error revoking API key:', err.message);
+    renderApiKeys(req, res, { status: 500, error: 'Error revoking API key. Please try again.' }).catch(next);
+  }
+});
+
+module.exports = router;
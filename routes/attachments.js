@@ -0,0 +1,54 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Attachment = require('../models/Attachment');
+const User = require('../models/User');
+const { storageFor } = require('../services/attachments');
+
+// The current file of a live submission's file field, or null. Files of trashed submissions are
+// kept for a restore, but can't be downloaded until then.
+async function findAttachment(req) {
+  if (!mongoose.isValidObjectId(req.params.submission)) return null;
+  if (!(await User.exists({ _id: req.params.submission, deletedAt: null }))) return null;
+  return Attachment.findOne({ submission: req.params.submission, field: req.params.field }).sort({ createdAt: -1 });
+}
+
+// Send one stored file; answers 404 when the attachment or its stored file is gone
+async function sendStored(res, attachment, key, headers) {
+  let data;
+  try {
+    data = await storageFor(attachment.storage).get(key);
+  } catch (err) {
+    if (err.code !== 'NOT_FOUND') throw err;
+    console.error(`❌ Stored file ${key} of attachment ${attachment._id} is missing`);
+    return res.status(404).send('File not found');
+  }
+  res.set({ 'Cache-Control': 'private, no-store', ...headers });
+  res.send(data);
+}
+
+// Always downloaded, never shown inline, so an uploaded HTML or SVG file can't run in the app's origin
+router.get('/:submission/:field', async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment) return res.status(404).send('File not found');
+    res.attachment(attachment.originalName);
+    await sendStored(res, attachment, attachment.key, { 'Content-Type': attachment.contentType });
+  } catch (err) {
+    console.error('❌ Error downloading attachment:', err.message);
+    res.status(500).send('Error downloading file');
+  }
+});
+
+router.get('/:submission/:field/thumbnail', async (req, res) => {
+  try {
+    const attachment = await findAttachment(req);
+    if (!attachment || !attachment.thumbnailKey) return res.status(404).send('No thumbnail');
+    await sendStored(res, attachment, attachment.thumbnailKey, { 'Content-Type': 'image/jpeg' });
+  } catch (err) {
+    console.error('❌ Error sending thumbnail:', err.message);
+    res.status(500).send('Error sending thumbnail');
+  }
+});
+
+module.exports = router;
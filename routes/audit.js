@@ -0,0 +1,63 @@
+const express = require('express');
+const router = express.Router();
+const AuditLog = require('../models/AuditLog');
+const Form = require('../models/Form');
+const { buildAuditFilter, readableEntry } = require('../services/audit');
+const { seesMaskedData, maskAuditEntry } = require('../services/masking');
+const { sendApiError } = require('../services/apiErrors');
+
+// Mounted on /audit (page) and /api/v1/audit (JSON); both take the same filters, see buildAuditFilter
+const isApi = (req) => req.baseUrl.startsWith('/api/');
+
+router.get('/', async (req, res) => {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+  const filters = {
+    actor: req.query.actor || '',
+    action: req.query.action || '',
+    form: req.query.form || '',
+    submission: req.query.submission || '',
+    email: req.query.email || '',
+    from: req.query.from || '',
+    to: req.query.to || '',
+  };
+
+  try {
+    const forms = await Form.find().sort({ title: 1 }).select('slug title');
+    const form = filters.form ? forms.find((f) => f.slug === filters.form) : null;
+    if (filters.form && !form) {
+      const error = `Unknown form "${filters.form}"`;
+      if (isApi(req)) return sendApiError(res, 400, error, { details: [{ field: 'form', message: error }] });
+      return res.status(400).render('audit', { entries: [], forms, filters, actions: AuditLog.ACTIONS, page: 1, totalPages: 1, total: 0, error });
+    }
+
+    const query = buildAuditFilter({ ...filters, formId: form && form._id });
+    const total = await AuditLog.countDocuments(query);
+    const stored = await AuditLog.find(query)
+      .sort({ createdAt: -1, _id: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .populate('form', 'slug title')
+      .lean();
+    const entries = stored.map(readableEntry).map((entry) => (seesMaskedData(req.admin) ? maskAuditEntry(entry) : entry));
+    const totalPages = Math.max(Math.ceil(total / limit), 1);
+
+    if (isApi(req)) return res.json({ entries, page, totalPages, total });
+    res.render('audit', { entries, forms, filters, actions: AuditLog.ACTIONS, page, totalPages, total, error: null });
+  } catch (err) {
+    console.error('❌ Error loading audit log:', err.message);
+    if (isApi(req)) return sendApiError(res, 500, 'Error loading audit log');
+    res.status(500).render('audit', {
+      entries: [],
+      forms: [],
+      filters,
+      actions: AuditLog.ACTIONS,
+      page: 1,
+      totalPages: 1,
+      total: 0,
+      error: 'Error loading audit log. Please try again.',
+    });
+  }
+});
+
+module.exports = router;
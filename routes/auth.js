@@ -0,0 +1,155 @@
+const express = require('express');
+const router = express.Router();
+const Admin = require('../models/Admin');
+const loginThrottle = require('../services/loginThrottle');
+const { noActiveAdmins, checkSetupToken, closeSetup } = require('../services/adminSetup');
+
+const SETUP_LINK_INVALID = 'This setup link is invalid. Open the /setup link printed in the server log at startup, or restart the server to get a new one.';
+
+// Start a fresh session for the signed-in admin, so a session id from before login can't be reused
+function signIn(req, admin, done) {
+  req.session.regenerate((err) => {
+    if (err) return done(err);
+    const now = new Date();
+    req.session.adminId = admin._id.toString();
+    req.session.isAdmin = true;
+    // Shown on the sessions page so admins can tell their devices apart
+    req.session.ip = req.ip;
+    req.session.userAgent = req.get('user-agent') || '';
+    req.session.signedInAt = now;
+    req.session.lastSeenAt = now;
+    done();
+  });
+}
+
+router.get('/admin', async (req, res, next) => {
+  try {
+    if (await noActiveAdmins()) return res.redirect('/setup');
+    res.render('admin', { error: null });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/admin', async (req, res, next) => {
+  const { username, password } = req.body;
+
+  try {
+    const lock = await loginThrottle.checkLock(username, req.ip);
+    if (lock.locked) {
+      return res.status(429).render('admin', {
+        error: `🚫 Too many failed attempts. Please try again in ${loginThrottle.formatWait(lock.retryAfterMs)}.`,
+      });
+    }
+
+    const admin = await Admin.findOne({ username: String(username || '').trim().toLowerCase(), status: 'active' });
+    if (admin && (await admin.verifyPassword(password))) {
+      admin.lastLoginAt = new Date();
+      await admin.save();
+      await loginThrottle.clearFailures(username, req.ip);
+      console.log(`✅ Admin signed in: ${admin.username} (${admin.role})`);
+      return signIn(req, admin, (err) => (err ? next(err) : res.redirect('/dashboard')));
+    }
+    const failure = await loginThrottle.recordFailure(username, req.ip);
+    console.log(`❌ Failed login for "${username}" from ${req.ip} (${failure.failures} failures)`);
+    if (failure.retryAfterMs) {
+      return res.status(429).render('admin', {
+        error: `🚫 Too many failed attempts. Please try again in ${loginThrottle.formatWait(failure.retryAfterMs)}.`,
+      });
+    }
+    return res.render('admin', { error: `❌ Invalid credentials. ${failure.remaining} attempts remaining.` });
+  } catch (err) {
+    console.error('❌ Error signing in:', err.message);
+    next(err);
+  }
+});
+
+// Signing out is a POST; the GET page is the fallback for the nav links when JavaScript is off
+router.get('/logout', (req, res) => {
+  res.render('logout');
+});
+
+router.post('/logout', (req, res) => {
+  req.session.destroy(() => {
+    res.redirect('/admin');
+  });
+});
+
+// First-run setup: only available while there is no active admin, and only with the setup token
+// printed at startup (see services/adminSetup.js); creates the first owner
+const setupPage = (token, locals) => ({ mode: 'setup', action: '/setup', email: '', role: 'owner', token, error: null, ...locals });
+
+router.get('/setup', async (req, res, next) => {
+  try {
+    if (!(await noActiveAdmins())) return res.redirect('/admin');
+    if (!checkSetupToken(req.query.token)) return res.status(403).render('admin', { error: SETUP_LINK_INVALID });
+    res.render('account-setup', setupPage(req.query.token));
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/setup', async (req, res, next) => {
+  const { username, email, password, confirmPassword, token } = req.body;
+  const renderError = (error) => res.status(400).render('account-setup', setupPage(token, { email: email || '', error }));
+  try {
+    if (!(await noActiveAdmins())) return res.redirect('/admin');
+    if (!checkSetupToken(token)) return res.status(403).render('admin', { error: SETUP_LINK_INVALID });
+    if (password !== confirmPassword) return renderError('Passwords do not match');
+    const admin = new Admin({ username, email: email || undefined, role: 'owner' });
+    await admin.setPassword(password);
+    await admin.save();
+    closeSetup();
+    console.log(`✅ First owner created: ${admin.username}`);
+    signIn(req, admin, (err) => (err ? next(err) : res.redirect('/dashboard')));
+  } catch (err) {
+    console.error('❌ Error during setup:', err.message);
+    renderError(err.name === 'ValidationError' ? Object.values(err.errors).map((e) => e.message).join(', ') : err.message);
+  }
+});
+
+// Invite acceptance: the invitee picks a username and password
+router.get('/invite/:token', async (req, res, next) => {
+  try {
+    const admin = await Admin.findByInviteToken(req.params.token);
+    if (!admin) return res.status(404).render('admin', { error: 'This invite link is invalid or has expired.' });
+    res.render('account-setup', {
+      mode: 'invite',
+      action: `/invite/${encodeURIComponent(req.params.token)}`,
+      email: admin.email || '',
+      role: admin.role,
+      error: null,
+    });
+  } catch (err) {
+    next(err);
+  }
+});
+
+router.post('/invite/:token', async (req, res, next) => {
+  const { username, password, confirmPassword } = req.body;
+  let admin;
+  try {
+    admin = await Admin.findByInviteToken(req.params.token);
+    if (!admin) return res.status(404).render('admin', { error: 'This invite link is invalid or has expired.' });
+    if (password !== confirmPassword) throw new Error('Passwords do not match');
+    admin.username = username;
+    await admin.setPassword(password);
+    admin.status = 'active';
+    admin.inviteTokenHash = undefined;
+    admin.inviteExpiresAt = undefined;
+    await admin.save();
+    console.log(`✅ Invite accepted: ${admin.username} (${admin.role})`);
+    signIn(req, admin, (err) => (err ? next(err) : res.redirect('/dashboard')));
+  } catch (err) {
+    console.error('❌ Error accepting invite:', err.message);
+    res.status(400).render('account-setup', {
+      mode: 'invite',
+      action: `/invite/${encodeURIComponent(req.params.token)}`,
+      email: (admin && admin.email) || '',
+      role: (admin && admin.role) || 'viewer',
+      error: err.name === 'ValidationError' ? Object.values(err.errors).map((e) => e.message).join(', ') : err.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,136 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const User = require('../models/User');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { formValues } = require('../services/formSchema');
+const { scanForm, mergeCandidate } = require('../services/duplicates');
+
+const PAGE_SIZE = 25;
+const REASON_LABELS = { contact: 'Same contact', email: 'Same mailbox', name_dob: 'Similar name, same birthday' };
+
+// Render the review queue of req.form: pairs with ?status= (open by default), surest first
+async function renderQueue(req, res, { status = 200, error = null, success = null } = {}) {
+  const state = DuplicateCandidate.STATUSES.includes(req.query.status) ? req.query.status : 'open';
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const filter = { form: req.form._id, status: state };
+  const total = await DuplicateCandidate.countDocuments(filter);
+  const candidates = await DuplicateCandidate.find(filter)
+    .sort({ score: -1, _id: 1 })
+    .skip((page - 1) * PAGE_SIZE)
+    .limit(PAGE_SIZE)
+    .populate('reviewedBy', 'username')
+    .lean();
+  const ids = candidates.flatMap((candidate) => candidate.users);
+  const users = new Map((await User.find({ _id: { $in: ids } }).lean()).map((user) => [String(user._id), user]));
+  res.status(status).render('duplicates', {
+    form: req.form,
+    state,
+    states: DuplicateCandidate.STATUSES,
+    candidates: candidates.map((candidate) => ({ ...candidate, records: candidate.users.map((id) => users.get(String(id)) || null) })),
+    reasonLabels: REASON_LABELS,
+    page,
+    totalPages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+    total,
+    error,
+    success,
+  });
+}
+
+// A candidate of req.form, or null
+async function findCandidate(req) {
+  if (!mongoose.isValidObjectId(req.params.id)) return null;
+  return DuplicateCandidate.findOne({ _id: req.params.id, form: req.form._id });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    await renderQueue(req, res);
+  } catch (err) {
+    console.error('❌ Error loading duplicates:', err.message);
+    res.status(500).render('duplicates', {
+      form: req.form,
+      state: 'open',
+      states: DuplicateCandidate.STATUSES,
+      candidates: [],
+      reasonLabels: REASON_LABELS,
+      page: 1,
+      totalPages: 1,
+      total: 0,
+      error: 'Error loading duplicates. Please try again.',
+      success: null,
+    });
+  }
+});
+
+// Run the finder for this form now instead of waiting for the scheduled scan
+router.post('/scan', async (req, res, next) => {
+  try {
+    const found = await scanForm(req.form);
+    console.log(`✅ ${req.admin.username} scanned "${req.form.slug}" for duplicates: ${found} pairs`);
+    await renderQueue(req, res, { success: `Scan complete: ${found} possible duplicate pair${found === 1 ? '' : 's'}.` });
+  } catch (err) {
+    console.error('❌ Error scanning for duplicates:', err.message);
+    renderQueue(req, res, { status: 500, error: 'Error scanning for duplicates. Please try again.' }).catch(next);
+  }
+});
+
+// Side-by-side view of a pair with a value picker per field
+router.get('/:id', async (req, res, next) => {
+  try {
+    const candidate = await findCandidate(req);
+    if (!candidate) return await renderQueue(req, res, { status: 404, error: 'Duplicate pair not found.' });
+    const records = await User.find({ _id: { $in: candidate.users }, deletedAt: null }).sort({ createdAt: 1, _id: 1 });
+    if (candidate.status !== 'open' || records.length !== 2) {
+      return await renderQueue(req, res, { status: 409, error: 'This pair has been resolved or one of its submissions deleted.' });
+    }
+    res.render('duplicate-merge', {
+      form: req.form,
+      candidate,
+      records,
+      values: records.map((record) => formValues(req.form.fields, record)),
+      reasonLabels: REASON_LABELS,
+      error: null,
+    });
+  } catch (err) {
+    console.error('❌ Error loading duplicate pair:', err.message);
+    renderQueue(req, res, { status: 500, error: 'Error loading the pair. Please try again.' }).catch(next);
+  }
+});
+
+router.post('/:id/merge', async (req, res, next) => {
+  try {
+    const candidate = await findCandidate(req);
+    if (!candidate || candidate.status !== 'open') {
+      return await renderQueue(req, res, { status: 404, error: 'Duplicate pair not found or already resolved.' });
+    }
+    const picks = {};
+    req.form.fields.forEach((field) => {
+      if (typeof req.body[`pick_${field.name}`] === 'string') picks[field.name] = req.body[`pick_${field.name}`];
+    });
+    const kept = await mergeCandidate(req, candidate, req.form, { keepId: req.body.keep, picks });
+    console.log(`✅ ${req.admin.username} merged duplicate pair ${candidate.pairKey} into ${kept._id}`);
+    await renderQueue(req, res, { success: `Merged into ${kept.email}; the other submission is in the trash.` });
+  } catch (err) {
+    console.error('❌ Error merging duplicates:', err.message);
+    renderQueue(req, res, { status: 400, error: `Could not merge: ${err.message}` }).catch(next);
+  }
+});
+
+// Not the same person: the pair stays dismissed through later scans
+router.post('/:id/dismiss', async (req, res, next) => {
+  try {
+    const candidate = await findCandidate(req);
+    if (!candidate) return await renderQueue(req, res, { status: 404, error: 'Duplicate pair not found.' });
+    await DuplicateCandidate.updateOne(
+      { _id: candidate._id, status: 'open' },
+      { status: 'dismissed', reviewedBy: req.admin._id, reviewedAt: new Date() }
+    );
+    await renderQueue(req, res, { success: 'Pair dismissed.' });
+  } catch (err) {
+    console.error('❌ Error dismissing duplicates:', err.message);
+    renderQueue(req, res, { status: 500, error: 'Error dismissing the pair. Please try again.' }).catch(next);
+  }
+});
+
+module.exports = router;
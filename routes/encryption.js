@@ -0,0 +1,46 @@
+const express = require('express');
+const router = express.Router();
+const { keyFile, rotateKey } = require('../services/fieldEncryption');
+const { encryptionStatus, syncEncryption } = require('../services/encryptionMigration');
+
+// Mounted on /settings/encryption for owners: how personal data is stored, and key rotation
+async function renderEncryption(req, res, { status = 200, error = null, success = null } = {}) {
+  res.status(status).render('encryption', { ...(await encryptionStatus()), keyFile: keyFile(), error, success });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    await renderEncryption(req, res);
+  } catch (err) {
+    console.error('❌ Error loading encryption settings:', err.message);
+    res.status(500).render('encryption', {
+      currentKey: null,
+      keys: [],
+      fields: [],
+      syncing: false,
+      keyFile: keyFile(),
+      error: 'Error loading encryption settings. Please try again.',
+      success: null,
+    });
+  }
+});
+
+// The new key is used for new values right away; stored values are re-encrypted in the background
+router.post('/rotate', async (req, res, next) => {
+  try {
+    const id = rotateKey();
+    console.log(`✅ ${req.admin.username} rotated the field encryption key to ${id}`);
+    syncEncryption()
+      .then(({ updated, failed }) => {
+        console.log(`✅ Re-encrypted ${updated} submissions with key ${id}`);
+        if (failed) console.warn(`${failed} submissions could not be re-encrypted with key ${id}`);
+      })
+      .catch((err) => console.error('❌ Error re-encrypting submissions:', err.message));
+    await renderEncryption(req, res, { success: `Key ${id} is now the current key. Stored values are being re-encrypted with it.` });
+  } catch (err) {
+    console.error('❌ Error rotating the field encryption key:', err.message);
+    renderEncryption(req, res, { status: 500, error: 'Error rotating the encryption key. Please try again.' }).catch(next);
+  }
+});
+
+module.exports = router;
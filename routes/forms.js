@@ -0,0 +1,84 @@
+const express = require('express');
+const router = express.Router();
+const Form = require('../models/Form');
+const { FIELD_TYPES, parseFieldDefinitions } = require('../services/formSchema');
+
+// Collect mongoose validation messages into one line for the builder page
+const describeError = (err) =>
+  err.name === 'ValidationError'
+    ? Object.values(err.errors).map((e) => e.message).join(', ')
+    : err.code === 11000
+    ? 'A form with this slug already exists'
+    : err.message;
+
+router.get('/', async (req, res) => {
+  try {
+    await Form.getDefault();
+    const forms = await Form.find().sort({ createdAt: 1 });
+    res.render('forms', { forms, error: null });
+  } catch (err) {
+    console.error('❌ Error loading forms:', err.message);
+    res.render('forms', { forms: [], error: 'Error loading forms. Please try again.' });
+  }
+});
+
+router.get('/new', (req, res) => {
+  res.render('form-edit', { form: { slug: '', title: '', description: '', fields: [] }, fieldTypes: FIELD_TYPES, error: null });
+});
+
+router.post('/', async (req, res) => {
+  const data = {
+    slug: req.body.slug,
+    title: req.body.title,
+    description: req.body.description,
+    wizard: req.body.wizard === 'on',
+    fields: parseFieldDefinitions(req.body.fields),
+  };
+  try {
+    const form = await Form.create(data);
+    console.log(`✅ Form created: ${form.slug}`);
+    res.redirect('/forms');
+  } catch (err) {
+    console.error('❌ Error creating form:', err.message);
+    res.status(400).render('form-edit', { form: data, fieldTypes: FIELD_TYPES, error: describeError(err) });
+  }
+});
+
+router.get('/:id/edit', async (req, res) => {
+  try {
+    const form = await Form.findById(req.params.id);
+    if (!form) return res.redirect('/forms');
+    res.render('form-edit', { form, fieldTypes: FIELD_TYPES, error: null });
+  } catch (err) {
+    console.error('❌ Error fetching form:', err.message);
+    res.redirect('/forms');
+  }
+});
+
+router.post('/:id', async (req, res) => {
+  const data = {
+    title: req.body.title,
+    description: req.body.description,
+    wizard: req.body.wizard === 'on',
+    fields: parseFieldDefinitions(req.body.fields),
+  };
+  try {
+    const form = await Form.findById(req.params.id);
+    if (!form) return res.redirect('/forms');
+    // The default form keeps its slug, it backs the public home page
+    if (form.slug !== 'default' && req.body.slug) data.slug = req.body.slug;
+    form.set(data);
+    await form.save();
+    console.log(`✅ Form updated: ${form.slug}`);
+    res.redirect('/forms');
+  } catch (err) {
+    console.error('❌ Error updating form:', err.message);
+    res.status(400).render('form-edit', {
+      form: { _id: req.params.id, slug: req.body.slug, ...data },
+      fieldTypes: FIELD_TYPES,
+      error: describeError(err),
+    });
+  }
+});
+
+module.exports = router;
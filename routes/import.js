@@ -0,0 +1,59 @@
+const express = require('express');
+const multer = require('multer');
+const router = express.Router();
+const { IMPORT_STATUSES, parseUpload, importSubmissions } = require('../services/importer');
+const { auditContext } = require('../services/audit');
+const { verifyCsrf } = require('../middleware/csrf');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 10 * 1024 * 1024, files: 1 },
+});
+
+const wantsJson = (req) => req.accepts(['html', 'json']) === 'json';
+
+router.get('/', (req, res) => {
+  res.render('import', { form: req.form, statuses: IMPORT_STATUSES, report: null, error: null });
+});
+
+// Accepts a CSV or JSON file in the `file` field; dryRun defaults to on unless explicitly turned off
+router.post('/', upload.single('file'), verifyCsrf, async (req, res) => {
+  const renderError = (status, error) =>
+    wantsJson(req)
+      ? res.status(status).json({ error })
+      : res.status(status).render('import', { form: req.form, statuses: IMPORT_STATUSES, report: null, error });
+
+  if (!req.file) return renderError(400, 'Please choose a CSV or JSON file to import');
+
+  let rows;
+  try {
+    rows = parseUpload(req.file);
+  } catch (err) {
+    console.error('❌ Error parsing import file:', err.message);
+    return renderError(400, `Could not read the file: ${err.message}`);
+  }
+
+  try {
+    const report = await importSubmissions(req.form, rows, {
+      dryRun: !['false', '0', 'off'].includes(String(req.body.dryRun || 'true')),
+      upsert: ['true', '1', 'on'].includes(String(req.body.upsert || 'false')),
+      audit: auditContext(req),
+    });
+    console.log(`✅ Import into "${req.form.slug}" ${report.dryRun ? '(dry run) ' : ''}processed ${report.total} rows`);
+    if (wantsJson(req)) return res.json(report);
+    res.render('import', { form: req.form, statuses: IMPORT_STATUSES, report, error: null });
+  } catch (err) {
+    console.error('❌ Error importing submissions:', err.message);
+    renderError(500, `Import failed: ${err.message}`);
+  }
+});
+
+// Upload limit errors from multer
+router.use((err, req, res, next) => {
+  if (!(err instanceof multer.MulterError)) return next(err);
+  const error = err.code === 'LIMIT_FILE_SIZE' ? 'File is too large (max 10 MB)' : err.message;
+  if (wantsJson(req)) return res.status(400).json({ error });
+  res.status(400).render('import', { form: req.form, statuses: IMPORT_STATUSES, report: null, error });
+});
+
+module.exports = router;
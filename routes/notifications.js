@@ -0,0 +1,38 @@
+const express = require('express');
+const router = express.Router();
+const Admin = require('../models/Admin');
+const { ALERT_LABELS } = require('../services/notifications');
+
+// Each admin manages their own alerts and digest
+function renderSettings(req, res, { status = 200, error = null, success = null } = {}) {
+  res.status(status).render('notification-settings', {
+    settings: req.admin.notifications || { alerts: [], digest: 'off' },
+    email: req.admin.email || '',
+    alertLabels: ALERT_LABELS,
+    digestFrequencies: Admin.DIGEST_FREQUENCIES,
+    error,
+    success,
+  });
+}
+
+router.get('/', (req, res) => {
+  renderSettings(req, res);
+});
+
+router.post('/', async (req, res) => {
+  try {
+    const alerts = [].concat(req.body.alerts || []).filter((event) => Admin.ALERT_EVENTS.includes(event));
+    const digest = Admin.DIGEST_FREQUENCIES.includes(req.body.digest) ? req.body.digest : 'off';
+    req.admin.email = String(req.body.email || '').trim() || undefined;
+    req.admin.notifications = { alerts, digest };
+    await req.admin.save();
+    console.log(`✅ ${req.admin.username} updated notification settings (alerts: ${alerts.join(', ') || 'none'}, digest: ${digest})`);
+    renderSettings(req, res, { success: 'Notification settings saved.' });
+  } catch (err) {
+    console.error('❌ Error saving notification settings:', err.message);
+    const error = err.name === 'ValidationError' ? Object.values(err.errors).map((e) => e.message).join(', ') : err.message;
+    renderSettings(req, res, { status: 400, error });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,48 @@
+const express = require('express');
+const router = express.Router();
+const SavedFilter = require('../models/SavedFilter');
+const { pickFilterParams } = require('../services/submissionFilters');
+
+// Back to the list the filter was saved from
+const RETURN_PAGES = ['/users', '/grid'];
+const listUrl = (req, params = {}) => {
+  const page = RETURN_PAGES.includes(req.body.returnTo) ? req.body.returnTo : '/users';
+  return `${page}?${new URLSearchParams({ form: req.form.slug, ...params })}`;
+};
+
+// Save the filters of the current /users view under a name; saving an existing name replaces it
+router.post('/', async (req, res) => {
+  const sent = new URLSearchParams(String(req.body.query || ''));
+  const params = pickFilterParams({ ...Object.fromEntries(sent), age: sent.getAll('age') });
+  try {
+    const name = String(req.body.name || '').trim();
+    if (!name || name.length > 60) throw new Error('Invalid filter name');
+    const saved = await SavedFilter.findOneAndUpdate(
+      { form: req.form._id, name },
+      { $set: { params }, $setOnInsert: { createdBy: req.admin._id } },
+      { upsert: true, new: true, runValidators: true, setDefaultsOnInsert: true }
+    );
+    console.log(`✅ ${req.admin.username} saved filter "${saved.name}" for form "${req.form.slug}"`);
+    res.redirect(listUrl(req, { filter: saved._id }));
+  } catch (err) {
+    console.error('❌ Error saving filter:', err.message);
+    res.redirect(listUrl(req, { ...params, filterError: 'Give the filter a name of up to 60 characters.' }));
+  }
+});
+
+// Filters can be removed by whoever saved them and by owners
+router.post('/:id/delete', async (req, res) => {
+  try {
+    const saved = await SavedFilter.findOne({ _id: req.params.id, form: req.form._id });
+    if (saved && (req.admin.hasRole('owner') || (saved.createdBy && saved.createdBy.equals(req.admin._id)))) {
+      await saved.deleteOne();
+      console.log(`✅ ${req.admin.username} removed saved filter "${saved.name}"`);
+    }
+    res.redirect(listUrl(req));
+  } catch (err) {
+    console.error('❌ Error removing saved filter:', err.message);
+    res.redirect(listUrl(req));
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,44 @@
+const express = require('express');
+const router = express.Router();
+const { listSessions, revokeSession, revokeAllSessions } = require('../services/sessions');
+
+// The signed-in admin's own sessions; the current one can't be revoked here (use Logout)
+async function renderSessions(req, res, { status = 200, error = null, success = null } = {}) {
+  const sessions = await listSessions(req.admin._id);
+  res.status(status).render('sessions', { sessions, currentId: req.sessionID, error, success });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    await renderSessions(req, res);
+  } catch (err) {
+    console.error('❌ Error loading sessions:', err.message);
+    res.render('sessions', { sessions: [], currentId: req.sessionID, error: 'Error loading sessions. Please try again.', success: null });
+  }
+});
+
+router.post('/revoke-others', async (req, res, next) => {
+  try {
+    const count = await revokeAllSessions(req.admin._id, req.sessionID);
+    console.log(`✅ ${req.admin.username} revoked ${count} other sessions`);
+    await renderSessions(req, res, { success: `Signed out ${count} other session${count === 1 ? '' : 's'}.` });
+  } catch (err) {
+    console.error('❌ Error revoking sessions:', err.message);
+    renderSessions(req, res, { status: 500, error: 'Error revoking sessions. Please try again.' }).catch(next);
+  }
+});
+
+router.post('/:id/revoke', async (req, res, next) => {
+  try {
+    if (req.params.id === req.sessionID) throw new Error('Use Logout to end the current session');
+    const revoked = await revokeSession(req.admin._id, req.params.id);
+    if (!revoked) throw new Error('Session not found or already ended');
+    console.log(`✅ ${req.admin.username} revoked a session`);
+    await renderSessions(req, res, { success: 'Session signed out.' });
+  } catch (err) {
+    console.error('❌ Error revoking session:', err.message);
+    renderSessions(req, res, { status: 400, error: err.message }).catch(next);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const express = require('express');
+const router = express.Router();
+const { GRANULARITIES, STATS_PARAMS, dashboardStats } = require('../services/dashboardStats');
+const { sendApiError } = require('../services/apiErrors');
+
+const isDate = (value) => !isNaN(new Date(value).getTime());
+
+// Mounted on /api/v1/stats after ensureAdmin and selectForm; the dashboard draws its charts from it
+router.get('/', async (req, res) => {
+  const params = {};
+  STATS_PARAMS.forEach((name) => {
+    if (typeof req.query[name] === 'string' && req.query[name].trim()) params[name] = req.query[name].trim();
+  });
+  const granularity = req.query.granularity || 'year';
+
+  const details = [];
+  if (!GRANULARITIES[granularity]) {
+    details.push({ field: 'granularity', message: `Must be one of ${Object.keys(GRANULARITIES).join(', ')}` });
+  }
+  ['from', 'to'].forEach((field) => {
+    if (params[field] && !isDate(params[field])) details.push({ field, message: 'Must be a date (YYYY-MM-DD)' });
+  });
+  if (params.status && !['pending', 'confirmed'].includes(params.status)) {
+    details.push({ field: 'status', message: 'Must be pending or confirmed' });
+  }
+  if (details.length) return sendApiError(res, 400, 'Invalid stats filters', { code: 'validation_failed', details });
+
+  try {
+    res.json(await dashboardStats(req.form, params, { granularity, refresh: req.query.refresh === '1' }));
+  } catch (err) {
+    console.error('❌ Error computing stats:', err.message);
+    sendApiError(res, 500, 'Error computing stats');
+  }
+});
+
+module.exports = router;
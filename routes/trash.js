@@ -0,0 +1,89 @@
+const express = require('express');
+const router = express.Router();
+const User = require('../models/User');
+const { requireRole } = require('../middleware/auth');
+const { TRASH_RETENTION_DAYS, restoreSubmission, purgeSubmission, purgeTrash } = require('../services/trash');
+const { alertBulkDelete } = require('../services/notifications');
+
+const PAGE_SIZE = 20;
+
+// Render the trashed submissions of req.form, newest deletion first
+async function renderTrash(req, res, { status = 200, error = null, success = null } = {}) {
+  const page = Math.max(parseInt(req.query.page) || 1, 1);
+  const filter = { form: req.form._id, deletedAt: { $ne: null } };
+  const total = await User.countDocuments(filter);
+  const users = await User.find(filter)
+    .sort({ deletedAt: -1, _id: -1 })
+    .skip((page - 1) * PAGE_SIZE)
+    .limit(PAGE_SIZE)
+    .populate('deletedBy', 'username');
+  res.status(status).render('trash', {
+    form: req.form,
+    users,
+    page,
+    totalPages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+    total,
+    retentionDays: TRASH_RETENTION_DAYS,
+    error,
+    success,
+  });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    await renderTrash(req, res);
+  } catch (err) {
+    console.error('❌ Error loading trash:', err.message);
+    res.status(500).render('trash', {
+      form: req.form,
+      users: [],
+      page: 1,
+      totalPages: 1,
+      total: 0,
+      retentionDays: TRASH_RETENTION_DAYS,
+      error: 'Error loading trash. Please try again.',
+      success: null,
+    });
+  }
+});
+
+router.post('/:id/restore', async (req, res, next) => {
+  try {
+    const user = await restoreSubmission(req, req.params.id);
+    if (!user) throw new Error('Submission not found in trash');
+    console.log(`✅ ${req.admin.username} restored submission ${user._id}`);
+    await renderTrash(req, res, { success: `Restored ${user.email || user.name}.` });
+  } catch (err) {
+    console.error('❌ Error restoring submission:', err.message);
+    renderTrash(req, res, { status: 400, error: `Could not restore: ${err.message}` }).catch(next);
+  }
+});
+
+router.post('/:id/purge', requireRole('owner'), async (req, res, next) => {
+  try {
+    const user = await purgeSubmission(req, req.params.id);
+    if (!user) throw new Error('Submission not found in trash');
+    console.log(`✅ ${req.admin.username} purged submission ${user._id}`);
+    await renderTrash(req, res, { success: `Permanently deleted ${user.email || user.name}.` });
+  } catch (err) {
+    console.error('❌ Error purging submission:', err.message);
+    renderTrash(req, res, { status: 400, error: `Could not delete: ${err.message}` }).catch(next);
+  }
+});
+
+// Purge this form's trash deleted at least `olderThanDays` days ago (0 empties it)
+router.post('/purge', requireRole('owner'), async (req, res, next) => {
+  try {
+    const days = parseInt(req.body.olderThanDays);
+    const olderThanDays = Number.isNaN(days) ? TRASH_RETENTION_DAYS : Math.max(days, 0);
+    const count = await purgeTrash(req, { form: req.form, olderThanDays });
+    console.log(`✅ ${req.admin.username} purged ${count} trashed submissions of "${req.form.slug}"`);
+    if (count) alertBulkDelete(req.form, count, req.admin);
+    await renderTrash(req, res, { success: `Permanently deleted ${count} submission${count === 1 ? '' : 's'}.` });
+  } catch (err) {
+    console.error('❌ Error purging trash:', err.message);
+    renderTrash(req, res, { status: 500, error: 'Error emptying trash. Please try again.' }).catch(next);
+  }
+});
+
+module.exports = router;
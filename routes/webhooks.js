@@ -0,0 +1,138 @@
+const express = require('express');
+const router = express.Router();
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { MAX_ATTEMPTS, redeliver } = require('../services/webhooks');
+
+const PAGE_SIZE = 25;
+
+const validationMessage = (err) =>
+  err.name === 'ValidationError' ? Object.values(err.errors).map((e) => e.message).join(', ') : err.message;
+
+// Render the configured endpoints with the outcome of their latest delivery
+async function renderWebhooks(req, res, { status = 200, error = null, success = null, values = {} } = {}) {
+  const webhooks = await Webhook.find().sort({ createdAt: 1 }).populate('createdBy', 'username');
+  const latest = await WebhookDelivery.aggregate([
+    { $match: { webhook: { $in: webhooks.map((webhook) => webhook._id) } } },
+    { $sort: { createdAt: -1 } },
+    { $group: { _id: '$webhook', status: { $first: '$status' }, at: { $first: '$createdAt' } } },
+  ]);
+  const lastDelivery = Object.fromEntries(latest.map((item) => [String(item._id), item]));
+  res.status(status).render('webhooks', { webhooks, lastDelivery, events: Webhook.EVENTS, values, error, success });
+}
+
+router.get('/', async (req, res) => {
+  try {
+    await renderWebhooks(req, res);
+  } catch (err) {
+    console.error('❌ Error loading webhooks:', err.message);
+    res.status(500).render('webhooks', {
+      webhooks: [],
+      lastDelivery: {},
+      events: Webhook.EVENTS,
+      values: {},
+      error: 'Error loading webhooks. Please try again.',
+      success: null,
+    });
+  }
+});
+
+router.post('/', async (req, res) => {
+  const values = { url: req.body.url, description: req.body.description, events: [].concat(req.body.events || []) };
+  try {
+    const webhook = await Webhook.create({ ...values, createdBy: req.admin._id });
+    console.log(`✅ ${req.admin.username} added webhook ${webhook.url} (${webhook.events.join(', ')})`);
+    res.redirect('/webhooks');
+  } catch (err) {
+    console.error('❌ Error adding webhook:', err.message);
+    await renderWebhooks(req, res, { status: 400, error: validationMessage(err), values });
+  }
+});
+
+router.post('/:id/toggle', async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.redirect('/webhooks');
+    webhook.active = !webhook.active;
+    await webhook.save();
+    console.log(`✅ ${req.admin.username} ${webhook.active ? 'enabled' : 'paused'} webhook ${webhook.url}`);
+    res.redirect('/webhooks');
+  } catch (err) {
+    console.error('❌ Error updating webhook:', err.message);
+    await renderWebhooks(req, res, { status: 400, error: err.message });
+  }
+});
+
+// A new secret invalidates signatures for receivers still holding the old one
+router.post('/:id/rotate-secret', async (req, res) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.redirect('/webhooks');
+    webhook.secret = Webhook.schema.path('secret').defaultValue();
+    await webhook.save();
+    console.log(`✅ ${req.admin.username} rotated the secret of webhook ${webhook.url}`);
+    await renderWebhooks(req, res, { success: `New secret for ${webhook.url} is active.` });
+  } catch (err) {
+    console.error('❌ Error rotating webhook secret:', err.message);
+    await renderWebhooks(req, res, { status: 400, error: err.message });
+  }
+});
+
+router.post('/:id/delete', async (req, res) => {
+  try {
+    const webhook = await Webhook.findByIdAndDelete(req.params.id);
+    if (webhook) {
+      await WebhookDelivery.deleteMany({ webhook: webhook._id });
+      console.log(`✅ ${req.admin.username} removed webhook ${webhook.url}`);
+    }
+    res.redirect('/webhooks');
+  } catch (err) {
+    console.error('❌ Error removing webhook:', err.message);
+    await renderWebhooks(req, res, { status: 400, error: err.message });
+  }
+});
+
+// Delivery log of one endpoint, newest first, optionally narrowed to ?status=
+router.get('/:id/deliveries', async (req, res, next) => {
+  try {
+    const webhook = await Webhook.findById(req.params.id);
+    if (!webhook) return res.redirect('/webhooks');
+    const status = WebhookDelivery.STATUSES.includes(req.query.status) ? req.query.status : '';
+    const filter = { webhook: webhook._id };
+    if (status) filter.status = status;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const total = await WebhookDelivery.countDocuments(filter);
+    const deliveries = await WebhookDelivery.find(filter)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * PAGE_SIZE)
+      .limit(PAGE_SIZE);
+    res.render('webhook-deliveries', {
+      webhook,
+      deliveries,
+      status,
+      statuses: WebhookDelivery.STATUSES,
+      maxAttempts: MAX_ATTEMPTS,
+      page,
+      totalPages: Math.max(Math.ceil(total / PAGE_SIZE), 1),
+      total,
+      success: req.query.redelivered ? 'Delivery queued again.' : null,
+    });
+  } catch (err) {
+    console.error('❌ Error loading webhook deliveries:', err.message);
+    next(err);
+  }
+});
+
+router.post('/deliveries/:id/redeliver', async (req, res, next) => {
+  try {
+    const delivery = await redeliver(req.params.id);
+    if (!delivery) return res.redirect('/webhooks');
+    console.log(`✅ ${req.admin.username} redelivered ${delivery.event} (${delivery.redeliveryOf})`);
+    res.redirect(`/webhooks/${delivery.webhook}/deliveries?redelivered=1`);
+  } catch (err) {
+    console.error('❌ Error redelivering webhook:', err.message);
+    next(err);
+  }
+});
+
+module.exports = router;
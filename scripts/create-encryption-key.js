@@ -0,0 +1,14 @@
+// npm run encryption-key: writes the field encryption key file ENCRYPTED_FIELDS needs (see Readme.MD)
+const dotenv = require('dotenv');
+
+dotenv.config();
+const { createKeyFile } = require('../services/fieldEncryption');
+
+try {
+  const file = createKeyFile();
+  console.log(`✅ Created the field encryption key file ${file}`);
+  console.log('Back it up outside the server and the database backups: encrypted values cannot be read without it.');
+} catch (err) {
+  console.error(`❌ ${err.message}`);
+  process.exitCode = 1;
+}
@@ -0,0 +1,46 @@
+const crypto = require('crypto');
+const Admin = require('../models/Admin');
+
+// The token /setup asks for while there is no admin; null once an owner exists
+let setupToken = null;
+
+const noActiveAdmins = async () => (await Admin.countDocuments({ status: 'active' })) === 0;
+
+const digest = (token) => crypto.createHash('sha256').update(String(token)).digest();
+
+/**
+ * Run at startup. While there is no active admin, the first owner is created from
+ * ADMIN_USER/ADMIN_PASS when both are set; otherwise /setup is opened with SETUP_TOKEN,
+ * or with a one-time token printed to the log, so only whoever runs the server can claim it.
+ */
+async function prepareFirstOwner() {
+  setupToken = null;
+  try {
+    if (!(await noActiveAdmins())) return;
+    const { ADMIN_USER, ADMIN_PASS, SETUP_TOKEN } = process.env;
+    if (ADMIN_USER && ADMIN_PASS) {
+      const admin = new Admin({ username: ADMIN_USER, role: 'owner' });
+      await admin.setPassword(ADMIN_PASS);
+      await admin.save();
+      console.log(`✅ First owner created from ADMIN_USER: ${admin.username}`);
+      return;
+    }
+    setupToken = SETUP_TOKEN || crypto.randomBytes(24).toString('hex');
+    console.log(`🔑 No admin account yet: open /setup?token=${SETUP_TOKEN ? '<SETUP_TOKEN>' : setupToken} to create the first owner`);
+  } catch (err) {
+    console.error('❌ Error preparing the first admin account:', err.message);
+  }
+}
+
+// Whether `token` is the current setup token
+function checkSetupToken(token) {
+  if (!setupToken || typeof token !== 'string' || !token) return false;
+  return crypto.timingSafeEqual(digest(token), digest(setupToken));
+}
+
+// The first owner exists: the token can't be used again
+function closeSetup() {
+  setupToken = null;
+}
+
+module.exports = { noActiveAdmins, prepareFirstOwner, checkSetupToken, closeSetup };
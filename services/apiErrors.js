@@ -0,0 +1,42 @@
+// Every /api error response has the shape { error: { code, message, details? } }
+const ERROR_CODES = {
+  400: 'bad_request',
+  401: 'unauthorized',
+  403: 'forbidden',
+  404: 'not_found',
+  409: 'conflict',
+  415: 'unsupported_media_type',
+  429: 'rate_limited',
+  500: 'internal_error',
+  503: 'service_unavailable',
+};
+
+/**
+ * Send the error envelope. `code` defaults to the generic code of the status;
+ * `details` lists per-field problems as [{ field, message }].
+ */
+function sendApiError(res, status, message, { code = ERROR_CODES[status] || 'error', details } = {}) {
+  const error = { code, message };
+  if (details && details.length) error.details = details;
+  return res.status(status).json({ error });
+}
+
+// express-validator results as envelope details
+const validationDetails = (errors) => errors.map((e) => ({ field: e.path, message: e.msg }));
+
+// Map a failed Mongoose write to a status and envelope; unknown errors become a 500
+function sendWriteError(res, err, fallback) {
+  if (err.code === 11000 || err.message === 'Email already exists') {
+    return sendApiError(res, 409, 'Email already exists', { code: 'duplicate_email', details: [{ field: 'email', message: 'Email already exists' }] });
+  }
+  if (err.name === 'ValidationError') {
+    const details = Object.values(err.errors).map((e) => ({ field: e.path, message: e.message }));
+    return sendApiError(res, 400, 'Validation failed', { code: 'validation_failed', details });
+  }
+  if (err.name === 'CastError') {
+    return sendApiError(res, 400, `Invalid value for ${err.path}`, { details: [{ field: err.path, message: err.message }] });
+  }
+  return sendApiError(res, 500, fallback);
+}
+
+module.exports = { ERROR_CODES, sendApiError, validationDetails, sendWriteError };
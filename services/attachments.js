@@ -0,0 +1,221 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const Attachment = require('../models/Attachment');
+const local = require('./storage/local');
+const s3 = require('./storage/s3');
+
+// Largest file any file field accepts; a field's Max (in MB) can only lower it
+const UPLOAD_MAX_MB = parseFloat(process.env.UPLOAD_MAX_MB) || 10;
+const UPLOAD_MAX_BYTES = Math.round(UPLOAD_MAX_MB * 1024 * 1024);
+// Accepted when a file field lists no types of its own: PDFs, Word documents and common images
+const DEFAULT_FILE_TYPES = [
+  'application/pdf',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'image/jpeg',
+  'image/png',
+  'image/gif',
+  'image/webp',
+];
+const THUMBNAIL_SIZE = 200;
+// sharp's name for each image type it can check
+const IMAGE_FORMATS = { 'image/jpeg': 'jpeg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+
+/**
+ * Storage adapters by name. An adapter is `{ name, put(key, buffer, contentType), get(key), remove(key) }`:
+ * get resolves to a Buffer and rejects with code NOT_FOUND for an unknown key; remove of an unknown
+ * key succeeds. STORAGE_DRIVER picks the one new files go to (default local).
+ */
+const adapters = new Map([local, s3].map((adapter) => [adapter.name, adapter]));
+
+function registerStorage(adapter) {
+  if (!adapter || typeof adapter.name !== 'string' || ['put', 'get', 'remove'].some((method) => typeof adapter[method] !== 'function')) {
+    throw new Error('A storage adapter needs a name and put, get and remove functions');
+  }
+  adapters.set(adapter.name, adapter);
+}
+
+function storageFor(name = process.env.STORAGE_DRIVER || 'local') {
+  const adapter = adapters.get(name);
+  if (!adapter) throw new Error(`Unknown storage adapter "${name}"`);
+  return adapter;
+}
+
+// Size limit in bytes and accepted MIME types (image/* style wildcards allowed) of a file field
+function fileLimits(field) {
+  const maxMb = field.max > 0 ? Math.min(field.max, UPLOAD_MAX_MB) : UPLOAD_MAX_MB;
+  return {
+    maxBytes: Math.round(maxMb * 1024 * 1024),
+    types: field.options && field.options.length ? field.options : DEFAULT_FILE_TYPES,
+  };
+}
+
+const typeAllowed = (types, type) => types.some((allowed) => allowed === type || (allowed.endsWith('/*') && type.startsWith(allowed.slice(0, -1))));
+
+const megabytes = (bytes) => `${Math.round((bytes / 1024 / 1024) * 10) / 10} MB`;
+
+/**
+ * Why an uploaded file (a multer memory file) can't go in `field`, or null when it can.
+ * Images and PDFs must really be what their type says, as they are previewed or opened by admins.
+ */
+async function fileProblem(field, file) {
+  const label = field.label || field.name;
+  const { maxBytes, types } = fileLimits(field);
+  if (file.size > maxBytes) return `${label} must be at most ${megabytes(maxBytes)}`;
+  if (!typeAllowed(types, file.mimetype)) return field.message || `${label} must be one of: ${types.join(', ')}`;
+  if (IMAGE_FORMATS[file.mimetype]) {
+    try {
+      const { format } = await sharp(file.buffer).metadata();
+      if (format !== IMAGE_FORMATS[file.mimetype]) return `${label} is not a valid ${file.mimetype.split('/')[1]} image`;
+    } catch (err) {
+      return `${label} is not a valid image`;
+    }
+  }
+  if (file.mimetype === 'application/pdf' && file.buffer.subarray(0, 5).toString('latin1') !== '%PDF-') {
+    return `${label} is not a valid PDF`;
+  }
+  return null;
+}
+
+// The file uploaded for a field in this request, if any
+const uploadedFile = (req, name) => (req.files || []).find((file) => file.fieldname === name) || null;
+
+async function makeThumbnail(file) {
+  if (!IMAGE_FORMATS[file.mimetype]) return null;
+  try {
+    return await sharp(file.buffer)
+      .rotate()
+      .resize(THUMBNAIL_SIZE, THUMBNAIL_SIZE, { fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 80 })
+      .toBuffer();
+  } catch (err) {
+    console.error('❌ Error making thumbnail:', err.message);
+    return null;
+  }
+}
+
+// Store a file and its thumbnail for submission `id`; what was put is removed again if a later step fails
+async function storeFile(form, id, field, file) {
+  const storage = storageFor();
+  const key = `${id}/${crypto.randomBytes(12).toString('hex')}`;
+  const keys = [];
+  try {
+    await storage.put(key, file.buffer, file.mimetype);
+    keys.push(key);
+    const thumbnail = await makeThumbnail(file);
+    let thumbnailKey = null;
+    if (thumbnail) {
+      thumbnailKey = `${key}-thumb`;
+      await storage.put(thumbnailKey, thumbnail, 'image/jpeg');
+      keys.push(thumbnailKey);
+    }
+    return await Attachment.create({
+      submission: id,
+      form: form._id,
+      field: field.name,
+      originalName: file.originalname,
+      contentType: file.mimetype,
+      size: file.size,
+      storage: storage.name,
+      key,
+      thumbnailKey,
+    });
+  } catch (err) {
+    await Promise.all(keys.map((stored) => storage.remove(stored).catch((removeErr) => console.error(`❌ Error removing stored file ${stored}:`, removeErr.message))));
+    throw err;
+  }
+}
+
+/**
+ * Delete attachments matching `filter`, and their stored files unless another attachment still
+ * refers to them (merged submissions share files). Storage errors are logged, not thrown, so
+ * a missing file can't block a purge. Returns how many attachments were removed.
+ */
+async function removeAttachments(filter) {
+  const docs = await Attachment.find(filter).lean();
+  if (!docs.length) return 0;
+  await Attachment.deleteMany({ _id: { $in: docs.map((doc) => doc._id) } });
+  const stillUsed = new Set(await Attachment.distinct('key', { key: { $in: docs.map((doc) => doc.key) } }));
+  for (const doc of docs.filter((candidate) => !stillUsed.has(candidate.key))) {
+    for (const key of [doc.key, doc.thumbnailKey].filter(Boolean)) {
+      try {
+        await storageFor(doc.storage).remove(key);
+      } catch (err) {
+        console.error(`❌ Error removing stored file ${key}:`, err.message);
+      }
+    }
+  }
+  return docs.length;
+}
+
+/**
+ * Save a submission with the files uploaded in `req` for its file fields. `submission` is what is
+ * about to be saved (its _id, and the file names its values hold); `save()` writes it and resolves
+ * to the saved document, or null when there was nothing to update. The files are stored first and
+ * removed again if storing or saving fails, so a saved submission never lacks a file it names and
+ * a failed one leaves none behind. Once saved, attachments it replaced or cleared (or that its
+ * form's rules now hide) are removed.
+ */
+async function saveWithAttachments(req, form, submission, save) {
+  const fileFields = form.fields.filter((candidate) => candidate.type === 'file');
+  const stored = [];
+  let user;
+  try {
+    for (const field of fileFields) {
+      const file = uploadedFile(req, field.name);
+      const value = submission.extra && submission.extra[field.name];
+      if (file && value === file.originalname) stored.push(await storeFile(form, submission._id, field, file));
+    }
+    user = await save();
+  } catch (err) {
+    await removeAttachments({ _id: { $in: stored.map((attachment) => attachment._id) } });
+    throw err;
+  }
+  if (!user) {
+    await removeAttachments({ _id: { $in: stored.map((attachment) => attachment._id) } });
+    return null;
+  }
+  for (const field of fileFields) {
+    const attachment = stored.find((candidate) => candidate.field === field.name);
+    if (attachment) await removeAttachments({ submission: user._id, field: field.name, _id: { $ne: attachment._id } });
+    else if (!(user.extra && user.extra[field.name])) await removeAttachments({ submission: user._id, field: field.name });
+  }
+  return user;
+}
+
+// The kept side of a merge takes over the file of `field` from the removed side; both keep pointing at the same stored file
+async function shareAttachment(from, to, field) {
+  await removeAttachments({ submission: to._id, field });
+  const latest = await Attachment.findOne({ submission: from._id, field }).sort({ createdAt: -1 }).lean();
+  if (!latest) return;
+  const { _id, createdAt, updatedAt, ...copy } = latest;
+  await Attachment.create({ ...copy, submission: to._id });
+}
+
+// The current attachment of each file field of a submission, by field name
+async function attachmentsByField(submissionId) {
+  const docs = await Attachment.find({ submission: submissionId }).sort({ createdAt: 1 });
+  const byField = {};
+  docs.forEach((doc) => {
+    byField[doc.field] = doc;
+  });
+  return byField;
+}
+
+// Download path of a field's file, under the admin-only /attachments routes (also mounted in the API)
+const attachmentUrl = (submissionId, field) => `/attachments/${submissionId}/${encodeURIComponent(field)}`;
+
+module.exports = {
+  UPLOAD_MAX_BYTES,
+  DEFAULT_FILE_TYPES,
+  registerStorage,
+  storageFor,
+  fileLimits,
+  fileProblem,
+  uploadedFile,
+  saveWithAttachments,
+  removeAttachments,
+  shareAttachment,
+  attachmentsByField,
+  attachmentUrl,
+};
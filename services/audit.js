@@ -0,0 +1,184 @@
+const crypto = require('crypto');
+const AuditLog = require('../models/AuditLog');
+const { CORE_FIELDS } = require('./formSchema');
+const { ENCRYPTABLE_FIELDS, SEALED_PREFIX, isEncrypted, sealIfEncrypted, openIfSealed, blindIndex } = require('./fieldEncryption');
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Dates are compared and stored as ISO strings so diffs read the same in the page and the API
+function normalizeValue(value) {
+  if (value === undefined || value === '') return null;
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value.toISOString();
+  return value;
+}
+
+// Field values of a submission (document or plain object), flattened: core fields, extra fields, record statuses
+function snapshot(doc) {
+  if (!doc) return {};
+  const source = typeof doc.toObject === 'function' ? doc.toObject() : doc;
+  const values = {};
+  CORE_FIELDS.forEach((name) => {
+    values[name] = normalizeValue(source[name]);
+  });
+  Object.entries(source.extra || {}).forEach(([name, value]) => {
+    values[name] = normalizeValue(value);
+  });
+  values.validationStatus = normalizeValue(source.validationStatus);
+  values.confirmationStatus = normalizeValue(source.confirmationStatus);
+  return values;
+}
+
+// Fields whose value differs between two submissions; a missing side is null
+function diffSubmissions(before, after) {
+  const a = snapshot(before);
+  const b = snapshot(after);
+  const fields = [...new Set([...Object.keys(a), ...Object.keys(b)])];
+  return fields
+    .filter((field) => JSON.stringify(a[field] ?? null) !== JSON.stringify(b[field] ?? null))
+    .map((field) => ({ field, before: a[field] ?? null, after: b[field] ?? null }));
+}
+
+// Who, from where and through which route; pass the result around where there is no req (e.g. the importer)
+function auditContext(req) {
+  const admin = req.admin || null;
+  return {
+    actor: admin ? { id: admin._id, username: admin.username, role: admin.role } : { id: null, username: null, role: null },
+    ip: req.ip,
+    apiKey: req.apiKey ? req.apiKey.keyPrefix : undefined,
+    route: `${req.method} ${req.originalUrl.split('?')[0]}`,
+  };
+}
+
+// Context for changes made by background jobs rather than a request
+const systemContext = (route) => ({ actor: { id: null, username: 'system', role: null }, ip: null, route });
+
+// Accept either a request or an existing context
+const contextOf = (source) => (source && source.method ? auditContext(source) : source);
+
+const newBatchId = () => crypto.randomBytes(8).toString('hex');
+
+// Values of encrypted fields are compared in the clear and stored sealed, like the submissions themselves
+const sealChange = ({ field, before, after }) =>
+  ENCRYPTABLE_FIELDS.includes(field) ? { field, before: sealIfEncrypted(field, before), after: sealIfEncrypted(field, after) } : { field, before, after };
+
+function entryFor(context, { action, form, before = null, after = null, batch, merge }) {
+  const subject = after || before;
+  const email = subject && subject.email;
+  return {
+    ...context,
+    action,
+    form: form ? form._id || form : subject && subject.form,
+    submission: subject && subject._id,
+    email: sealIfEncrypted('email', email),
+    emailHash: email && isEncrypted('email') ? blindIndex('email', email) : undefined,
+    changes: diffSubmissions(before, after).map(sealChange),
+    batch,
+    merge,
+  };
+}
+
+// A value sealed under a key that is no longer in the key file is shown as stored
+function readableValue(field, value) {
+  try {
+    return openIfSealed(field, value);
+  } catch (err) {
+    return value;
+  }
+}
+
+// A lean audit entry with its sealed values decrypted, for the page and the API
+function readableEntry(entry) {
+  const { emailHash, ...readable } = entry;
+  return {
+    ...readable,
+    email: readableValue('email', entry.email),
+    changes: (entry.changes || []).map((change) =>
+      ENCRYPTABLE_FIELDS.includes(change.field)
+        ? { ...change, before: readableValue(change.field, change.before), after: readableValue(change.field, change.after) }
+        : change
+    ),
+  };
+}
+
+/**
+ * Record one mutation of a submission: `before` is null for creates, `after` is null for deletes.
+ * `context` is a request or the result of auditContext(req). A failing audit write is logged,
+ * never thrown, so it can't undo a mutation that already happened.
+ */
+async function recordAudit(context, details) {
+  try {
+    await AuditLog.create(entryFor(contextOf(context), details));
+  } catch (err) {
+    console.error('❌ Error writing audit log:', err.message);
+  }
+}
+
+// One entry per removed submission (`action` is delete or purge), sharing a batch id
+async function recordBulkRemoval(context, { action = 'delete', form = null, docs, batch = newBatchId() }) {
+  if (!docs.length) return;
+  try {
+    const ctx = contextOf(context);
+    await AuditLog.insertMany(docs.map((doc) => entryFor(ctx, { action, form, before: doc, batch })));
+  } catch (err) {
+    console.error('❌ Error writing audit log:', err.message);
+  }
+}
+
+function parseDate(value) {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+/**
+ * Build the AuditLog filter from query parameters, shared by /audit and /api/audit:
+ *   actor       username, or "public" for anonymous submissions
+ *   action      create, update, delete, restore, purge or merge
+ *   form        form id (the routes resolve ?form=<slug> to it)
+ *   submission  submission id
+ *   email       case-insensitive substring of the submission email; while emails are encrypted,
+ *               the exact address for entries written since and a substring for older ones
+ *   from/to     createdAt range, `to` includes the whole day
+ */
+function buildAuditFilter(params = {}) {
+  const filter = {};
+  const actor = typeof params.actor === 'string' ? params.actor.trim().toLowerCase() : '';
+  if (actor) filter['actor.username'] = actor === 'public' ? null : actor;
+  if (AuditLog.ACTIONS.includes(params.action)) filter.action = params.action;
+  if (params.formId) filter.form = params.formId;
+  if (/^[a-f0-9]{24}$/i.test(params.submission || '')) filter.submission = params.submission;
+  const email = typeof params.email === 'string' ? params.email.trim() : '';
+  if (email && isEncrypted('email')) {
+    filter.$or = [
+      { emailHash: blindIndex('email', email) },
+      { $and: [{ email: { $regex: escapeRegex(email), $options: 'i' } }, { email: { $not: new RegExp(`^${SEALED_PREFIX}`) } }] },
+    ];
+  } else if (email) {
+    filter.email = { $regex: escapeRegex(email), $options: 'i' };
+  }
+
+  const from = parseDate(params.from);
+  const to = parseDate(params.to);
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) filter.createdAt.$gte = from;
+    if (to) {
+      if (/^\d{4}-\d{2}-\d{2}$/.test(params.to)) to.setUTCDate(to.getUTCDate() + 1);
+      else to.setMilliseconds(to.getMilliseconds() + 1);
+      filter.createdAt.$lt = to;
+    }
+  }
+  return filter;
+}
+
+module.exports = {
+  snapshot,
+  diffSubmissions,
+  auditContext,
+  systemContext,
+  newBatchId,
+  recordAudit,
+  recordBulkRemoval,
+  readableEntry,
+  buildAuditFilter,
+};
@@ -0,0 +1,138 @@
+const User = require('../models/User');
+const { AGE_BOUNDARIES, ageBracketLabel, buildSubmissionFilter } = require('./submissionFilters');
+const { countsByState } = require('./submissionStats');
+const { isEncrypted } = require('./fieldEncryption');
+
+const YEAR_MS = 1000 * 60 * 60 * 24 * 365.25;
+const DAY_MS = 1000 * 60 * 60 * 24;
+
+// Buckets of the registrations chart, keyed the way $dateToString formats createdAt (UTC; weeks are ISO weeks)
+const GRANULARITIES = {
+  day: '%Y-%m-%d',
+  week: '%G-W%V',
+  month: '%Y-%m',
+  year: '%Y',
+};
+
+// Dashboard filters the stats take; the same names and meaning as the submission list filters
+const STATS_PARAMS = ['from', 'to', 'country', 'status'];
+
+// Results are reused for this long; ?refresh=1 recomputes them
+const CACHE_TTL_MS = (parseInt(process.env.STATS_CACHE_TTL) || 60) * 1000;
+const CACHE_MAX_ENTRIES = 500;
+const cache = new Map();
+
+const isoDate = (time) => new Date(time).toISOString().slice(0, 10);
+
+/**
+ * First and last day (YYYY-MM-DD, both included) of the bucket `key` of `granularity`,
+ * so a bar can be opened as a from/to filter on the submission list.
+ */
+function periodRange(key, granularity) {
+  const [year, part] = key.split(/-W?/).map(Number);
+  let start;
+  let end;
+  if (granularity === 'day') {
+    start = end = Date.parse(key);
+  } else if (granularity === 'week') {
+    // ISO week 1 is the one with January 4th in it
+    const jan4 = Date.UTC(year, 0, 4);
+    start = jan4 - ((new Date(jan4).getUTCDay() + 6) % 7) * DAY_MS + (part - 1) * 7 * DAY_MS;
+    end = start + 6 * DAY_MS;
+  } else if (granularity === 'month') {
+    start = Date.UTC(year, part - 1, 1);
+    end = Date.UTC(year, part, 0);
+  } else {
+    start = Date.UTC(year, 0, 1);
+    end = Date.UTC(year, 11, 31);
+  }
+  return { from: isoDate(start), to: isoDate(end) };
+}
+
+/**
+ * The ages facet: ages counted from dob, or while dob is encrypted and can't be subtracted,
+ * from the birthYear stored next to it (the age reached this year, so up to a year ahead).
+ * Brackets by AGE_BOUNDARIES with 'other' for the rest.
+ */
+function agesFacet(now) {
+  const age = isEncrypted('dob')
+    ? { $subtract: [now.getUTCFullYear(), '$birthYear'] }
+    : { $floor: { $divide: [{ $subtract: [now, '$dob'] }, YEAR_MS] } };
+  return [
+    { $match: isEncrypted('dob') ? { birthYear: { $ne: null } } : { dob: { $ne: null } } },
+    { $project: { age } },
+    { $bucket: { groupBy: '$age', boundaries: AGE_BOUNDARIES, default: 'other', output: { count: { $sum: 1 } } } },
+  ];
+}
+
+async function computeStats(form, params, granularity) {
+  const match = buildSubmissionFilter(form, params);
+  const now = new Date();
+  const [facets] = await User.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        status: [{ $group: { _id: '$confirmationStatus', count: { $sum: 1 } } }],
+        overTime: [
+          { $match: { createdAt: { $ne: null } } },
+          { $group: { _id: { $dateToString: { format: GRANULARITIES[granularity], date: '$createdAt' } }, count: { $sum: 1 } } },
+          { $sort: { _id: 1 } },
+        ],
+        byCountry: [{ $group: { _id: '$country', count: { $sum: 1 } } }, { $sort: { count: -1, _id: 1 } }],
+        states: [{ $match: { state: { $nin: [null, ''] } } }, { $group: { _id: '$state' } }, { $count: 'count' }],
+        ages: agesFacet(now),
+      },
+    },
+  ]);
+
+  const totals = { total: 0, pending: 0, confirmed: 0 };
+  facets.status.forEach(({ _id, count }) => {
+    totals.total += count;
+    if (_id in totals) totals[_id] += count;
+  });
+
+  const byCountry = facets.byCountry.map(({ _id, count }) => ({ country: _id || null, count }));
+  // States of the country filtered on, otherwise of the most common one
+  const stateCountry = params.country || (byCountry.find((item) => item.country) || {}).country || null;
+  const byState = stateCountry
+    ? (await countsByState(buildSubmissionFilter(form, { ...params, country: stateCountry }), { limit: 10 })).map(
+        ({ _id, country, count }) => ({ state: _id, country, count })
+      )
+    : [];
+
+  return {
+    form: form.slug,
+    filters: { ...params, granularity },
+    totals,
+    uniqueCountries: byCountry.filter((item) => item.country).length,
+    uniqueStates: facets.states.length ? facets.states[0].count : 0,
+    overTime: facets.overTime.map(({ _id, count }) => ({ period: _id, ...periodRange(_id, granularity), count })),
+    byCountry,
+    stateCountry,
+    byState,
+    ageDistribution: facets.ages.map(({ _id, count }) =>
+      _id === 'other' ? { bracket: null, label: 'Other', count } : { bracket: _id, label: ageBracketLabel(_id), count }
+    ),
+    generatedAt: new Date(),
+  };
+}
+
+/**
+ * Dashboard aggregates of a form's live submissions for the given filters (see STATS_PARAMS),
+ * served from a short-lived in-process cache. Resolves to the stats with `cached` telling
+ * whether they came from the cache.
+ */
+async function dashboardStats(form, params, { granularity = 'year', refresh = false } = {}) {
+  const key = JSON.stringify([String(form._id), granularity, STATS_PARAMS.map((name) => params[name] || '')]);
+  const hit = cache.get(key);
+  if (hit && !refresh && hit.expiresAt > Date.now()) return { ...hit.stats, cached: true };
+
+  const stats = await computeStats(form, params, granularity);
+  cache.delete(key);
+  cache.set(key, { stats, expiresAt: Date.now() + CACHE_TTL_MS });
+  // Maps iterate in insertion order, so the first key is the oldest entry
+  if (cache.size > CACHE_MAX_ENTRIES) cache.delete(cache.keys().next().value);
+  return { ...stats, cached: false };
+}
+
+module.exports = { GRANULARITIES, STATS_PARAMS, periodRange, dashboardStats };
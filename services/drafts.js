@@ -0,0 +1,16 @@
+const { sendMail } = require('./mailer');
+
+// Absolute link that reopens a draft, on APP_URL when set
+function resumeLink(req, token) {
+  return `${process.env.APP_URL || `${req.protocol}://${req.get('host')}`}/resume/${token}`;
+}
+
+async function sendResumeLink(email, form, link, expiresAt) {
+  await sendMail({
+    to: email,
+    subject: `Finish your answers to ${form.title}`,
+    text: `Your answers to ${form.title} are saved. Pick up where you left off with this link:\n${link}\n\nThe link works until ${expiresAt.toDateString()}. Anyone with the link can see your answers, so don't share it.`,
+  });
+}
+
+module.exports = { resumeLink, sendResumeLink };
@@ -0,0 +1,258 @@
+const User = require('../models/User');
+const Form = require('../models/Form');
+const DuplicateCandidate = require('../models/DuplicateCandidate');
+const { CORE_FIELDS } = require('./formSchema');
+const { newBatchId, recordAudit } = require('./audit');
+const { defineJob } = require('./scheduler');
+const { emitSubmissionEvent } = require('./webhooks');
+const { shareAttachment } = require('./attachments');
+const { isEncrypted, matchPath, revealStored } = require('./fieldEncryption');
+
+const SCAN_INTERVAL_MS = (parseInt(process.env.DUPLICATE_SCAN_INTERVAL_HOURS) || 6) * 60 * 60 * 1000;
+// Names at least this similar (0-1) with the same date of birth count as a match
+const NAME_SIMILARITY = 0.8;
+// More submissions than this sharing a contact, email or birthday is a placeholder value, not one person
+const MAX_GROUP_SIZE = 50;
+// How much each kind of match says on its own; several together add up (see pairScore)
+const REASON_WEIGHTS = { contact: 0.6, email: 0.7, name_dob: 0.6 };
+
+/**
+ * Email as the mailbox it reaches: lowercased, without a +tag, and for Gmail without dots
+ * (googlemail.com is the same service).
+ */
+function normalizeEmail(email) {
+  const [local, domain] = String(email || '').trim().toLowerCase().split('@');
+  if (!local || !domain) return '';
+  let mailbox = local.split('+')[0];
+  let host = domain;
+  if (host === 'googlemail.com') host = 'gmail.com';
+  if (host === 'gmail.com') mailbox = mailbox.replace(/\./g, '');
+  return `${mailbox}@${host}`;
+}
+
+// Lowercase letters and single spaces only, accents stripped: "José  O'Neil" -> "jose o neil"
+function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z]+/g, ' ')
+    .trim();
+}
+
+function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// 0-1 similarity of two names, ignoring case, accents, punctuation and word order
+function nameSimilarity(a, b) {
+  const x = normalizeName(a);
+  const y = normalizeName(b);
+  if (!x || !y) return 0;
+  const ratio = (s, t) => 1 - levenshtein(s, t) / Math.max(s.length, t.length);
+  const sorted = (s) => s.split(' ').sort().join(' ');
+  return Math.max(ratio(x, y), ratio(sorted(x), sorted(y)));
+}
+
+const pairScore = (reasons) => 1 - reasons.reduce((rest, reason) => rest * (1 - REASON_WEIGHTS[reason]), 1);
+
+// Collects pairs found by the different matchers, each pair once with all its reasons
+function pairCollector() {
+  const pairs = new Map();
+  return {
+    pairs,
+    add(a, b, reason) {
+      const users = [String(a), String(b)].sort();
+      const key = users.join(':');
+      if (!pairs.has(key)) pairs.set(key, { users, reasons: new Set() });
+      pairs.get(key).reasons.add(reason);
+    },
+    // Every pair within each group of submission ids
+    addGroups(groups, reason, label) {
+      groups.forEach(({ ids }) => {
+        if (ids.length > MAX_GROUP_SIZE) {
+          console.warn(`⚠️ Skipping ${ids.length} submissions sharing one ${label} in the duplicate scan`);
+          return;
+        }
+        for (let i = 0; i < ids.length; i++) for (let j = i + 1; j < ids.length; j++) this.add(ids[i], ids[j], reason);
+      });
+    },
+  };
+}
+
+// Groups of live submissions sharing a value of `expression`, as { key, docs: [{ _id, name }] }
+function sharedValueGroups(form, field, expression) {
+  return User.aggregate([
+    { $match: { form: form._id, deletedAt: null, [field]: { $nin: [null, ''] } } },
+    { $group: { _id: expression, docs: { $push: { _id: '$_id', name: '$name' } }, count: { $sum: 1 } } },
+    { $match: { count: { $gt: 1 } } },
+  ]).allowDiskUse(true);
+}
+
+// Live submissions of the form grouped by normalized email; emails are normalized (and decrypted) here, not in the query
+async function emailGroups(form) {
+  const byEmail = new Map();
+  const cursor = User.find({ form: form._id, deletedAt: null })
+    .select('email encrypted.email')
+    .lean()
+    .batchSize(1000)
+    .cursor()
+    .map(revealStored);
+  for await (const doc of cursor) {
+    const key = normalizeEmail(doc.email);
+    if (!key) continue;
+    if (!byEmail.has(key)) byEmail.set(key, []);
+    byEmail.get(key).push(doc._id);
+  }
+  return [...byEmail].filter(([, ids]) => ids.length > 1).map(([key, ids]) => ({ key, ids }));
+}
+
+/**
+ * Find the likely duplicates among a form's live submissions and store them as open candidates:
+ *   contact    same contact number
+ *   email      same mailbox once normalized (case, +tags, Gmail dots)
+ *   name_dob   same date of birth and names at least NAME_SIMILARITY alike
+ * Dismissed and merged pairs keep their status; open pairs no longer found are dropped.
+ * Resolves to the number of pairs found.
+ */
+async function scanForm(form) {
+  const runAt = new Date();
+  const collector = pairCollector();
+
+  // Encrypted contacts and birthdays are grouped by their hashes, which are equal for equal values
+  const contactPath = matchPath('contact');
+  const contacts = await sharedValueGroups(form, contactPath, `$${contactPath}`);
+  collector.addGroups(contacts.map(({ _id, docs }) => ({ key: _id, ids: docs.map((doc) => doc._id) })), 'contact', 'contact');
+
+  collector.addGroups(await emailGroups(form), 'email', 'email');
+
+  const birthdays = isEncrypted('dob')
+    ? await sharedValueGroups(form, 'hashes.dob', '$hashes.dob')
+    : await sharedValueGroups(form, 'dob', { $dateToString: { format: '%Y-%m-%d', date: '$dob' } });
+  birthdays.forEach(({ docs }) => {
+    if (docs.length > MAX_GROUP_SIZE * 4) {
+      console.warn(`⚠️ Skipping ${docs.length} submissions born on one day in the duplicate scan`);
+      return;
+    }
+    for (let i = 0; i < docs.length; i++) {
+      for (let j = i + 1; j < docs.length; j++) {
+        if (nameSimilarity(docs[i].name, docs[j].name) >= NAME_SIMILARITY) collector.add(docs[i]._id, docs[j]._id, 'name_dob');
+      }
+    }
+  });
+
+  const operations = [...collector.pairs].map(([pairKey, { users, reasons }]) => ({
+    updateOne: {
+      filter: { pairKey },
+      update: {
+        $setOnInsert: { form: form._id, users, status: 'open' },
+        $set: { reasons: [...reasons], score: pairScore([...reasons]), lastSeenAt: runAt },
+      },
+      upsert: true,
+    },
+  }));
+  for (let i = 0; i < operations.length; i += 500) {
+    await DuplicateCandidate.bulkWrite(operations.slice(i, i + 500), { ordered: false });
+  }
+  await DuplicateCandidate.deleteMany({ form: form._id, status: 'open', lastSeenAt: { $lt: runAt } });
+  return collector.pairs.size;
+}
+
+async function scanAllForms() {
+  const forms = await Form.find();
+  for (const form of forms) {
+    const found = await scanForm(form);
+    console.log(`✅ Duplicate scan of "${form.slug}": ${found} candidate pair${found === 1 ? '' : 's'}`);
+  }
+}
+
+const fieldValue = (doc, name) => (CORE_FIELDS.includes(name) ? doc.get(name) : doc.extra && doc.extra[name]);
+
+/**
+ * Merge the pair of `candidate` into the submission `keepId`: for each field of the form,
+ * `picks[field]` names the submission whose value the kept one ends up with (its own when
+ * absent). The other submission goes to the trash, marked as merged into the kept one.
+ * Both get a merge audit entry listing the ids involved. Resolves to the kept submission.
+ */
+async function mergeCandidate(req, candidate, form, { keepId, picks = {} }) {
+  const users = await User.find({ _id: { $in: candidate.users }, deletedAt: null });
+  if (users.length !== 2) throw new Error('One of the submissions has been deleted or merged already');
+  const kept = users.find((user) => String(user._id) === String(keepId));
+  if (!kept) throw new Error('Pick which submission to keep');
+  const removed = users.find((user) => user !== kept);
+
+  const keptBefore = kept.toObject();
+  form.fields.forEach((field) => {
+    if (String(picks[field.name]) !== String(removed._id)) return;
+    const value = fieldValue(removed, field.name);
+    if (CORE_FIELDS.includes(field.name)) {
+      kept.set(field.name, value);
+    } else {
+      const extra = { ...(kept.extra || {}) };
+      if (value === undefined) delete extra[field.name];
+      else extra[field.name] = value;
+      kept.extra = extra;
+      kept.markModified('extra');
+    }
+  });
+
+  // Trash the other one first so the kept submission may take over its email (unique among live ones)
+  const stamp = { deletedAt: new Date(), deletedBy: req.admin._id, mergedInto: kept._id };
+  const trashed = await User.findOneAndUpdate({ _id: removed._id, deletedAt: null }, stamp, { new: true });
+  if (!trashed) throw new Error('One of the submissions has been deleted or merged already');
+  try {
+    await kept.save();
+  } catch (err) {
+    await User.updateOne({ _id: removed._id }, { $set: { deletedAt: null }, $unset: { deletedBy: 1, mergedInto: 1 } });
+    throw err;
+  }
+
+  // Files picked from the other submission are shared with the kept one, so they survive its purge
+  for (const field of form.fields) {
+    if (field.type === 'file' && String(picks[field.name]) === String(removed._id)) {
+      await shareAttachment(removed, kept, field.name);
+    }
+  }
+
+  const batch = newBatchId();
+  const merge = { kept: kept._id, removed: [removed._id] };
+  await recordAudit(req, { action: 'merge', form, before: keptBefore, after: kept, batch, merge });
+  await recordAudit(req, { action: 'merge', form, before: removed, batch, merge });
+  emitSubmissionEvent('submission.updated', kept, form);
+  emitSubmissionEvent('submission.deleted', trashed, form);
+
+  await DuplicateCandidate.updateOne(
+    { _id: candidate._id },
+    { status: 'merged', mergedInto: kept._id, reviewedBy: req.admin._id, reviewedAt: new Date() }
+  );
+  // Other pairs with the trashed submission are moot; a later scan pairs the kept one again if needed
+  await DuplicateCandidate.deleteMany({ users: removed._id, status: 'open' });
+  return kept;
+}
+
+// Run the duplicate finder over every form every DUPLICATE_SCAN_INTERVAL_HOURS (default 6)
+function registerDuplicateScan() {
+  defineJob('duplicate-scan', {
+    next: (from) => new Date(from.getTime() + SCAN_INTERVAL_MS),
+    run: () => scanAllForms(),
+  });
+}
+
+module.exports = {
+  normalizeEmail,
+  normalizeName,
+  nameSimilarity,
+  pairScore,
+  scanForm,
+  scanAllForms,
+  mergeCandidate,
+  registerDuplicateScan,
+};
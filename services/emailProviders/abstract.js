@@ -0,0 +1,30 @@
+const axios = require('axios');
+
+// abstractapi.com email validation; needs EMAIL_VALIDATION_API_KEY
+module.exports = {
+  name: 'abstract',
+
+  async verify(email) {
+    if (!process.env.EMAIL_VALIDATION_API_KEY) throw new Error('EMAIL_VALIDATION_API_KEY is not set');
+    let data;
+    try {
+      const response = await axios.get('https://emailvalidation.abstractapi.com/v1/', {
+        params: { api_key: process.env.EMAIL_VALIDATION_API_KEY, email },
+        timeout: 5000,
+      });
+      data = response.data;
+    } catch (error) {
+      throw new Error(`abstractapi request failed: ${error.response && error.response.data && error.response.data.error ? JSON.stringify(error.response.data.error) : error.message}`);
+    }
+    if (!data || typeof data.deliverability !== 'string' || typeof data.quality_score !== 'string') {
+      throw new Error('Invalid API response format');
+    }
+    // UNKNOWN deliverability means the API couldn't tell; let the next provider decide
+    if (data.deliverability === 'UNKNOWN') throw new Error('abstractapi could not determine deliverability');
+    const isValid = data.deliverability === 'DELIVERABLE' && parseFloat(data.quality_score) > 0.7;
+    return {
+      isValid,
+      message: isValid ? 'Email validated' : `Email ${data.deliverability.toLowerCase()} (Quality: ${data.quality_score})`,
+    };
+  },
+};
@@ -0,0 +1,57 @@
+const dns = require('dns');
+const disposableDomains = require('./disposableDomains');
+
+// Same rule as the User model, plus the usual length limits
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const NO_MAIL_SERVER = ['ENOTFOUND', 'ENODATA', 'NXDOMAIN'];
+
+/**
+ * MX resolvers by name, picked with EMAIL_MX_RESOLVER. `dns`, the default, asks the system
+ * resolver; the tests add an offline one (test/support/mxStub.js).
+ */
+const resolvers = {
+  dns: (domain) => dns.promises.resolveMx(domain),
+};
+
+function resolverFor(name = process.env.EMAIL_MX_RESOLVER || 'dns') {
+  if (resolvers[name]) return resolvers[name];
+  console.warn(`Unknown MX resolver "${name}" in EMAIL_MX_RESOLVER, using dns`);
+  return resolvers.dns;
+}
+
+function disposableList() {
+  const extra = (process.env.EMAIL_DISPOSABLE_DOMAINS || '')
+    .split(',')
+    .map((domain) => domain.trim().toLowerCase())
+    .filter(Boolean);
+  return new Set([...disposableDomains, ...extra]);
+}
+
+// Offline verifier: syntax, disposable domains, then an MX lookup through the configured resolver
+module.exports = {
+  name: 'local',
+  resolvers,
+
+  async verify(email) {
+    const address = String(email).trim().toLowerCase();
+    const [local, domain] = address.split('@');
+    if (!EMAIL_PATTERN.test(address) || address.length > 254 || local.length > 64) {
+      return { isValid: false, message: 'Email address is not valid' };
+    }
+    const disposable = disposableList();
+    if (disposable.has(domain) || [...disposable].some((d) => domain.endsWith(`.${d}`))) {
+      return { isValid: false, message: 'Disposable email addresses are not accepted' };
+    }
+
+    const resolve = resolverFor();
+    try {
+      const records = await resolve(domain);
+      if (!records || !records.length) return { isValid: false, message: 'Email domain has no mail server' };
+    } catch (err) {
+      if (NO_MAIL_SERVER.includes(err.code)) return { isValid: false, message: 'Email domain has no mail server' };
+      // Timeouts and the like say nothing about the address; leave it to the next provider
+      throw new Error(`MX lookup for ${domain} failed: ${err.message}`);
+    }
+    return { isValid: true, message: 'Email validated' };
+  },
+};
@@ -0,0 +1,173 @@
+const User = require('../models/User');
+const EmailCheck = require('../models/EmailCheck');
+const local = require('./emailProviders/local');
+const abstract = require('./emailProviders/abstract');
+const { recordAudit, systemContext } = require('./audit');
+const { isEncrypted, blindIndex } = require('./fieldEncryption');
+
+// Stored as validationStatus when no provider could give an answer; the re-validation job retries these
+const VALIDATION_UNAVAILABLE = 'Validation unavailable';
+const CACHE_TTL_MS = (parseFloat(process.env.EMAIL_CACHE_TTL_HOURS) || 24) * 60 * 60 * 1000;
+const REVALIDATE_INTERVAL_MS = (parseFloat(process.env.EMAIL_REVALIDATE_INTERVAL_MINUTES) || 15) * 60 * 1000;
+const REVALIDATE_BATCH = 100;
+
+/**
+ * Providers by name. A provider is `{ name, verify(email) }` where verify resolves to
+ * `{ isValid, message }`, or throws when it can't tell (API down, no key, DNS timeout)
+ * so the next provider in the chain gets a turn.
+ */
+const providers = new Map([local, abstract].map((provider) => [provider.name, provider]));
+
+function registerProvider(provider) {
+  if (!provider || typeof provider.name !== 'string' || typeof provider.verify !== 'function') {
+    throw new Error('An email provider needs a name and a verify(email) function');
+  }
+  providers.set(provider.name, provider);
+}
+
+// EMAIL_VERIFIERS=abstract,local; by default abstractapi first when it has a key, the local verifier always
+function providerChain() {
+  const configured = process.env.EMAIL_VERIFIERS
+    ? process.env.EMAIL_VERIFIERS.split(',').map((name) => name.trim()).filter(Boolean)
+    : [...(process.env.EMAIL_VALIDATION_API_KEY ? ['abstract'] : []), 'local'];
+  return configured
+    .map((name) => {
+      if (!providers.has(name)) console.warn(`Unknown email verifier "${name}" in EMAIL_VERIFIERS, skipping`);
+      return providers.get(name);
+    })
+    .filter(Boolean);
+}
+
+// Cache entries are keyed by the address's hash when submission emails are encrypted
+const cacheKey = (address) => (isEncrypted('email') ? blindIndex('email', address) : address);
+
+async function cachedResult(email) {
+  try {
+    const check = await EmailCheck.findOne({ email: cacheKey(email), expiresAt: { $gt: new Date() } }).lean();
+    return check && { isValid: check.isValid, message: check.message, provider: check.provider, cached: true };
+  } catch (err) {
+    console.error('❌ Error reading email check cache:', err.message);
+    return null;
+  }
+}
+
+async function cacheResult(email, result) {
+  try {
+    await EmailCheck.updateOne(
+      { email: cacheKey(email) },
+      {
+        $set: {
+          isValid: result.isValid,
+          message: result.message,
+          provider: result.provider,
+          checkedAt: new Date(),
+          expiresAt: new Date(Date.now() + CACHE_TTL_MS),
+        },
+      },
+      { upsert: true }
+    );
+  } catch (err) {
+    console.error('❌ Error caching email check:', err.message);
+  }
+}
+
+async function runChain(email) {
+  const failures = [];
+  for (const provider of providerChain()) {
+    try {
+      const result = await provider.verify(email);
+      return { isValid: Boolean(result.isValid), message: result.message, provider: provider.name, cached: false };
+    } catch (err) {
+      failures.push(`${provider.name}: ${err.message}`);
+    }
+  }
+  const err = new Error(`No email verifier could check the address (${failures.join('; ') || 'no verifiers configured'})`);
+  err.code = 'EMAIL_VERIFICATION_UNAVAILABLE';
+  throw err;
+}
+
+// Lookups already running, so a burst of identical requests costs one provider call
+const pending = new Map();
+
+/**
+ * Verify an address through the cache and then the provider chain.
+ * Resolves to `{ isValid, message, provider, cached }`; rejects with code
+ * EMAIL_VERIFICATION_UNAVAILABLE when every provider failed.
+ */
+async function verifyEmail(email, { useCache = true } = {}) {
+  const address = String(email || '').trim().toLowerCase();
+  if (useCache) {
+    const cached = await cachedResult(address);
+    if (cached) return cached;
+  }
+  if (pending.has(address)) return pending.get(address);
+
+  const lookup = runChain(address)
+    .then(async (result) => {
+      await cacheResult(address, result);
+      return result;
+    })
+    .finally(() => pending.delete(address));
+  pending.set(address, lookup);
+  return lookup;
+}
+
+// validationStatus for a new or edited submission: the verifier's message, or VALIDATION_UNAVAILABLE;
+// null when the form let the email be left out
+async function validationStatusFor(email) {
+  if (!email) return { isValid: true, message: null };
+  try {
+    const result = await verifyEmail(email);
+    return { isValid: result.isValid, message: result.message };
+  } catch (err) {
+    console.error('❌ Email validation failed:', err.message);
+    return { isValid: true, message: VALIDATION_UNAVAILABLE };
+  }
+}
+
+// Re-check submissions stored while verification was unavailable; returns how many got an answer
+async function revalidateUnavailable({ limit = REVALIDATE_BATCH } = {}) {
+  const users = await User.find({ validationStatus: VALIDATION_UNAVAILABLE, deletedAt: null }).limit(limit);
+  const context = systemContext('email revalidation');
+  let updated = 0;
+  for (const before of users) {
+    let result;
+    try {
+      result = await verifyEmail(before.email);
+    } catch (err) {
+      continue;
+    }
+    const after = await User.findOneAndUpdate(
+      { _id: before._id, validationStatus: VALIDATION_UNAVAILABLE },
+      { validationStatus: result.message },
+      { new: true }
+    );
+    if (!after) continue;
+    await recordAudit(context, { action: 'update', before, after });
+    updated += 1;
+  }
+  return updated;
+}
+
+function startEmailRevalidation() {
+  const run = async () => {
+    try {
+      const updated = await revalidateUnavailable();
+      if (updated) console.log(`✅ Re-validated ${updated} emails stored while validation was unavailable`);
+    } catch (err) {
+      console.error('❌ Error re-validating emails:', err.message);
+    }
+  };
+  run();
+  setInterval(run, REVALIDATE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  VALIDATION_UNAVAILABLE,
+  registerProvider,
+  providerChain,
+  verifyEmail,
+  validationStatusFor,
+  revalidateUnavailable,
+  startEmailRevalidation,
+};
@@ -0,0 +1,178 @@
+const User = require('../models/User');
+const {
+  ENCRYPTABLE_FIELDS,
+  SEALED_PREFIX,
+  encryptedFields,
+  currentKeyId,
+  keyIds,
+  hasKeyFile,
+  isSealed,
+  sealedKeyId,
+  seal,
+  open,
+  blindIndex,
+} = require('./fieldEncryption');
+
+const BATCH_SIZE = 500;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Submissions with a field stored differently from what ENCRYPTED_FIELDS and the current key ask for
+function outOfSyncFilter() {
+  const encrypted = encryptedFields();
+  const current = encrypted.length ? new RegExp(`^${escapeRegex(`${SEALED_PREFIX}${currentKeyId()}:`)}`) : null;
+  return {
+    $or: ENCRYPTABLE_FIELDS.flatMap((field) =>
+      encrypted.includes(field)
+        ? [{ [field]: { $exists: true, $ne: null } }, { [`encrypted.${field}`]: { $exists: true, $not: current } }]
+        : [{ [`encrypted.${field}`]: { $exists: true } }]
+    ),
+  };
+}
+
+// The $set/$unset bringing one raw submission in line, or null when it already is
+function resyncUpdate(doc) {
+  const encrypted = encryptedFields();
+  const $set = {};
+  const $unset = {};
+  ENCRYPTABLE_FIELDS.forEach((field) => {
+    const sealed = doc.encrypted && doc.encrypted[field];
+    if (encrypted.includes(field)) {
+      if (isSealed(sealed) && sealedKeyId(sealed) === currentKeyId() && doc[field] == null) return;
+      const value = isSealed(sealed) ? open(field, sealed) : doc[field];
+      if (value == null || value === '') return;
+      $set[`encrypted.${field}`] = seal(field, value);
+      $set[`hashes.${field}`] = blindIndex(field, value);
+      $unset[field] = 1;
+    } else if (sealed !== undefined) {
+      if (isSealed(sealed)) $set[field] = open(field, sealed);
+      $unset[`encrypted.${field}`] = 1;
+      $unset[`hashes.${field}`] = 1;
+    }
+  });
+  if (!Object.keys($set).length && !Object.keys($unset).length) return null;
+  return { ...(Object.keys($set).length ? { $set } : {}), ...(Object.keys($unset).length ? { $unset } : {}) };
+}
+
+async function resyncSubmissions() {
+  const filter = outOfSyncFilter();
+  let updated = 0;
+  let failed = 0;
+  let lastId = null;
+  for (;;) {
+    // Raw documents, so they are neither decrypted on the way in nor re-validated on the way out
+    const docs = await User.collection
+      .find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+    if (!docs.length) break;
+    lastId = docs[docs.length - 1]._id;
+    for (const doc of docs) {
+      try {
+        const update = resyncUpdate(doc);
+        if (!update) continue;
+        await User.collection.updateOne({ _id: doc._id }, update);
+        updated++;
+      } catch (err) {
+        failed++;
+        console.error(`❌ Error re-encrypting submission ${doc._id}:`, err.message);
+      }
+    }
+  }
+  return { updated, failed };
+}
+
+// Submissions stored before birthYear existed get it from their date of birth, once; returns how many
+async function backfillBirthYears() {
+  const filter = { birthYear: { $exists: false }, $or: [{ dob: { $type: 'date' } }, { 'encrypted.dob': { $type: 'string' } }] };
+  let updated = 0;
+  let lastId = null;
+  for (;;) {
+    const docs = await User.collection
+      .find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+      .project({ dob: 1, 'encrypted.dob': 1 })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .toArray();
+    if (!docs.length) break;
+    lastId = docs[docs.length - 1]._id;
+    for (const doc of docs) {
+      try {
+        const sealed = doc.encrypted && doc.encrypted.dob;
+        const dob = isSealed(sealed) ? open('dob', sealed) : doc.dob;
+        await User.collection.updateOne({ _id: doc._id }, { $set: { birthYear: dob.getUTCFullYear() } });
+        updated++;
+      } catch (err) {
+        console.error(`❌ Error storing the birth year of submission ${doc._id}:`, err.message);
+      }
+    }
+  }
+  return updated;
+}
+
+let running = null;
+let queued = null;
+
+/**
+ * Bring stored submissions in line with ENCRYPTED_FIELDS and the current key: plain values of
+ * encrypted fields are encrypted, values under older keys re-encrypted, and fields taken out of
+ * ENCRYPTED_FIELDS decrypted again. The values themselves don't change, so nothing is audited.
+ * Runs on startup and after a key rotation. A call while a run is going queues one more full
+ * pass after it (shared by every call made in the meantime), since the run may already have
+ * passed submissions the new settings apply to. Resolves to { updated, failed } of its pass.
+ */
+function syncEncryption() {
+  if (!running) {
+    running = resyncSubmissions().finally(() => {
+      running = null;
+    });
+    return running;
+  }
+  if (!queued) {
+    queued = running
+      .catch(() => {})
+      .then(() => {
+        queued = null;
+        return syncEncryption();
+      });
+  }
+  return queued;
+}
+
+const isSyncing = () => Boolean(running || queued);
+
+/**
+ * How the live and trashed submissions are stored, for the settings page: per field whether it
+ * is encrypted, and how many values each key encrypted and how many are still plain.
+ */
+async function encryptionStatus() {
+  const encrypted = encryptedFields();
+  // Without a key file nothing was ever encrypted
+  const ids = hasKeyFile() ? keyIds() : [];
+  const fields = [];
+  for (const field of ENCRYPTABLE_FIELDS) {
+    const byKey = {};
+    for (const id of ids) {
+      byKey[id] = await User.countDocuments({ [`encrypted.${field}`]: new RegExp(`^${escapeRegex(`${SEALED_PREFIX}${id}:`)}`) });
+    }
+    const plain = await User.countDocuments({ [field]: { $exists: true, $ne: null } });
+    fields.push({ field, encrypted: encrypted.includes(field), byKey, plain });
+  }
+  return { currentKey: ids.length ? currentKeyId() : null, keys: ids, fields, syncing: isSyncing() };
+}
+
+// Startup step: encrypt, re-encrypt or decrypt what the configuration or key changed since the last start
+async function applyEncryptionSettings() {
+  try {
+    const { updated, failed } = await syncEncryption();
+    if (updated) console.log(`✅ Re-stored the personal data of ${updated} submissions for the current encryption settings`);
+    if (failed) console.warn(`${failed} submissions could not be re-encrypted; see the errors above`);
+    const birthYears = await backfillBirthYears();
+    if (birthYears) console.log(`✅ Stored the birth year of ${birthYears} submissions for the dashboard`);
+  } catch (err) {
+    console.error('❌ Error syncing field encryption:', err.message);
+  }
+}
+
+module.exports = { syncEncryption, isSyncing, encryptionStatus, applyEncryptionSettings, backfillBirthYears };
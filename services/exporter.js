@@ -0,0 +1,99 @@
+const { Readable, pipeline } = require('stream');
+const { Transform: CsvTransform } = require('json2csv');
+const ExcelJS = require('exceljs');
+const { CORE_FIELDS } = require('./formSchema');
+
+const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv', extension: 'csv' },
+  json: { contentType: 'application/json', extension: 'json' },
+  ndjson: { contentType: 'application/x-ndjson', extension: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' },
+};
+
+// Record columns that can be exported besides the form's own fields
+const RECORD_COLUMNS = ['createdAt', 'validationStatus', 'confirmationStatus'];
+
+// Columns available for a form, in export order
+function exportColumns(form) {
+  return [...form.fields.map((field) => field.name), ...RECORD_COLUMNS];
+}
+
+// Keep only known columns from a comma-separated ?columns= value, defaulting to all of them
+function pickColumns(form, requested) {
+  const available = exportColumns(form);
+  const wanted = String(requested || '')
+    .split(',')
+    .map((column) => column.trim())
+    .filter((column) => available.includes(column));
+  return wanted.length ? available.filter((column) => wanted.includes(column)) : available;
+}
+
+// Flatten a lean submission into a row of plain values for the chosen columns
+function toRow(doc, columns) {
+  const row = {};
+  columns.forEach((column) => {
+    let value =
+      CORE_FIELDS.includes(column) || RECORD_COLUMNS.includes(column) ? doc[column] : doc.extra && doc.extra[column];
+    if (value instanceof Date) value = value.toISOString();
+    row[column] = value === undefined ? null : value;
+  });
+  return row;
+}
+
+async function* rows(cursor, columns) {
+  for await (const doc of cursor) {
+    yield toRow(doc, columns);
+  }
+}
+
+async function* jsonChunks(cursor, columns) {
+  let first = true;
+  yield '[';
+  for await (const row of rows(cursor, columns)) {
+    yield (first ? '\n' : ',\n') + JSON.stringify(row);
+    first = false;
+  }
+  yield '\n]\n';
+}
+
+async function* ndjsonChunks(cursor, columns) {
+  for await (const row of rows(cursor, columns)) {
+    yield `${JSON.stringify(row)}\n`;
+  }
+}
+
+async function writeXlsx(cursor, columns, res) {
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+  const sheet = workbook.addWorksheet('Submissions');
+  sheet.columns = columns.map((column) => ({ header: column, key: column }));
+  for await (const row of rows(cursor, columns)) {
+    sheet.addRow(row).commit();
+  }
+  sheet.commit();
+  await workbook.commit();
+}
+
+/**
+ * Stream a Mongo cursor of lean submissions to the response in the given format.
+ * Rows are written as they are read, so the collection is never held in memory.
+ */
+function streamExport(res, { cursor, columns, format, filename }) {
+  const { contentType, extension } = EXPORT_FORMATS[format];
+  res.header('Content-Type', contentType);
+  res.attachment(`${filename}.${extension}`);
+
+  return new Promise((resolve, reject) => {
+    const done = (err) => (err ? reject(err) : resolve());
+    if (format === 'xlsx') {
+      writeXlsx(cursor, columns, res).then(() => resolve(), reject);
+    } else if (format === 'csv') {
+      const csv = new CsvTransform({ fields: columns }, { objectMode: true });
+      pipeline(Readable.from(rows(cursor, columns)), csv, res, done);
+    } else {
+      const chunks = format === 'json' ? jsonChunks : ndjsonChunks;
+      pipeline(Readable.from(chunks(cursor, columns)), res, done);
+    }
+  });
+}
+
+module.exports = { EXPORT_FORMATS, exportColumns, pickColumns, streamExport };
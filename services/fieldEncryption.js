@@ -0,0 +1,257 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Submission fields that can be encrypted at rest
+const ENCRYPTABLE_FIELDS = ['email', 'contact', 'dob'];
+// Encrypted values are stored as enc1:<key id>:<iv>:<auth tag>:<ciphertext>, the last three base64url
+const SEALED_PREFIX = 'enc1:';
+const KEY_BYTES = 32;
+
+/**
+ * Fields encrypted at rest, from ENCRYPTED_FIELDS (comma-separated, any of email,contact,dob).
+ * Encryption is off while it is unset or empty; stored values are decrypted again on the next start.
+ */
+function encryptedFields() {
+  const configured = process.env.ENCRYPTED_FIELDS || '';
+  return configured
+    .split(',')
+    .map((name) => name.trim())
+    .filter((name) => ENCRYPTABLE_FIELDS.includes(name));
+}
+
+const isEncrypted = (field) => encryptedFields().includes(field);
+
+/**
+ * The key file, ENCRYPTION_KEY_FILE (default keys/field-encryption.json):
+ *   { "current": "k2", "keys": { "k1": "<base64>", "k2": "<base64>" }, "indexKey": "<base64>" }
+ * New values are encrypted with the current key; older keys stay for reading what they encrypted.
+ * indexKey makes the hashes used for exact matching and is never rotated.
+ */
+const keyFile = () => path.resolve(process.env.ENCRYPTION_KEY_FILE || path.join(__dirname, '..', 'keys', 'field-encryption.json'));
+
+let keyring = null;
+
+const newKey = () => crypto.randomBytes(KEY_BYTES).toString('base64');
+
+function parseKeyring(text, file) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    throw new Error(`Encryption key file ${file} is not valid JSON`);
+  }
+  if (!data || typeof data !== 'object') throw new Error(`Encryption key file ${file} must hold a JSON object`);
+  const keys = new Map(Object.entries(data.keys || {}).map(([id, key]) => [id, Buffer.from(String(key), 'base64')]));
+  const indexKey = Buffer.from(String(data.indexKey || ''), 'base64');
+  if (!keys.has(data.current)) throw new Error(`Encryption key file ${file} has no key "${data.current}" to use as current`);
+  if ([...keys.values(), indexKey].some((key) => key.length !== KEY_BYTES)) {
+    throw new Error(`Every key in ${file} must be ${KEY_BYTES} bytes, base64-encoded`);
+  }
+  if ([...keys.keys()].some((id) => !/^[A-Za-z0-9_-]+$/.test(id))) {
+    throw new Error(`Key ids in ${file} may only use letters, digits, dashes and underscores`);
+  }
+  return { file, current: data.current, keys, indexKey };
+}
+
+// Written to a temporary file first, so a crash can't leave a half-written key file behind
+function writeKeyring(file, data) {
+  fs.mkdirSync(path.dirname(file), { recursive: true, mode: 0o700 });
+  const temporary = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(temporary, `${JSON.stringify(data, null, 2)}\n`, { mode: 0o600 });
+  fs.renameSync(temporary, file);
+}
+
+const hasKeyFile = () => fs.existsSync(keyFile());
+
+/**
+ * Write a key file with a first key (`npm run encryption-key`). Never replaces an existing one,
+ * whose keys may be the only way to read stored values. Returns the file's path.
+ */
+function createKeyFile(file = keyFile()) {
+  if (fs.existsSync(file)) throw new Error(`Encryption key file ${file} already exists`);
+  writeKeyring(file, { current: 'k1', keys: { k1: newKey() }, indexKey: newKey() });
+  return file;
+}
+
+/**
+ * The keys, read once and again when a value names a key this process hasn't seen (another
+ * process rotated). The key file is never made up on the fly: it has to be created on purpose
+ * (and backed up) or mounted, so a lost file can't silently be replaced by new keys.
+ */
+function loadKeyring({ reload = false } = {}) {
+  if (keyring && !reload) return keyring;
+  const file = keyFile();
+  if (!fs.existsSync(file)) {
+    throw new Error(`Encryption key file ${file} not found: create it with \`npm run encryption-key\` or mount it there (ENCRYPTION_KEY_FILE)`);
+  }
+  keyring = parseKeyring(fs.readFileSync(file, 'utf8'), file);
+  return keyring;
+}
+
+// Startup check: with fields to encrypt, the key file must be there and valid (throws otherwise)
+function checkEncryptionKeys() {
+  if (encryptedFields().length) loadKeyring({ reload: true });
+}
+
+function keyFor(id) {
+  let ring = loadKeyring();
+  if (!ring.keys.has(id)) ring = loadKeyring({ reload: true });
+  const key = ring.keys.get(id);
+  if (!key) throw new Error(`Encryption key "${id}" is not in ${ring.file}`);
+  return key;
+}
+
+/**
+ * Add a new key to the key file and make it the current one. Returns its id.
+ * Values under the older keys are re-encrypted by syncEncryption (services/encryptionMigration.js).
+ */
+function rotateKey() {
+  const ring = loadKeyring({ reload: true });
+  const numbers = [...ring.keys.keys()].map((id) => parseInt(id.replace(/^k/, ''), 10)).filter((n) => !isNaN(n));
+  const id = `k${Math.max(0, ...numbers) + 1}`;
+  const keys = {};
+  ring.keys.forEach((key, keyId) => {
+    keys[keyId] = key.toString('base64');
+  });
+  keys[id] = newKey();
+  writeKeyring(ring.file, { current: id, keys, indexKey: ring.indexKey.toString('base64') });
+  loadKeyring({ reload: true });
+  return id;
+}
+
+const currentKeyId = () => loadKeyring().current;
+const keyIds = () => [...loadKeyring().keys.keys()];
+
+// The string that is encrypted or hashed for a value: emails lowercased, dates as ISO strings
+function plainString(field, value) {
+  if (value instanceof Date) return value.toISOString();
+  const text = String(value).trim();
+  return field === 'email' ? text.toLowerCase() : text;
+}
+
+// A decrypted string back as the field's type
+const fromPlain = (field, text) => (field === 'dob' ? new Date(text) : text);
+
+const isSealed = (value) => typeof value === 'string' && value.startsWith(SEALED_PREFIX);
+
+// Id of the key a sealed value was encrypted with
+const sealedKeyId = (value) => value.slice(SEALED_PREFIX.length).split(':')[0];
+
+// AES-256-GCM with the field name as associated data, so a value can't be moved to another field
+function seal(field, value) {
+  const id = currentKeyId();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', keyFor(id), iv);
+  cipher.setAAD(Buffer.from(field));
+  const encrypted = Buffer.concat([cipher.update(plainString(field, value), 'utf8'), cipher.final()]);
+  return `${SEALED_PREFIX}${id}:${[iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join(':')}`;
+}
+
+// The string sealed in a value of `field`; throws when it was tampered with or its key is gone
+function openText(field, sealed) {
+  const [id, iv, tag, encrypted] = sealed.slice(SEALED_PREFIX.length).split(':');
+  const decipher = crypto.createDecipheriv('aes-256-gcm', keyFor(id), Buffer.from(iv, 'base64url'));
+  decipher.setAAD(Buffer.from(field));
+  decipher.setAuthTag(Buffer.from(tag, 'base64url'));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, 'base64url')), decipher.final()]).toString('utf8');
+}
+
+// The value of `field` sealed in `sealed`, as the field's type
+const open = (field, sealed) => fromPlain(field, openText(field, sealed));
+
+/**
+ * Keyed hash of a value, the same for equal values, so encrypted fields can still be matched
+ * exactly. Dates of birth are hashed by day.
+ */
+function blindIndex(field, value) {
+  const text = field === 'dob' && value instanceof Date ? value.toISOString().slice(0, 10) : plainString(field, value);
+  return crypto.createHmac('sha256', loadKeyring().indexKey).update(`${field}:${text}`).digest('hex');
+}
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// Seal a value for storage in place (audit entries, drafts) when its field is encrypted
+const sealIfEncrypted = (field, value) => (isEncrypted(field) && hasValue(value) && !isSealed(value) ? seal(field, value) : value);
+
+// Open a value stored by sealIfEncrypted, as the string that was sealed; plain values pass through
+const openIfSealed = (field, value) => (isSealed(value) ? openText(field, value) : value);
+
+/**
+ * Copy the encrypted values of a raw submission (`encrypted.<field>`) onto the fields
+ * themselves, in place. Used on every submission read from the database; returns the object.
+ */
+function revealStored(raw) {
+  if (!raw || !raw.encrypted) return raw;
+  ENCRYPTABLE_FIELDS.forEach((field) => {
+    if (isSealed(raw.encrypted[field])) raw[field] = open(field, raw.encrypted[field]);
+  });
+  return raw;
+}
+
+/**
+ * Rewrite a submission update so encrypted fields are stored as `encrypted.<field>` and
+ * `hashes.<field>`; their own paths are left out. Returns the plain values taken out, so they
+ * can be validated, or null when the update has none.
+ */
+function sealUpdate(update) {
+  const plain = {};
+  const $set = update.$set || {};
+  const $unset = update.$unset || {};
+  encryptedFields().forEach((field) => {
+    [update, $set].forEach((target) => {
+      if (!(field in target)) return;
+      plain[field] = target[field];
+      delete target[field];
+    });
+    if (field in $unset) {
+      plain[field] = null;
+      delete $unset[field];
+    }
+    if (!(field in plain)) return;
+    if (hasValue(plain[field])) {
+      $set[`encrypted.${field}`] = seal(field, plain[field]);
+      $set[`hashes.${field}`] = blindIndex(field, plain[field]);
+    } else {
+      $unset[`encrypted.${field}`] = 1;
+      $unset[`hashes.${field}`] = 1;
+    }
+  });
+  if (!Object.keys(plain).length) return null;
+  if (Object.keys($set).length) update.$set = $set;
+  if (Object.keys($unset).length) update.$unset = $unset;
+  return plain;
+}
+
+// Query condition for submissions whose `field` equals `value`: by hash when the field is encrypted
+const matchValue = (field, value) => (isEncrypted(field) ? { [`hashes.${field}`]: blindIndex(field, value) } : { [field]: value });
+
+// Path submissions are grouped or matched on for exact equality of `field`
+const matchPath = (field) => (isEncrypted(field) ? `hashes.${field}` : field);
+
+module.exports = {
+  ENCRYPTABLE_FIELDS,
+  SEALED_PREFIX,
+  encryptedFields,
+  isEncrypted,
+  keyFile,
+  hasKeyFile,
+  createKeyFile,
+  loadKeyring,
+  checkEncryptionKeys,
+  rotateKey,
+  currentKeyId,
+  keyIds,
+  isSealed,
+  sealedKeyId,
+  seal,
+  openText,
+  open,
+  blindIndex,
+  sealIfEncrypted,
+  openIfSealed,
+  revealStored,
+  sealUpdate,
+  matchValue,
+  matchPath,
+};
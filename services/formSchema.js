@@ -0,0 +1,432 @@
+const { body } = require('express-validator');
+const safeRegex = require('safe-regex');
+const FormRules = require('../public/form-rules');
+const { COUNTRIES, findCountry, findSubdivision, normalizePhone } = require('./geo');
+const { fileLimits, fileProblem, uploadedFile } = require('./attachments');
+
+// Field types a form definition can use. country and region are dropdowns of the ISO 3166 countries
+// and of the subdivisions of the country chosen in the form's country field; tel numbers are checked
+// against that country's rules and stored in E.164 form (+919876543210). A file field stores the
+// uploaded file's name; the file itself is an Attachment (see services/attachments.js).
+const FIELD_TYPES = ['text', 'textarea', 'email', 'tel', 'date', 'number', 'select', 'country', 'region', 'file'];
+
+// Types answered by picking from a list, so no length or pattern rules
+const CHOICE_TYPES = ['select', 'country', 'region'];
+
+// Values longer than this fail a field's pattern without being matched against it
+const MAX_PATTERN_INPUT = 1000;
+
+/**
+ * Why a field pattern can't be used, or null. Patterns run on every submission, so besides
+ * compiling they must not be open to catastrophic backtracking (nested repetition such as
+ * `(a+)+`, as judged by safe-regex).
+ */
+function patternProblem(pattern) {
+  try {
+    new RegExp(pattern);
+  } catch (err) {
+    return 'Pattern must be a valid regular expression';
+  }
+  if (!safeRegex(pattern)) return 'Pattern is too complex to check safely: avoid nested repetition such as (a+)+';
+  return null;
+}
+
+// Fields stored as top-level User properties; anything else lands in `extra`
+const CORE_FIELDS = ['name', 'email', 'dob', 'contact', 'state', 'country'];
+
+// Every form needs these to identify a submission
+const IDENTITY_FIELDS = ['name', 'email'];
+
+// The original six-field form, used to seed the default definition
+const DEFAULT_FIELDS = [
+  { name: 'name', label: 'Full Name', type: 'text', required: true, min: 2, max: 50, placeholder: 'Enter full name' },
+  { name: 'email', label: 'Email Address', type: 'email', required: true, placeholder: 'Enter email address' },
+  {
+    name: 'dob',
+    label: 'Date of Birth',
+    type: 'date',
+    required: true,
+    min: 0,
+    max: 120,
+    message: 'Invalid date of birth',
+  },
+  {
+    name: 'contact',
+    label: 'Contact Number',
+    type: 'tel',
+    required: true,
+    message: 'Enter a valid phone number for the selected country',
+    placeholder: 'Enter phone number',
+  },
+  { name: 'state', label: 'State', type: 'region', required: true },
+  { name: 'country', label: 'Country', type: 'country', required: true },
+];
+
+const hasValue = (value) => value !== undefined && value !== null && value !== '';
+
+// For date fields min/max bound the age in years, so compute the matching calendar dates
+function dateBounds(field, today = new Date()) {
+  const yearsAgo = (years) => new Date(today.getFullYear() - years, today.getMonth(), today.getDate());
+  return {
+    earliest: hasValue(field.max) ? yearsAgo(field.max) : null,
+    latest: hasValue(field.min) ? yearsAgo(field.min) : null,
+  };
+}
+
+/**
+ * Build the express-validator chains for a list of field definitions.
+ * With `partial` set, absent fields are skipped so the chains suit PATCH bodies.
+ */
+function buildValidators(fields, { partial = false } = {}) {
+  // tel and region fields are read in the country picked in the form, when it has a country field.
+  // Partial updates without it use the stored submission's (req.submission, see loadSubmissionForm).
+  const countryField = fields.find((field) => field.type === 'country');
+  const countryOf = (req) => {
+    if (!countryField) return null;
+    const name = countryField.name;
+    const stored = partial && !(name in req.body) && req.submission;
+    return findCountry(stored ? formValues([countryField], req.submission)[name] : req.body[name]);
+  };
+
+  return fields.flatMap((field) => {
+    const label = field.label || field.name;
+    let chain = body(field.name);
+    // A file the upload middleware turned away is reported as such, instead of as missing
+    const uploadFailed = (req) => Boolean(req.uploadError && [field.name, null].includes(req.uploadError.field));
+    if (field.type === 'file') chain = chain.if((value, { req }) => !uploadFailed(req));
+
+    if (partial) {
+      chain = chain.optional({ values: field.required ? 'undefined' : 'falsy' });
+    } else if (!field.required) {
+      chain = chain.optional({ values: 'falsy' });
+    }
+    if (!['select', 'file'].includes(field.type)) chain = chain.trim();
+    if (field.required) chain = chain.notEmpty().withMessage(`${label} is required`).bail();
+
+    const message = field.message || `Invalid ${label.toLowerCase()}`;
+    switch (field.type) {
+      case 'email':
+        chain = chain.isEmail().withMessage(field.message || 'Invalid email address');
+        break;
+      case 'date':
+        chain = chain
+          .isDate()
+          .withMessage(message)
+          .bail()
+          .custom((value) => {
+            const { earliest, latest } = dateBounds(field);
+            const date = new Date(value);
+            return (!earliest || date >= earliest) && (!latest || date <= latest);
+          })
+          .withMessage(message);
+        break;
+      case 'number': {
+        const bounds = {};
+        if (hasValue(field.min)) bounds.min = field.min;
+        if (hasValue(field.max)) bounds.max = field.max;
+        chain = chain.isFloat(bounds).withMessage(message);
+        break;
+      }
+      case 'select':
+        chain = chain.isIn(field.options || []).withMessage(`${label} must be one of: ${(field.options || []).join(', ')}`);
+        break;
+      case 'country':
+        chain = chain
+          .custom((value) => Boolean(findCountry(value)))
+          .withMessage(`${label} must be a country`)
+          .bail()
+          .customSanitizer((value) => findCountry(value).name);
+        break;
+      case 'region':
+        // Without a known country any name is taken as typed
+        chain = chain
+          .custom((value, { req }) => !countryOf(req) || Boolean(findSubdivision(countryOf(req), value)))
+          .withMessage(`${label} must be a state or region of the selected country`)
+          .bail()
+          .customSanitizer((value, { req }) => {
+            const subdivision = findSubdivision(countryOf(req), value);
+            return subdivision ? subdivision.name : value;
+          });
+        break;
+      case 'tel':
+        chain = chain.custom((value, { req }) => normalizePhone(value, countryOf(req)) !== null).withMessage(message);
+        break;
+      case 'file':
+        // The value is the name of the file uploaded with the request, or of the one already stored
+        chain = chain.custom(async (value, { req }) => {
+          const file = uploadedFile(req, field.name);
+          const problem = file && (await fileProblem(field, file));
+          if (problem) throw new Error(problem);
+          return true;
+        });
+        break;
+      default:
+        if (hasValue(field.min) || hasValue(field.max)) {
+          chain = chain
+            .isLength({ min: field.min || 0, max: hasValue(field.max) ? field.max : undefined })
+            .withMessage(
+              hasValue(field.max)
+                ? `${label} must be between ${field.min || 0} and ${field.max} characters`
+                : `${label} must be at least ${field.min} characters`
+            );
+        }
+    }
+
+    if (field.pattern && !CHOICE_TYPES.includes(field.type) && field.type !== 'file') {
+      // A pattern stored before patternProblem existed fails every value rather than the request
+      const problem = patternProblem(field.pattern);
+      if (problem) console.error(`❌ Pattern of field ${field.name} can't be used: ${problem}`);
+      const pattern = problem ? null : new RegExp(field.pattern);
+      chain = chain
+        .custom((value) => Boolean(pattern) && String(value).length <= MAX_PATTERN_INPUT && pattern.test(String(value)))
+        .withMessage(message);
+    }
+    // Patterns see the number as typed; it is stored in E.164 form
+    if (field.type === 'tel') {
+      chain = chain.customSanitizer((value, { req }) => normalizePhone(value, countryOf(req)) || value);
+    }
+    if (field.type === 'file') {
+      return [chain, body(field.name).custom((value, { req }) => !uploadFailed(req)).withMessage((value, { req }) => req.uploadError.message)];
+    }
+    return chain;
+  });
+}
+
+/**
+ * The fields to check for a complete set of `values`, after the form's conditional rules:
+ * hidden fields are left out and required-if rules decide `required`.
+ */
+function applyRules(fields, values) {
+  const { visible, required } = FormRules.evaluate(fields, values);
+  return fields
+    .filter((field) => visible[field.name])
+    .map((field) => ({ ...(typeof field.toObject === 'function' ? field.toObject() : field), required: required[field.name] }));
+}
+
+/**
+ * The values a partial update leaves the stored submission (req.submission) with: its stored
+ * values, as strings, with those present in `source` on top. Rules of a PATCH are evaluated on these.
+ */
+function mergedValues(fields, stored, source) {
+  const values = formValues(fields, stored);
+  fields.forEach((field) => {
+    if (source[field.name] !== undefined) values[field.name] = source[field.name];
+  });
+  return values;
+}
+
+/**
+ * Put the name of each file uploaded for a file field (req.files, see middleware/uploads.js) in
+ * req.body, so rules and validators treat it like any other value. A file field without an
+ * upload keeps the stored submission's file (req.submission) in a complete update and is left
+ * out otherwise; a name sent as plain text never counts as a file.
+ */
+function bindUploads(fields, req, { partial = false } = {}) {
+  fields
+    .filter((field) => field.type === 'file')
+    .forEach((field) => {
+      const file = uploadedFile(req, field.name);
+      const stored = !partial && req.submission ? formValues([field], req.submission)[field.name] : '';
+      if (file) req.body[field.name] = file.originalname;
+      else if (stored) req.body[field.name] = stored;
+      else delete req.body[field.name];
+    });
+}
+
+/**
+ * Middleware running the chains of `req.form`; read the outcome with validationResult(req).
+ * Fields go through the form's conditional rules first. Partial submissions (PATCH) are ruled on
+ * the stored submission merged with the body: the fields sent are checked, and a field the rules
+ * require that neither the body nor the stored submission has a value for is reported missing.
+ */
+function validateSubmission(options = {}) {
+  return async (req, res, next) => {
+    try {
+      bindUploads(req.form.fields, req, options);
+      let chains;
+      if (options.partial) {
+        const merged = mergedValues(req.form.fields, req.submission, req.body);
+        const fields = applyRules(req.form.fields, merged);
+        const missing = fields.filter((field) => field.required && req.body[field.name] === undefined && !hasValue(merged[field.name]));
+        chains = [...buildValidators(fields.filter((field) => !missing.includes(field)), options), ...buildValidators(missing)];
+      } else {
+        chains = buildValidators(applyRules(req.form.fields, req.body));
+      }
+      for (const chain of chains) {
+        await chain.run(req);
+      }
+      next();
+    } catch (err) {
+      next(err);
+    }
+  };
+}
+
+/**
+ * Pick the submitted values for the given fields out of a request body.
+ * Core fields are returned at the top level, the rest under `extra`.
+ * Fields hidden by the conditional rules are stored empty; for a partial update (with the
+ * `stored` submission it applies to) the rules see the stored values merged with the body,
+ * and fields absent from the body are left out unless the update hides them.
+ */
+function pickSubmission(fields, source, { partial = false, stored = null } = {}) {
+  const values = {};
+  const extra = {};
+  const { visible } = FormRules.evaluate(fields, partial ? mergedValues(fields, stored, source) : source);
+  fields.forEach((field) => {
+    let value = visible[field.name] ? source[field.name] : null;
+    if (value === undefined) {
+      if (partial) return;
+      value = null;
+    }
+    if (typeof value === 'string') value = value.trim();
+    if (value === '') value = null;
+    if (field.type === 'number' && value !== null) value = Number(value);
+    if (field.type === 'date' && value !== null) value = new Date(value);
+    if (CORE_FIELDS.includes(field.name)) values[field.name] = value;
+    else extra[field.name] = value;
+  });
+  if (Object.keys(extra).length) values.extra = extra;
+  return values;
+}
+
+// Flatten `extra` into dotted paths so an update leaves other extra values alone
+function toUpdate(values) {
+  const { extra, ...update } = values;
+  Object.entries(extra || {}).forEach(([name, value]) => {
+    update[`extra.${name}`] = value;
+  });
+  return update;
+}
+
+// String values for pre-filling the rendered inputs from a stored submission
+function formValues(fields, doc) {
+  const values = {};
+  if (!doc) return values;
+  fields.forEach((field) => {
+    let value = CORE_FIELDS.includes(field.name) ? doc[field.name] : doc.extra && doc.extra[field.name];
+    if (value instanceof Date) value = isNaN(value.getTime()) ? '' : value.toISOString().split('T')[0];
+    values[field.name] = hasValue(value) ? String(value) : '';
+  });
+  return values;
+}
+
+// The raw strings typed into a form, by field name, to re-fill the inputs after an error
+function submittedValues(fields, source) {
+  const values = {};
+  fields.forEach((field) => {
+    if (typeof source[field.name] === 'string') values[field.name] = source[field.name];
+  });
+  return values;
+}
+
+/**
+ * The pages a public form is shown as: one per run of fields sharing a section when the form
+ * is a wizard, else a single page with every field. Fields before the first section are "Details".
+ */
+function formSteps(form) {
+  if (!form.wizard) return [{ title: form.title, fields: form.fields }];
+  const steps = [];
+  form.fields.forEach((field) => {
+    const current = steps[steps.length - 1];
+    if (!current || (field.section && field.section !== current.title)) {
+      steps.push({ title: field.section || 'Details', fields: [field] });
+    } else {
+      current.fields.push(field);
+    }
+  });
+  return steps.length ? steps : [{ title: form.title, fields: [] }];
+}
+
+// HTML attributes mirroring the server rules, so the browser checks the same constraints
+function inputAttributes(field) {
+  const attrs = {};
+  if (field.required) attrs.required = true;
+  if (field.type === 'date') {
+    const { earliest, latest } = dateBounds(field);
+    if (earliest) attrs.min = earliest.toISOString().split('T')[0];
+    if (latest) attrs.max = latest.toISOString().split('T')[0];
+  } else if (field.type === 'number') {
+    if (hasValue(field.min)) attrs.min = field.min;
+    if (hasValue(field.max)) attrs.max = field.max;
+    attrs.step = 'any';
+  } else if (field.type === 'file') {
+    const { maxBytes, types } = fileLimits(field);
+    attrs.accept = types.join(',');
+    attrs['data-max-bytes'] = maxBytes;
+  } else if (!CHOICE_TYPES.includes(field.type) && field.type !== 'tel') {
+    if (hasValue(field.min)) attrs.minlength = field.min;
+    if (hasValue(field.max)) attrs.maxlength = field.max;
+  }
+  if (field.pattern && !CHOICE_TYPES.includes(field.type) && field.type !== 'file') {
+    // Browsers anchor the pattern attribute themselves
+    attrs.pattern = field.pattern.replace(/^\^/, '').replace(/\$$/, '');
+  }
+  return attrs;
+}
+
+/**
+ * The options of a dropdown field: its own for select, every country for country, and for region
+ * the subdivisions of the country currently in `values` (read from the country field among
+ * `fields`). A stored value that is not among them is kept as the first option.
+ */
+function choiceOptions(field, fields, values = {}) {
+  let options = [];
+  if (field.type === 'select') options = field.options || [];
+  else if (field.type === 'country') options = COUNTRIES.map((country) => country.name);
+  else if (field.type === 'region') {
+    const countryField = fields.find((candidate) => candidate.type === 'country');
+    const country = countryField ? findCountry(values[countryField.name]) : null;
+    options = country ? country.subdivisions.map((subdivision) => subdivision.name) : [];
+  }
+  const current = values[field.name];
+  return hasValue(current) && !options.includes(current) ? [current, ...options] : options;
+}
+
+// Normalize the field rows posted by the form builder
+function parseFieldDefinitions(raw) {
+  const rows = Array.isArray(raw) ? raw : Object.values(raw || {});
+  const toNumber = (value) => (hasValue(value) && !isNaN(Number(value)) ? Number(value) : undefined);
+  return rows
+    .filter((row) => row && hasValue((row.name || '').trim()))
+    .map((row) => ({
+      name: row.name.trim(),
+      label: (row.label || row.name).trim(),
+      type: FIELD_TYPES.includes(row.type) ? row.type : 'text',
+      required: row.required === 'on' || row.required === 'true' || row.required === true,
+      min: toNumber(row.min),
+      max: toNumber(row.max),
+      pattern: (row.pattern || '').trim() || undefined,
+      message: (row.message || '').trim() || undefined,
+      placeholder: (row.placeholder || '').trim() || undefined,
+      section: (row.section || '').trim() || undefined,
+      showIf: (row.showIf || '').trim() || undefined,
+      requiredIf: (row.requiredIf || '').trim() || undefined,
+      options: (Array.isArray(row.options) ? row.options : String(row.options || '').split(','))
+        .map((option) => option.trim())
+        .filter(Boolean),
+    }));
+}
+
+module.exports = {
+  FIELD_TYPES,
+  CHOICE_TYPES,
+  CORE_FIELDS,
+  IDENTITY_FIELDS,
+  DEFAULT_FIELDS,
+  patternProblem,
+  buildValidators,
+  bindUploads,
+  applyRules,
+  evaluateRules: FormRules.evaluate,
+  ruleErrors: FormRules.ruleErrors,
+  validateSubmission,
+  pickSubmission,
+  toUpdate,
+  formValues,
+  submittedValues,
+  formSteps,
+  inputAttributes,
+  choiceOptions,
+  parseFieldDefinitions,
+};
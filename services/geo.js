@@ -0,0 +1,104 @@
+const { parsePhoneNumberFromString, getCountryCallingCode, isSupportedCountry } = require('libphonenumber-js');
+const regionData = require('country-region-data/data.json');
+
+// Country whose national format is assumed for phone numbers without a +prefix and without a known country
+const DEFAULT_PHONE_COUNTRY = (process.env.DEFAULT_PHONE_COUNTRY || 'IN').toUpperCase();
+
+// Common names for a country that differ from the ISO 3166 name, by ISO 3166-1 alpha-2 code
+const COUNTRY_ALIASES = {
+  US: ['USA', 'U.S.A.', 'U.S.', 'United States of America', 'America'],
+  GB: ['UK', 'U.K.', 'Great Britain', 'Britain', 'England', 'Scotland', 'Wales', 'Northern Ireland'],
+  AE: ['UAE', 'Emirates'],
+  KR: ['South Korea', 'Korea'],
+  RU: ['Russia'],
+  NL: ['Holland', 'The Netherlands'],
+  CZ: ['Czech Republic'],
+};
+
+// Case, accents, dots and extra spaces don't matter when matching names: "U.S.A " -> "usa"
+const fold = (value) =>
+  String(value === undefined || value === null ? '' : value)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/\./g, '')
+    .trim()
+    .replace(/\s+/g, ' ')
+    .toLowerCase();
+
+/**
+ * ISO 3166-1 countries with their ISO 3166-2 subdivisions, from the country-region-data package:
+ * [{ code: 'IN', name: 'India', subdivisions: [{ code: 'IN-KA', name: 'Karnataka' }, ...] }]
+ * A few subdivisions have no ISO code in the dataset; their code is null.
+ */
+const COUNTRIES = regionData.map((country) => ({
+  code: country.countryShortCode,
+  name: country.countryName,
+  subdivisions: country.regions.map((region) => ({
+    code: region.shortCode ? `${country.countryShortCode}-${region.shortCode}` : null,
+    name: region.name,
+  })),
+}));
+
+const countryIndex = new Map();
+const subdivisionIndex = new Map();
+COUNTRIES.forEach((country) => {
+  countryIndex.set(fold(country.code), country);
+  countryIndex.set(fold(country.name), country);
+  (COUNTRY_ALIASES[country.code] || []).forEach((alias) => countryIndex.set(fold(alias), country));
+  const subdivisions = new Map();
+  country.subdivisions.forEach((subdivision) => {
+    subdivisions.set(fold(subdivision.name), subdivision);
+    if (subdivision.code) {
+      subdivisions.set(fold(subdivision.code), subdivision);
+      subdivisions.set(fold(subdivision.code.split('-')[1]), subdivision);
+    }
+  });
+  subdivisionIndex.set(country.code, subdivisions);
+});
+
+// The country named by an ISO code, its name or a common alias, or null
+function findCountry(value) {
+  return countryIndex.get(fold(value)) || null;
+}
+
+// The subdivision of `country` named by its ISO code (with or without the country prefix) or name, or null
+function findSubdivision(country, value) {
+  if (!country) return null;
+  return subdivisionIndex.get(country.code).get(fold(value)) || null;
+}
+
+/**
+ * The E.164 form (+919876543210) of a valid phone number, else null. Numbers written without
+ * a +prefix are read in the national format of `country` (a findCountry result), falling back
+ * to DEFAULT_PHONE_COUNTRY.
+ */
+function normalizePhone(value, country = null) {
+  const text = String(value === undefined || value === null ? '' : value).trim();
+  if (!text) return null;
+  const defaultCountry = country && isSupportedCountry(country.code) ? country.code : DEFAULT_PHONE_COUNTRY;
+  const phone = parsePhoneNumberFromString(text, defaultCountry);
+  return phone && phone.isValid() ? phone.number : null;
+}
+
+let clientData = null;
+// What the dependent dropdowns need in the browser, served as /geo.json
+function geoClientData() {
+  if (!clientData) {
+    clientData = COUNTRIES.map((country) => ({
+      code: country.code,
+      name: country.name,
+      callingCode: isSupportedCountry(country.code) ? `+${getCountryCallingCode(country.code)}` : null,
+      subdivisions: country.subdivisions.map((subdivision) => subdivision.name),
+    }));
+  }
+  return clientData;
+}
+
+module.exports = {
+  DEFAULT_PHONE_COUNTRY,
+  COUNTRIES,
+  findCountry,
+  findSubdivision,
+  normalizePhone,
+  geoClientData,
+};
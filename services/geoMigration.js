@@ -0,0 +1,125 @@
+const User = require('../models/User');
+const Form = require('../models/Form');
+const { COUNTRIES, findCountry, findSubdivision, normalizePhone } = require('./geo');
+const { DEFAULT_FIELDS } = require('./formSchema');
+const { recordAudit, systemContext, newBatchId } = require('./audit');
+
+const E164 = /^\+[1-9][0-9]{6,14}$/;
+const BATCH_SIZE = 500;
+
+const defaultField = (name) => DEFAULT_FIELDS.find((field) => field.name === name);
+
+/**
+ * Bring fields still carrying the old built-in definitions up to date: the 10-digit contact
+ * pattern goes, and the free-text state and country fields become region and country dropdowns.
+ * Fields an admin has customised are left alone. Returns how many forms changed.
+ */
+async function upgradeLegacyFields() {
+  let upgraded = 0;
+  for (const form of await Form.find()) {
+    let changed = false;
+    form.fields.forEach((field) => {
+      if (field.type === 'tel' && field.pattern === '^[0-9]{10}$') {
+        field.pattern = undefined;
+        if (field.message === 'Contact must be a valid 10-digit number') field.message = defaultField('contact').message;
+        if (field.placeholder === 'Enter 10-digit number') field.placeholder = defaultField('contact').placeholder;
+        changed = true;
+      }
+      const legacyText = { state: 'Enter state', country: 'Enter country' }[field.name];
+      if (legacyText && field.type === 'text' && field.placeholder === legacyText) {
+        field.type = defaultField(field.name).type;
+        field.min = undefined;
+        field.max = undefined;
+        field.placeholder = undefined;
+        changed = true;
+      }
+    });
+    if (!changed) continue;
+    try {
+      await form.save();
+      upgraded++;
+    } catch (err) {
+      console.error(`❌ Error upgrading the fields of form "${form.slug}":`, err.message);
+    }
+  }
+  return upgraded;
+}
+
+// The normalized contact, state and country of a submission: { set, failed } where `set` holds only changed values
+function normalizedValues(user) {
+  const set = {};
+  const failed = [];
+  const country = user.country ? findCountry(user.country) : null;
+  if (user.country) {
+    if (!country) failed.push('country');
+    else if (country.name !== user.country) set.country = country.name;
+  }
+  if (user.state && country) {
+    const subdivision = findSubdivision(country, user.state);
+    if (!subdivision) failed.push('state');
+    else if (subdivision.name !== user.state) set.state = subdivision.name;
+  }
+  if (user.contact && !E164.test(user.contact)) {
+    const phone = normalizePhone(user.contact, country);
+    if (!phone) failed.push('contact');
+    else set.contact = phone;
+  }
+  return { set, failed };
+}
+
+/**
+ * Rewrite stored contacts in E.164 form and states and countries under their ISO 3166 names.
+ * Each change is audited under one batch; values that can't be read are left as they are and
+ * counted, so they can be fixed by hand. Returns { updated, failed }.
+ */
+async function normalizeSubmissions() {
+  const filter = {
+    $or: [
+      { contact: { $exists: true, $nin: [null, ''], $not: E164 } },
+      { country: { $exists: true, $nin: [null, '', ...COUNTRIES.map((country) => country.name)] } },
+      {
+        state: {
+          $exists: true,
+          $nin: [null, '', ...COUNTRIES.flatMap((country) => country.subdivisions.map((subdivision) => subdivision.name))],
+        },
+      },
+    ],
+  };
+  const context = systemContext('phone and country normalization');
+  const batch = newBatchId();
+  let updated = 0;
+  let failed = 0;
+  let lastId = null;
+  for (;;) {
+    const users = await User.find(lastId ? { ...filter, _id: { $gt: lastId } } : filter)
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE);
+    if (!users.length) break;
+    lastId = users[users.length - 1]._id;
+    for (const before of users) {
+      const result = normalizedValues(before);
+      if (result.failed.length) failed++;
+      if (!Object.keys(result.set).length) continue;
+      const after = await User.findOneAndUpdate({ _id: before._id }, { $set: result.set }, { new: true });
+      if (!after) continue;
+      await recordAudit(context, { action: 'update', before, after, batch });
+      updated++;
+    }
+  }
+  return { updated, failed };
+}
+
+// Startup migration for the move from 10-digit phones and free-text places to E.164 and ISO 3166
+async function normalizeLegacyGeo() {
+  try {
+    const forms = await upgradeLegacyFields();
+    if (forms) console.log(`✅ Switched ${forms} forms to country and region dropdowns`);
+    const { updated, failed } = await normalizeSubmissions();
+    if (updated) console.log(`✅ Normalized the phone number, state or country of ${updated} submissions`);
+    if (failed) console.warn(`${failed} submissions have a phone number, state or country that could not be normalized`);
+  } catch (err) {
+    console.error('❌ Error normalizing phone numbers and countries:', err.message);
+  }
+}
+
+module.exports = { normalizeLegacyGeo, normalizeSubmissions, upgradeLegacyFields };
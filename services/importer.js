@@ -0,0 +1,133 @@
+const { parse } = require('csv-parse/sync');
+const { validationResult } = require('express-validator');
+const User = require('../models/User');
+const { applyRules, bindUploads, buildValidators, pickSubmission } = require('./formSchema');
+const { newBatchId, recordAudit } = require('./audit');
+const { matchValue } = require('./fieldEncryption');
+
+// Report categories, in the order the summary lists them
+const IMPORT_STATUSES = ['created', 'updated', 'valid', 'duplicate email', 'bad dob', 'bad contact', 'invalid'];
+
+/**
+ * Turn an uploaded CSV or JSON file into row objects.
+ * JSON may be an array of objects or `{ rows: [...] }`; CSV needs a header row.
+ */
+function parseUpload(file) {
+  const text = file.buffer.toString('utf8').replace(/^\uFEFF/, '');
+  const isJson = /\.json$/i.test(file.originalname) || file.mimetype === 'application/json';
+  if (isJson) {
+    const data = JSON.parse(text);
+    const rows = Array.isArray(data) ? data : data && data.rows;
+    if (!Array.isArray(rows)) throw new Error('JSON must be an array of objects or { "rows": [...] }');
+    return rows.filter((row) => row && typeof row === 'object');
+  }
+  return parse(text, { columns: true, skip_empty_lines: true, trim: true, bom: true });
+}
+
+// Map CSV headers onto field names, accepting either the name or the label of a field
+function normalizeRow(fields, row) {
+  const normalized = {};
+  Object.entries(row).forEach(([key, value]) => {
+    const wanted = String(key).trim().toLowerCase();
+    const field = fields.find((f) => f.name.toLowerCase() === wanted || (f.label || '').toLowerCase() === wanted);
+    if (field) normalized[field.name] = value === null || value === undefined ? '' : String(value);
+  });
+  return normalized;
+}
+
+// Pick the report status for a failed row from the fields that failed
+function statusFor(paths) {
+  if (paths.includes('dob')) return 'bad dob';
+  if (paths.includes('contact')) return 'bad contact';
+  return 'invalid';
+}
+
+async function checkRow(form, body) {
+  const req = { body };
+  // Rows can't carry files, so file fields start out empty
+  bindUploads(form.fields, req);
+  for (const chain of buildValidators(applyRules(form.fields, body))) {
+    await chain.run(req);
+  }
+  const errors = validationResult(req).array();
+  if (errors.length) return { errors: errors.map((e) => e.msg), paths: errors.map((e) => e.path) };
+
+  // Then the User schema rules, which can be stricter than the form definition
+  const user = new User({ ...pickSubmission(form.fields, body), form: form._id });
+  try {
+    await user.validate();
+  } catch (err) {
+    if (err.name !== 'ValidationError') throw err;
+    return { errors: Object.values(err.errors).map((e) => e.message), paths: Object.keys(err.errors) };
+  }
+  return { user };
+}
+
+/**
+ * Validate rows against the form and, unless `dryRun` is set, store them.
+ * With `upsert` an existing submission with the same email is updated instead of reported as duplicate.
+ * Stored rows are audited under one batch id when an `audit` context (see services/audit.js) is given.
+ * Returns a per-row report plus counts per status.
+ */
+async function importSubmissions(form, rawRows, { dryRun = true, upsert = false, audit = null } = {}) {
+  const rows = [];
+  const seen = new Set();
+  const batch = newBatchId();
+
+  for (let index = 0; index < rawRows.length; index++) {
+    const body = normalizeRow(form.fields, rawRows[index]);
+    const entry = { row: index + 1, email: body.email || '', name: body.name || '', status: 'valid', errors: [] };
+    rows.push(entry);
+
+    const { user, errors, paths } = await checkRow(form, body);
+    if (errors) {
+      entry.status = statusFor(paths);
+      entry.errors = errors;
+      continue;
+    }
+
+    // Rows without an email (where the form allows it) can't be matched, so each is a new submission
+    const email = user.email;
+    if (email && seen.has(email)) {
+      entry.status = 'duplicate email';
+      entry.errors = ['Email appears earlier in this file'];
+      continue;
+    }
+    if (email) seen.add(email);
+
+    const existing = email && (await User.findOne({ form: form._id, ...matchValue('email', email), deletedAt: null }));
+    if (existing && !upsert) {
+      entry.status = 'duplicate email';
+      entry.errors = ['Email already exists'];
+      continue;
+    }
+    if (dryRun) continue;
+
+    try {
+      if (existing) {
+        const before = existing.toObject();
+        const { _id, createdAt, ...values } = user.toObject();
+        existing.set(values);
+        await existing.save();
+        entry.status = 'updated';
+        if (audit) await recordAudit(audit, { action: 'update', form, before, after: existing, batch });
+      } else {
+        await user.save();
+        entry.status = 'created';
+        if (audit) await recordAudit(audit, { action: 'create', form, after: user, batch });
+      }
+    } catch (err) {
+      // The User post('save') hook turns duplicate key errors into "Email already exists"
+      entry.status = err.message === 'Email already exists' ? 'duplicate email' : 'invalid';
+      entry.errors = [err.message];
+    }
+  }
+
+  const summary = {};
+  IMPORT_STATUSES.forEach((status) => {
+    summary[status] = rows.filter((row) => row.status === status).length;
+  });
+  return { dryRun, upsert, total: rows.length, summary, rows };
+}
+
+module.exports = { IMPORT_STATUSES, parseUpload, importSubmissions };
@@ -0,0 +1,44 @@
+const util = require('util');
+
+// Query parameters holding personal data: the submission list and audit filters, the live email check
+const PERSONAL_PARAMS = ['email', 'search', 'q', 'contact', 'dob', 'dobFrom', 'dobTo', 'name'];
+// Links whose last segment (or ?token=) is a secret: confirmation, draft resume, invite and setup links
+const TOKEN_PATHS = /\/(confirm|resume|invite)\/[^/?#\s]+/g;
+const TOKEN_PARAMS = ['token'];
+
+// Email addresses and phone numbers (E.164, or the 10-digit numbers of older submissions), also URL-encoded
+const EMAIL = /[^\s@"'<>(),;:%/?=&]+(?:@|%40)[^\s@"'<>(),;:%/?=&]+\.[A-Za-z]{2,}/gi;
+const PHONE = /(?:\+|%2B)[1-9]\d{6,14}(?!\d)|(?<![\w.])\d{10}(?![\w.])/gi;
+
+let installed = false;
+
+// `text` with email addresses and phone numbers replaced by placeholders
+const scrubPii = (text) => String(text).replace(EMAIL, '[email]').replace(PHONE, '[phone]');
+
+// A URL (path or full link) fit for the logs: tokens and values of PERSONAL_PARAMS replaced, emails and phone numbers scrubbed
+function scrubUrl(url) {
+  if (!url) return url;
+  const [path, query] = String(url).split(/\?(.*)/s);
+  const pathname = path.replace(TOKEN_PATHS, '/$1/redacted');
+  if (query === undefined) return scrubPii(pathname);
+  const params = new URLSearchParams(query);
+  [...PERSONAL_PARAMS, ...TOKEN_PARAMS].forEach((name) => {
+    if (params.has(name)) params.set(name, 'redacted');
+  });
+  return scrubPii(`${pathname}?${params}`);
+}
+
+/**
+ * Pass everything written through console.log, info, warn, error and debug through scrubPii,
+ * as a net under the log lines themselves, which keep to ids.
+ */
+function scrubConsole() {
+  if (installed) return;
+  installed = true;
+  ['log', 'info', 'warn', 'error', 'debug'].forEach((method) => {
+    const write = console[method].bind(console);
+    console[method] = (...args) => write(scrubPii(util.format(...args)));
+  });
+}
+
+module.exports = { PERSONAL_PARAMS, scrubPii, scrubUrl, scrubConsole };
@@ -0,0 +1,55 @@
+const LoginAttempt = require('../models/LoginAttempt');
+
+// Failures allowed before the first lockout
+const MAX_FAILURES = 3;
+// Lockouts start at one minute and double with every further failure, up to an hour
+const BASE_LOCK_MS = 60 * 1000;
+const MAX_LOCK_MS = 60 * 60 * 1000;
+
+const keyFor = (username, ip) => ({ username: String(username || '').trim().toLowerCase(), ip: String(ip || 'unknown') });
+
+function lockDuration(failures) {
+  if (failures < MAX_FAILURES) return 0;
+  return Math.min(BASE_LOCK_MS * 2 ** (failures - MAX_FAILURES), MAX_LOCK_MS);
+}
+
+// Whether this username/IP pair is currently locked out, and for how long
+async function checkLock(username, ip) {
+  const attempt = await LoginAttempt.findOne(keyFor(username, ip));
+  const retryAfterMs = attempt && attempt.lockedUntil ? attempt.lockedUntil.getTime() - Date.now() : 0;
+  return { locked: retryAfterMs > 0, retryAfterMs: Math.max(retryAfterMs, 0) };
+}
+
+// Count a failed login; returns the failures so far and the lock it triggered, if any
+async function recordFailure(username, ip) {
+  const now = new Date();
+  const attempt = await LoginAttempt.findOneAndUpdate(
+    keyFor(username, ip),
+    { $inc: { failures: 1 }, $set: { lastFailedAt: now } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+  const lockMs = lockDuration(attempt.failures);
+  if (lockMs) {
+    attempt.lockedUntil = new Date(now.getTime() + lockMs);
+    await attempt.save();
+  }
+  return {
+    failures: attempt.failures,
+    remaining: Math.max(MAX_FAILURES - attempt.failures, 0),
+    retryAfterMs: lockMs,
+  };
+}
+
+async function clearFailures(username, ip) {
+  await LoginAttempt.deleteOne(keyFor(username, ip));
+}
+
+// "3 minutes" / "45 seconds" for lockout messages
+function formatWait(ms) {
+  const seconds = Math.ceil(ms / 1000);
+  if (seconds < 60) return `${seconds} second${seconds === 1 ? '' : 's'}`;
+  const minutes = Math.ceil(seconds / 60);
+  return `${minutes} minute${minutes === 1 ? '' : 's'}`;
+}
+
+module.exports = { MAX_FAILURES, checkLock, recordFailure, clearFailures, formatWait };
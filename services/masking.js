@@ -0,0 +1,56 @@
+// Submission fields viewers only see masked
+const MASKED_FIELDS = ['email', 'contact', 'dob'];
+
+// Viewers can read submissions but not change them, and get their personal data masked
+const seesMaskedData = (admin) => !admin || !admin.hasRole('editor');
+
+const maskMiddle = (text) => (text.length <= 4 ? '*'.repeat(text.length) : `${text.slice(0, 2)}${'*'.repeat(text.length - 4)}${text.slice(-2)}`);
+
+/**
+ * Keep the first and last two characters: 9876543210 -> 98******10, 1990-05-21 -> 19******21.
+ * Emails keep their domain and a leading + is kept in front of phone numbers.
+ */
+function maskValue(field, value) {
+  if (value === undefined || value === null || value === '') return value;
+  const date = value instanceof Date || field === 'dob' ? new Date(value) : null;
+  const text = date && !isNaN(date.getTime()) ? date.toISOString().slice(0, 10) : String(value);
+  if (field === 'email' && text.includes('@')) {
+    const at = text.lastIndexOf('@');
+    return `${maskMiddle(text.slice(0, at))}${text.slice(at)}`;
+  }
+  if (text.startsWith('+')) return `+${maskMiddle(text.slice(1))}`;
+  return maskMiddle(text);
+}
+
+/**
+ * A plain copy of a submission (document or lean object) with MASKED_FIELDS masked, flagged
+ * `masked: true` so pages don't try to read a masked date as a date.
+ */
+function maskSubmission(doc) {
+  const submission = typeof doc.toJSON === 'function' ? doc.toJSON() : { ...doc };
+  delete submission.encrypted;
+  delete submission.hashes;
+  delete submission.birthYear;
+  MASKED_FIELDS.forEach((field) => {
+    if (field in submission) submission[field] = maskValue(field, submission[field]);
+  });
+  submission.masked = true;
+  return submission;
+}
+
+// Submissions as `admin` may see them
+const submissionsFor = (admin, docs) => (seesMaskedData(admin) ? docs.map(maskSubmission) : docs);
+
+// An audit entry with its email and the changed values of MASKED_FIELDS masked
+const maskAuditEntry = (entry) => ({
+  ...entry,
+  email: maskValue('email', entry.email),
+  changes: (entry.changes || []).map((change) =>
+    MASKED_FIELDS.includes(change.field)
+      ? { ...change, before: maskValue(change.field, change.before), after: maskValue(change.field, change.after) }
+      : change
+  ),
+  masked: true,
+});
+
+module.exports = { MASKED_FIELDS, seesMaskedData, maskValue, maskSubmission, submissionsFor, maskAuditEntry };
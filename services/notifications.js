@@ -0,0 +1,139 @@
+const Admin = require('../models/Admin');
+const Form = require('../models/Form');
+const User = require('../models/User');
+const { sendMail } = require('./mailer');
+const { defineJob } = require('./scheduler');
+const { countsByCountry, countsByState } = require('./submissionStats');
+const { seesMaskedData, maskValue } = require('./masking');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// Digests go out at this hour (server time); weekly ones on Mondays
+const DIGEST_HOUR = Math.min(Math.max(parseInt(process.env.DIGEST_HOUR) || 8, 0), 23);
+
+const ALERT_LABELS = {
+  submission: 'New submissions',
+  'validation-failed': 'Submissions rejected by email validation',
+  'bulk-delete': 'Bulk deletions',
+};
+
+// `message` is the { subject, text } to send, or a function giving it for the recipient admin
+async function mailAdmins(filter, message) {
+  const admins = await Admin.find({ ...filter, status: 'active', email: { $exists: true, $nin: [null, ''] } });
+  for (const admin of admins) {
+    try {
+      const { subject, text } = typeof message === 'function' ? message(admin) : message;
+      await sendMail({ to: admin.email, subject, text });
+    } catch (err) {
+      console.error(`❌ Error sending notification to admin ${admin.username || admin._id}:`, err.message);
+    }
+  }
+  return admins.length;
+}
+
+/**
+ * Email the admins subscribed to `event`. Never rejects, so callers can fire and forget
+ * without holding up the request that triggered it.
+ */
+async function notifyAdmins(event, message) {
+  const alert = (admin) => {
+    const { subject, text } = typeof message === 'function' ? message(admin) : message;
+    return { subject: `[Alert] ${subject}`, text };
+  };
+  try {
+    await mailAdmins({ 'notifications.alerts': event }, alert);
+  } catch (err) {
+    console.error(`❌ Error sending ${event} alerts:`, err.message);
+  }
+}
+
+// Viewers get submitters' emails masked, in alerts as on the admin pages
+const emailFor = (admin, email) => (seesMaskedData(admin) ? maskValue('email', email) : email);
+
+const alertNewSubmission = (form, user) =>
+  notifyAdmins('submission', (admin) => ({
+    subject: `New submission to ${form.title}`,
+    text: `${user.name}${user.email ? ` <${emailFor(admin, user.email)}>` : ''} submitted ${form.title}${user.confirmationStatus === 'pending' ? ' (awaiting email confirmation)' : ''}.\nCountry: ${user.country || 'N/A'}, state: ${user.state || 'N/A'}.`,
+  }));
+
+const alertValidationFailed = (form, email, reason) =>
+  notifyAdmins('validation-failed', (admin) => ({
+    subject: `Submission to ${form.title} rejected`,
+    text: `A submission to ${form.title} from ${emailFor(admin, email)} was rejected by email validation: ${reason}`,
+  }));
+
+const alertBulkDelete = (form, count, admin) =>
+  notifyAdmins('bulk-delete', {
+    subject: `${count} submissions of ${form.title} deleted`,
+    text: `${admin ? admin.username : 'The system'} deleted ${count} submissions of ${form.title}.`,
+  });
+
+const formatCounts = (rows, label) =>
+  rows.length ? rows.map((row) => `    ${label(row)}: ${row.count}`).join('\n') : '    none';
+
+// Plain-text summary of the submissions received in [since, until), per form
+async function buildDigest(since, until) {
+  const forms = await Form.find().sort({ title: 1 });
+  const sections = [];
+  for (const form of forms) {
+    const match = { form: form._id, deletedAt: null, createdAt: { $gte: since, $lt: until } };
+    const total = await User.countDocuments(match);
+    if (!total) continue;
+    const pending = await User.countDocuments({ ...match, confirmationStatus: 'pending' });
+    const countries = await countsByCountry(match);
+    const states = await countsByState(match, { limit: 10 });
+    sections.push(
+      [
+        `${form.title} (/f/${form.slug}): ${total} new, ${pending} awaiting confirmation`,
+        '  By country:',
+        formatCounts(countries.slice(0, 10), (row) => row._id || 'Unknown'),
+        '  Top states:',
+        formatCounts(states, (row) => `${row._id}${row.country ? `, ${row.country}` : ''}`),
+      ].join('\n')
+    );
+  }
+  const period = `${since.toLocaleString()} – ${until.toLocaleString()}`;
+  return sections.length ? `Submissions from ${period}\n\n${sections.join('\n\n')}` : `No new submissions from ${period}.`;
+}
+
+async function sendDigests(frequency, since) {
+  const until = new Date();
+  const text = await buildDigest(since, until);
+  const sent = await mailAdmins({ 'notifications.digest': frequency }, { subject: `Your ${frequency} submissions digest`, text });
+  if (sent) console.log(`✅ Sent the ${frequency} digest to ${sent} admins`);
+}
+
+function nextDaily(from) {
+  const next = new Date(from);
+  next.setHours(DIGEST_HOUR, 0, 0, 0);
+  if (next <= from) next.setDate(next.getDate() + 1);
+  return next;
+}
+
+function nextWeekly(from) {
+  const next = nextDaily(from);
+  while (next.getDay() !== 1) next.setDate(next.getDate() + 1);
+  return next;
+}
+
+// Digests cover everything since the previous run, so runs missed during downtime aren't lost
+function registerDigestJobs() {
+  defineJob('digest-daily', {
+    next: nextDaily,
+    run: (job) => sendDigests('daily', job.lastRunAt || new Date(Date.now() - DAY_MS)),
+  });
+  defineJob('digest-weekly', {
+    next: nextWeekly,
+    run: (job) => sendDigests('weekly', job.lastRunAt || new Date(Date.now() - 7 * DAY_MS)),
+  });
+}
+
+module.exports = {
+  ALERT_LABELS,
+  notifyAdmins,
+  alertNewSubmission,
+  alertValidationFailed,
+  alertBulkDelete,
+  buildDigest,
+  sendDigests,
+  registerDigestJobs,
+};
@@ -0,0 +1,475 @@
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const { CORE_FIELDS } = require('./formSchema');
+const { ERROR_CODES } = require('./apiErrors');
+const { AGE_BOUNDARIES } = require('./submissionFilters');
+const { GRANULARITIES } = require('./dashboardStats');
+
+// Mongoose options are either a plain value or [value, message]
+const optionValue = (option) => (Array.isArray(option) ? option[0] : option);
+
+/**
+ * JSON Schema for one Mongoose path: type, enum, length and range limits and the match pattern.
+ * Dates become date-time strings, or plain dates with `dateOnly` (how the API accepts them).
+ */
+function propertyFor(schemaType, { dateOnly = false } = {}) {
+  const { instance, options } = schemaType;
+  let property;
+  switch (instance) {
+    case 'String':
+      property = { type: 'string' };
+      break;
+    case 'Number':
+      property = { type: 'number' };
+      break;
+    case 'Boolean':
+      property = { type: 'boolean' };
+      break;
+    case 'Date':
+      property = { type: 'string', format: dateOnly ? 'date' : 'date-time' };
+      break;
+    case 'ObjectId':
+      property = { type: 'string', pattern: '^[a-f0-9]{24}$' };
+      break;
+    case 'Array':
+      property = { type: 'array', items: schemaType.caster ? propertyFor(schemaType.caster) : {} };
+      break;
+    default:
+      property = { type: 'object', additionalProperties: true };
+  }
+
+  const values = options.enum && (Array.isArray(options.enum) ? options.enum : options.enum.values);
+  if (values) property.enum = values;
+  if (options.minlength != null) property.minLength = optionValue(options.minlength);
+  if (options.maxlength != null) property.maxLength = optionValue(options.maxlength);
+  if (options.min != null) property.minimum = optionValue(options.min);
+  if (options.max != null) property.maximum = optionValue(options.max);
+  const match = optionValue(options.match);
+  if (match instanceof RegExp) property.pattern = match.source;
+  if (options.default === null) property.nullable = true;
+  return property;
+}
+
+// Object schema of a model's top-level paths; nested paths (actor.id) become nested objects.
+// Paths under `hidden` (e.g. encrypted) are never sent and left out.
+function modelSchema(model, { readOnly = [], hidden = [] } = {}) {
+  const schema = { type: 'object', properties: {} };
+  model.schema.eachPath((path, schemaType) => {
+    if (path === '__v' || hidden.includes(path.split('.')[0])) return;
+    const parts = path.split('.');
+    let target = schema;
+    parts.slice(0, -1).forEach((part) => {
+      target.properties[part] = target.properties[part] || { type: 'object', properties: {} };
+      target = target.properties[part];
+    });
+    const property = propertyFor(schemaType);
+    if (readOnly.includes(path) || path === '_id') property.readOnly = true;
+    target.properties[parts[parts.length - 1]] = property;
+  });
+  return schema;
+}
+
+// What clients may send: the core fields; other fields of the form go next to them
+function submissionInputSchema({ partial = false } = {}) {
+  const schema = {
+    type: 'object',
+    description:
+      "Values for the form's fields. The six core fields are listed; custom fields of the form are sent under their own names. " +
+      'Which fields are required is decided by the form definition.',
+    properties: {},
+    additionalProperties: true,
+  };
+  CORE_FIELDS.forEach((name) => {
+    schema.properties[name] = propertyFor(User.schema.path(name), { dateOnly: true });
+  });
+  // Numbers may be sent as written locally; they are stored in the E.164 form of the stored schema
+  delete schema.properties.contact.pattern;
+  schema.properties.contact.description =
+    "Phone number, read in the submission's country unless it starts with +; stored in E.164 form (+919876543210)";
+  if (!partial) schema.required = CORE_FIELDS.filter((name) => User.schema.path(name).isRequired);
+  return schema;
+}
+
+const jsonContent = (schema) => ({ 'application/json': { schema } });
+// Submission bodies may also be multipart, with the files of the form's file fields under their field names
+const submissionContent = (schema) => ({ ...jsonContent(schema), 'multipart/form-data': { schema } });
+const ref = (name) => ({ $ref: `#/components/schemas/${name}` });
+const errorResponse = (description) => ({ description, content: jsonContent(ref('Error')) });
+
+const formParam = {
+  name: 'form',
+  in: 'query',
+  description: 'Slug of the form; defaults to the default form',
+  schema: { type: 'string' },
+};
+const idParam = { name: 'id', in: 'path', required: true, schema: { type: 'string', pattern: '^[a-f0-9]{24}$' } };
+const queryParam = (name, schema, description) => ({ name, in: 'query', schema, description });
+
+const authErrors = {
+  401: errorResponse('Not signed in, or the API key is invalid or revoked'),
+  403: errorResponse('The role, API key scope or CSRF token does not allow this'),
+};
+
+function buildDocument() {
+  return {
+    openapi: '3.0.3',
+    info: {
+      title: 'Form Submissions API',
+      version: '1.0.0',
+      description:
+        'Manage form submissions. Authenticate with an API key (`Authorization: Bearer <key>`, created on /settings/api-keys) ' +
+        'or a signed-in admin session; session requests that change data also need the `X-CSRF-Token` header. ' +
+        'Every error has the shape `{ "error": { "code", "message", "details"? } }`. ' +
+        'The same routes without `/v1` are deprecated aliases.',
+    },
+    servers: [{ url: '/api/v1' }],
+    security: [{ bearerAuth: [] }, { sessionCookie: [] }],
+    paths: {
+      '/users': {
+        get: {
+          summary: 'List submissions of a form',
+          parameters: [
+            formParam,
+            queryParam('cursor', { type: 'string' }, '`nextCursor` of the previous page; only valid with the same sortBy and sortDir'),
+            queryParam('page', { type: 'integer', minimum: 1 }, 'Offset paging instead of cursors; slow deep into large forms'),
+            queryParam('limit', { type: 'integer', minimum: 1, maximum: 200, default: 50 }),
+            queryParam('filter', { type: 'string' }, 'Id of a saved filter; parameters given explicitly override it'),
+            queryParam('q', { type: 'string' }, 'Full-text search over name, email, state and country; email only while it is not encrypted'),
+            queryParam('search', { type: 'string' }, 'Case-insensitive substring of the name'),
+            queryParam('email', { type: 'string' }, 'Case-insensitive substring of the email; the exact address while emails are encrypted'),
+            queryParam('country', { type: 'string' }, 'Exact country, case-insensitive'),
+            queryParam('state', { type: 'string' }, 'Exact state, case-insensitive'),
+            queryParam('validationStatus', { type: 'string' }, 'Exact email validation result'),
+            queryParam('status', { type: 'string', enum: ['pending', 'confirmed'] }, 'Double opt-in status'),
+            queryParam('from', { type: 'string', format: 'date' }, 'Submitted on or after'),
+            queryParam('to', { type: 'string', format: 'date' }, 'Submitted on or before'),
+            queryParam('dobFrom', { type: 'string', format: 'date' }, 'Born on or after; ignored while dates of birth are encrypted, like dobTo and age'),
+            queryParam('dobTo', { type: 'string', format: 'date' }, 'Born on or before'),
+            {
+              name: 'age',
+              in: 'query',
+              description: 'Age brackets of the dashboard chart, by lower bound; repeat for several',
+              schema: { type: 'array', items: { type: 'integer', enum: AGE_BOUNDARIES.slice(0, -1) } },
+              style: 'form',
+              explode: true,
+            },
+            queryParam('sortBy', { type: 'string' }, 'A field of the form, createdAt, updatedAt or validationStatus'),
+            queryParam('sortDir', { type: 'string', enum: ['asc', 'desc'] }),
+          ],
+          responses: {
+            200: { description: 'One page of submissions', content: jsonContent(ref('SubmissionPage')) },
+            400: errorResponse('The cursor is invalid or was made for a different sort'),
+            ...authErrors,
+          },
+        },
+        post: {
+          summary: 'Create a submission',
+          parameters: [formParam],
+          requestBody: { required: true, content: submissionContent(ref('SubmissionInput')) },
+          responses: {
+            201: { description: 'Created', content: jsonContent(ref('Submission')) },
+            400: errorResponse('Validation failed; `details` lists the fields'),
+            ...authErrors,
+            409: errorResponse('The email already submitted this form'),
+          },
+        },
+        delete: {
+          summary: 'Move all submissions of a form to the trash (owners)',
+          parameters: [formParam],
+          requestBody: {
+            required: true,
+            content: jsonContent({
+              type: 'object',
+              required: ['confirm'],
+              properties: { confirm: { type: 'string', description: "The form's slug" } },
+            }),
+          },
+          responses: {
+            204: { description: 'Moved to the trash' },
+            400: errorResponse('`confirm` does not match the slug'),
+            ...authErrors,
+          },
+        },
+      },
+      '/users/{id}/attachments': {
+        parameters: [idParam],
+        get: {
+          summary: "The files uploaded to a submission's file fields, with their download links under /attachments",
+          responses: {
+            200: {
+              description: 'The current file of each file field',
+              content: jsonContent({
+                type: 'object',
+                properties: {
+                  attachments: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        field: { type: 'string' },
+                        name: { type: 'string' },
+                        contentType: { type: 'string' },
+                        size: { type: 'integer' },
+                        url: { type: 'string' },
+                        thumbnailUrl: { type: 'string', nullable: true, description: 'JPEG preview of images' },
+                        createdAt: { type: 'string', format: 'date-time' },
+                      },
+                    },
+                  },
+                },
+              }),
+            },
+            ...authErrors,
+            404: errorResponse('No such submission, or it is in the trash'),
+          },
+        },
+      },
+      '/users/{id}': {
+        parameters: [idParam],
+        get: {
+          summary: 'Fetch a submission',
+          responses: {
+            200: { description: 'The submission, masked for viewers', content: jsonContent({ oneOf: [ref('Submission'), ref('MaskedSubmission')] }) },
+            ...authErrors,
+            404: errorResponse('No such submission, or it is in the trash'),
+          },
+        },
+        put: {
+          summary: "Replace the submission's values; fields left out are stored empty, files not sent are kept",
+          requestBody: { required: true, content: submissionContent(ref('SubmissionInput')) },
+          responses: {
+            200: { description: 'The updated submission', content: jsonContent(ref('Submission')) },
+            400: errorResponse('Validation failed'),
+            ...authErrors,
+            404: errorResponse('No such submission, or it is in the trash'),
+            409: errorResponse('The email already submitted this form'),
+          },
+        },
+        patch: {
+          summary: "Update the fields present in the body; the form's rules see the stored values merged with them",
+          requestBody: { required: true, content: submissionContent(ref('SubmissionUpdate')) },
+          responses: {
+            200: { description: 'The updated submission', content: jsonContent(ref('Submission')) },
+            400: errorResponse('Validation failed'),
+            ...authErrors,
+            404: errorResponse('No such submission, or it is in the trash'),
+            409: errorResponse('The email already submitted this form'),
+          },
+        },
+        delete: {
+          summary: 'Move a submission to the trash',
+          responses: {
+            204: { description: 'Moved to the trash' },
+            ...authErrors,
+            404: errorResponse('No such submission, or it is already in the trash'),
+          },
+        },
+      },
+      '/validate-email': {
+        get: {
+          summary: 'Check whether an email address can receive mail',
+          security: [],
+          parameters: [{ name: 'email', in: 'query', required: true, schema: { type: 'string' } }],
+          responses: {
+            200: {
+              description: 'Verdict',
+              content: jsonContent({
+                type: 'object',
+                properties: { isValid: { type: 'boolean' }, message: { type: 'string' } },
+              }),
+            },
+            400: errorResponse('No email given'),
+            429: errorResponse('Rate limit of 100 requests per 15 minutes reached'),
+            503: errorResponse('No verifier could reach a verdict'),
+          },
+        },
+      },
+      '/stats': {
+        get: {
+          summary: "Dashboard aggregates of a form's submissions",
+          description: 'Cached for a minute (STATS_CACHE_TTL seconds); `cached` tells whether the figures came from the cache.',
+          parameters: [
+            formParam,
+            queryParam('from', { type: 'string', format: 'date' }, 'Submitted on or after'),
+            queryParam('to', { type: 'string', format: 'date' }, 'Submitted on or before'),
+            queryParam('country', { type: 'string' }, 'Exact country, case-insensitive; the states chart then covers this country'),
+            queryParam('status', { type: 'string', enum: ['pending', 'confirmed'] }, 'Double opt-in status'),
+            queryParam('granularity', { type: 'string', enum: Object.keys(GRANULARITIES), default: 'year' }, 'Buckets of overTime'),
+            queryParam('refresh', { type: 'string', enum: ['1'] }, 'Recompute instead of using the cache'),
+          ],
+          responses: {
+            200: { description: 'The aggregates', content: jsonContent(ref('Stats')) },
+            400: errorResponse('Invalid filters; `details` lists them'),
+            ...authErrors,
+          },
+        },
+      },
+      '/audit': {
+        get: {
+          summary: 'Search the audit log',
+          parameters: [
+            queryParam('actor', { type: 'string' }, 'Username, or "public" for anonymous submissions'),
+            queryParam('action', { type: 'string', enum: AuditLog.ACTIONS }),
+            formParam,
+            queryParam('submission', { type: 'string' }, 'Submission id'),
+            queryParam('email', { type: 'string' }, 'Substring of the submission email'),
+            queryParam('from', { type: 'string', format: 'date' }),
+            queryParam('to', { type: 'string', format: 'date' }),
+            queryParam('page', { type: 'integer', minimum: 1, default: 1 }),
+            queryParam('limit', { type: 'integer', minimum: 1, maximum: 200, default: 50 }),
+          ],
+          responses: {
+            200: {
+              description: 'One page of entries, newest first',
+              content: jsonContent({
+                type: 'object',
+                properties: {
+                  entries: { type: 'array', items: ref('AuditEntry') },
+                  page: { type: 'integer' },
+                  totalPages: { type: 'integer' },
+                  total: { type: 'integer' },
+                },
+              }),
+            },
+            400: errorResponse('Unknown form'),
+            ...authErrors,
+          },
+        },
+      },
+    },
+    components: {
+      securitySchemes: {
+        bearerAuth: { type: 'http', scheme: 'bearer', description: 'API key from /settings/api-keys' },
+        sessionCookie: { type: 'apiKey', in: 'cookie', name: 'connect.sid' },
+      },
+      schemas: {
+        Submission: modelSchema(User, {
+          readOnly: [
+            'form',
+            'createdAt',
+            'updatedAt',
+            'validationStatus',
+            'confirmationStatus',
+            'confirmationSentAt',
+            'confirmationMailedAt',
+            'confirmedAt',
+            'deletedAt',
+            'deletedBy',
+            'mergedInto',
+          ],
+          hidden: ['encrypted', 'hashes', 'birthYear'],
+        }),
+        MaskedSubmission: {
+          description: 'A submission as viewers get it: email, contact and dob partly replaced by `*`, dob as a string',
+          allOf: [ref('Submission'), { type: 'object', properties: { masked: { type: 'boolean', enum: [true] } } }],
+        },
+        SubmissionInput: submissionInputSchema(),
+        SubmissionUpdate: submissionInputSchema({ partial: true }),
+        SubmissionPage: {
+          type: 'object',
+          properties: {
+            users: { type: 'array', items: { oneOf: [ref('Submission'), ref('MaskedSubmission')] }, description: 'Masked for viewers' },
+            nextCursor: { type: 'string', nullable: true, description: 'Pass as `cursor` for the next page; null on the last one' },
+            hasMore: { type: 'boolean' },
+            totalUsers: {
+              type: 'integer',
+              description: 'Matching submissions, on the first page and on offset pages; a lower bound when totalExact is false',
+            },
+            totalExact: { type: 'boolean' },
+            page: { type: 'integer', description: 'Offset paging only' },
+            totalPages: { type: 'integer', description: 'Offset paging only' },
+          },
+        },
+        Stats: {
+          type: 'object',
+          properties: {
+            form: { type: 'string' },
+            filters: { type: 'object', additionalProperties: { type: 'string' } },
+            totals: {
+              type: 'object',
+              properties: { total: { type: 'integer' }, pending: { type: 'integer' }, confirmed: { type: 'integer' } },
+            },
+            uniqueCountries: { type: 'integer' },
+            uniqueStates: { type: 'integer' },
+            overTime: {
+              type: 'array',
+              description: 'One entry per day, ISO week (2024-W05), month or year with submissions; from/to are its first and last day',
+              items: {
+                type: 'object',
+                properties: {
+                  period: { type: 'string' },
+                  from: { type: 'string', format: 'date' },
+                  to: { type: 'string', format: 'date' },
+                  count: { type: 'integer' },
+                },
+              },
+            },
+            byCountry: {
+              type: 'array',
+              items: { type: 'object', properties: { country: { type: 'string', nullable: true }, count: { type: 'integer' } } },
+            },
+            stateCountry: { type: 'string', nullable: true, description: 'The country filtered on, otherwise the most common one' },
+            byState: {
+              type: 'array',
+              description: 'Top 10 states of stateCountry',
+              items: {
+                type: 'object',
+                properties: { state: { type: 'string' }, country: { type: 'string' }, count: { type: 'integer' } },
+              },
+            },
+            ageDistribution: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  bracket: { type: 'integer', nullable: true, description: 'Lower bound, usable as the `age` filter; null for Other' },
+                  label: { type: 'string' },
+                  count: { type: 'integer' },
+                },
+              },
+            },
+            generatedAt: { type: 'string', format: 'date-time' },
+            cached: { type: 'boolean' },
+          },
+        },
+        AuditEntry: modelSchema(AuditLog),
+        Error: {
+          type: 'object',
+          required: ['error'],
+          properties: {
+            error: {
+              type: 'object',
+              required: ['code', 'message'],
+              properties: {
+                code: {
+                  type: 'string',
+                  description:
+                    `The status's generic code (${Object.values(ERROR_CODES).join(', ')}) or a specific one: ` +
+                    'validation_failed, duplicate_email, confirmation_required, read_only_key, invalid_csrf_token, invalid_json, invalid_cursor',
+                  example: 'validation_failed',
+                },
+                message: { type: 'string' },
+                details: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: { field: { type: 'string' }, message: { type: 'string' } },
+                  },
+                },
+              },
+            },
+          },
+        },
+      },
+    },
+  };
+}
+
+let cached = null;
+// The document only depends on the models, so it is built once
+function openApiDocument() {
+  if (!cached) cached = buildDocument();
+  return cached;
+}
+
+module.exports = { openApiDocument };
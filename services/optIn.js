@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendMail, mailConfigured } = require('./mailer');
+const { recordAudit, recordBulkRemoval, systemContext, newBatchId } = require('./audit');
+const { emitSubmissionEvent } = require('./webhooks');
+const { removeAttachments } = require('./attachments');
+
+// Double opt-in is on when mail is configured, unless DOUBLE_OPT_IN=false; DOUBLE_OPT_IN=true turns it on regardless
+const optInEnabled = () => process.env.DOUBLE_OPT_IN === 'true' || (process.env.DOUBLE_OPT_IN !== 'false' && mailConfigured());
+const EXPIRY_MS = (parseFloat(process.env.OPT_IN_EXPIRY_HOURS) || 48) * 60 * 60 * 1000;
+const EXPIRE_INTERVAL_MS = 15 * 60 * 1000;
+
+const secret = () => process.env.OPT_IN_SECRET || process.env.SESSION_SECRET || 'formapp_secret';
+const sign = (payload) => crypto.createHmac('sha256', secret()).update(payload).digest('base64url');
+
+// "<submission id>.<expiry ms>.<hmac>"; nothing is stored, the signature and expiry are the proof
+function confirmationToken(user) {
+  const payload = `${user._id}.${user.confirmationSentAt.getTime() + EXPIRY_MS}`;
+  return `${payload}.${sign(payload)}`;
+}
+
+// The submission id of a valid, unexpired token, else null
+function verifyToken(token) {
+  const [id, expires, signature] = String(token || '').split('.');
+  if (!id || !expires || !signature) return null;
+  const expected = sign(`${id}.${expires}`);
+  if (signature.length !== expected.length || !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))) return null;
+  if (Number(expires) < Date.now()) return null;
+  return id;
+}
+
+// Email the confirmation link, and note on the submission once a mail server has taken it
+async function sendConfirmation(user, form, baseUrl) {
+  const link = `${process.env.APP_URL || baseUrl}/confirm/${confirmationToken(user)}`;
+  const hours = Math.round(EXPIRY_MS / (60 * 60 * 1000));
+  await sendMail({
+    to: user.email,
+    subject: `Please confirm your submission to ${form.title}`,
+    text: `Hello ${user.name},\n\nPlease confirm your submission by opening this link within ${hours} hours:\n${link}\n\nIf you didn't submit this form, ignore this email and your details will be removed.`,
+    html: `<p>Hello ${escapeHtml(user.name)},</p><p>Please confirm your submission to <strong>${escapeHtml(form.title)}</strong> by clicking the link below within ${hours} hours:</p><p><a href="${link}">Confirm my submission</a></p><p>If you didn't submit this form, ignore this email and your details will be removed.</p>`,
+  });
+  if (mailConfigured()) await User.updateOne({ _id: user._id, confirmationSentAt: user.confirmationSentAt }, { confirmationMailedAt: new Date() });
+}
+
+function escapeHtml(value) {
+  return String(value).replace(/[&<>"']/g, (ch) => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' })[ch]);
+}
+
+/**
+ * Mark the submission behind a confirmation link as confirmed.
+ * Resolves to the submission (also when it was confirmed before) or null for a bad or expired link.
+ */
+async function confirmSubmission(req, token) {
+  const id = verifyToken(token);
+  if (!id) return null;
+  const before = await User.findOne({ _id: id, deletedAt: null });
+  if (!before) return null;
+  if (before.confirmationStatus === 'confirmed') return before;
+  const user = await User.findOneAndUpdate(
+    { _id: id, confirmationStatus: 'pending' },
+    { confirmationStatus: 'confirmed', confirmedAt: new Date() },
+    { new: true }
+  );
+  if (user) {
+    await recordAudit(req, { action: 'update', before, after: user });
+    emitSubmissionEvent('submission.updated', user);
+  }
+  return user || before;
+}
+
+/**
+ * Remove pending submissions whose confirmation link has expired; returns how many. Submissions
+ * whose link never reached a mail server (none configured, or sending failed) are kept: their
+ * submitters had no way to confirm.
+ */
+async function expirePending() {
+  const filter = {
+    confirmationStatus: 'pending',
+    confirmationSentAt: { $lt: new Date(Date.now() - EXPIRY_MS) },
+    confirmationMailedAt: { $ne: null },
+  };
+  const context = systemContext('opt-in expiry');
+  const batch = newBatchId();
+  let expired = 0;
+  for (;;) {
+    const docs = await User.find(filter).sort({ _id: 1 }).limit(500).lean();
+    if (!docs.length) break;
+    await recordBulkRemoval(context, { action: 'purge', docs, batch });
+    const result = await User.deleteMany({ _id: { $in: docs.map((doc) => doc._id) }, confirmationStatus: 'pending' });
+    await removeAttachments({ submission: { $in: docs.map((doc) => doc._id) } });
+    expired += result.deletedCount;
+    emitSubmissionEvent('submission.deleted', docs);
+  }
+  return expired;
+}
+
+function startOptInExpiry() {
+  const run = async () => {
+    try {
+      const expired = await expirePending();
+      if (expired) console.log(`✅ Removed ${expired} submissions that were never confirmed`);
+    } catch (err) {
+      console.error('❌ Error expiring unconfirmed submissions:', err.message);
+    }
+  };
+  run();
+  setInterval(run, EXPIRE_INTERVAL_MS).unref();
+}
+
+module.exports = { optInEnabled, confirmationToken, verifyToken, sendConfirmation, confirmSubmission, expirePending, startOptInExpiry };
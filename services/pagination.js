@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+
+// Lists count at most this many matches; beyond it the total is reported as a lower bound
+const COUNT_CAP = parseInt(process.env.LIST_COUNT_CAP) || 10000;
+
+// `sort` is { <path>: 1|-1, _id: 1|-1 } as built by sortOptions
+function sortKey(sort) {
+  const [path, direction] = Object.entries(sort)[0];
+  return { path, direction };
+}
+
+const valueAt = (doc, path) =>
+  typeof doc.get === 'function' ? doc.get(path) : path.split('.').reduce((obj, key) => (obj == null ? undefined : obj[key]), doc);
+
+/**
+ * Opaque cursor pointing just after `doc` in `sort` order. It records the sort it was made for,
+ * so it can't be replayed against a different one.
+ */
+function encodeCursor(doc, sort) {
+  const { path, direction } = sortKey(sort);
+  const value = valueAt(doc, path);
+  const payload = { p: path, d: direction, id: String(doc._id), v: value instanceof Date ? value.toISOString() : value ?? null };
+  if (value instanceof Date) payload.t = 'date';
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+// The position stored in a cursor, or null when it is malformed or was made for another sort
+function decodeCursor(cursor, sort) {
+  try {
+    const payload = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    const { path, direction } = sortKey(sort);
+    if (payload.p !== path || payload.d !== direction || !mongoose.isValidObjectId(payload.id)) return null;
+    const value = payload.t === 'date' ? new Date(payload.v) : payload.v;
+    if (value instanceof Date && isNaN(value.getTime())) return null;
+    return { value, id: new mongoose.Types.ObjectId(payload.id) };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Condition matching the documents after `position`. Missing and null values sort before
+ * everything else ascending and after everything descending.
+ */
+function afterCondition(sort, { value, id }) {
+  const { path, direction } = sortKey(sort);
+  const beyond = direction === 1 ? '$gt' : '$lt';
+  const tie = { [path]: value, _id: { [beyond]: id } };
+  if (value === null) {
+    return direction === 1 ? { $or: [tie, { [path]: { $ne: null } }] } : tie;
+  }
+  const after = [{ [path]: { [beyond]: value } }, tie];
+  if (direction === -1) after.push({ [path]: null });
+  return { $or: after };
+}
+
+/**
+ * One page of `model` documents matching `filter` in `sort` order, starting after `cursor`
+ * (the first page without one). Resolves to { docs, nextCursor }, nextCursor being null on the
+ * last page; rejects with code 'INVALID_CURSOR' for a cursor that can't be used with this sort.
+ */
+async function keysetPage(model, filter, sort, { limit, cursor }) {
+  let conditions = filter;
+  if (cursor) {
+    const position = decodeCursor(cursor, sort);
+    if (!position) {
+      const err = new Error('Invalid cursor');
+      err.code = 'INVALID_CURSOR';
+      throw err;
+    }
+    conditions = { ...filter, $and: [...(filter.$and || []), afterCondition(sort, position)] };
+  }
+  const docs = await model.find(conditions).sort(sort).limit(limit + 1);
+  const hasMore = docs.length > limit;
+  if (hasMore) docs.pop();
+  return { docs, nextCursor: hasMore ? encodeCursor(docs[docs.length - 1], sort) : null };
+}
+
+// Count matches up to COUNT_CAP; `exact` is false when there are more
+async function cappedCount(model, filter, cap = COUNT_CAP) {
+  const count = await model.countDocuments(filter, { limit: cap + 1 });
+  return count > cap ? { count: cap, exact: false } : { count, exact: true };
+}
+
+module.exports = { COUNT_CAP, encodeCursor, decodeCursor, keysetPage, cappedCount };
@@ -0,0 +1,56 @@
+const ScheduledJob = require('../models/ScheduledJob');
+
+const TICK_MS = 60 * 1000;
+const LOCK_MS = 10 * 60 * 1000;
+
+// name -> { next(from) => Date, run(job) => Promise }
+const jobs = new Map();
+
+/**
+ * Register a recurring job. `next(from)` returns the first run time after `from`;
+ * `run(job)` receives the stored job, whose lastRunAt is null on the very first run.
+ */
+function defineJob(name, { next, run }) {
+  jobs.set(name, { next, run });
+}
+
+// Claim the job if it is due and nobody else holds it, run it, then schedule the next run
+async function runIfDue(name, { next, run }) {
+  const now = new Date();
+  await ScheduledJob.updateOne({ name }, { $setOnInsert: { nextRunAt: next(now) } }, { upsert: true });
+  const job = await ScheduledJob.findOneAndUpdate(
+    { name, nextRunAt: { $lte: now }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+    { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+    { new: true }
+  );
+  if (!job) return;
+
+  let lastError = null;
+  try {
+    await run(job);
+  } catch (err) {
+    lastError = err.message;
+    console.error(`❌ Scheduled job "${name}" failed:`, err.message);
+  }
+  await ScheduledJob.updateOne(
+    { _id: job._id },
+    { $set: { lastRunAt: now, nextRunAt: next(new Date()), lockedUntil: null, lastError } }
+  );
+}
+
+async function tick() {
+  for (const [name, definition] of jobs) {
+    try {
+      await runIfDue(name, definition);
+    } catch (err) {
+      console.error(`❌ Error scheduling job "${name}":`, err.message);
+    }
+  }
+}
+
+function startScheduler() {
+  tick();
+  setInterval(tick, TICK_MS).unref();
+}
+
+module.exports = { defineJob, startScheduler, tick };
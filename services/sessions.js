@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+// connect-mongo keeps sessions here; they are stored unstringified so they can be queried by admin
+const SESSION_COLLECTION = 'sessions';
+
+const collection = () => mongoose.connection.collection(SESSION_COLLECTION);
+
+// Active sessions of an admin, most recently used first
+async function listSessions(adminId) {
+  const docs = await collection()
+    .find({ 'session.adminId': String(adminId), expires: { $gt: new Date() } })
+    .sort({ 'session.lastSeenAt': -1 })
+    .toArray();
+  return docs.map((doc) => ({
+    id: doc._id,
+    ip: doc.session.ip || 'unknown',
+    userAgent: doc.session.userAgent || 'unknown',
+    signedInAt: doc.session.signedInAt || null,
+    lastSeenAt: doc.session.lastSeenAt || null,
+    expires: doc.expires,
+  }));
+}
+
+// Delete one session of an admin; the browser holding it is signed out on its next request
+async function revokeSession(adminId, sessionId) {
+  const result = await collection().deleteOne({ _id: String(sessionId), 'session.adminId': String(adminId) });
+  return result.deletedCount > 0;
+}
+
+// Delete all sessions of an admin, optionally keeping the current one
+async function revokeAllSessions(adminId, exceptSessionId) {
+  const filter = { 'session.adminId': String(adminId) };
+  if (exceptSessionId) filter._id = { $ne: String(exceptSessionId) };
+  const result = await collection().deleteMany(filter);
+  return result.deletedCount;
+}
+
+module.exports = { SESSION_COLLECTION, listSessions, revokeSession, revokeAllSessions };
@@ -0,0 +1,39 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Files under UPLOAD_DIR (default ./uploads), one file per key
+const root = () => path.resolve(process.env.UPLOAD_DIR || path.join(__dirname, '..', '..', 'uploads'));
+
+function pathOf(key) {
+  const file = path.resolve(root(), key);
+  if (!file.startsWith(root() + path.sep)) throw new Error(`Invalid storage key "${key}"`);
+  return file;
+}
+
+module.exports = {
+  name: 'local',
+
+  async put(key, buffer) {
+    const file = pathOf(key);
+    await fs.mkdir(path.dirname(file), { recursive: true });
+    await fs.writeFile(file, buffer);
+  },
+
+  // Rejects with code NOT_FOUND when there is no such file
+  async get(key) {
+    try {
+      return await fs.readFile(pathOf(key));
+    } catch (err) {
+      if (err.code === 'ENOENT') err.code = 'NOT_FOUND';
+      throw err;
+    }
+  },
+
+  async remove(key) {
+    try {
+      await fs.unlink(pathOf(key));
+    } catch (err) {
+      if (err.code !== 'ENOENT') throw err;
+    }
+  },
+};
@@ -0,0 +1,89 @@
+const crypto = require('crypto');
+const axios = require('axios');
+
+/**
+ * Any S3-compatible object store (AWS S3, MinIO, Ceph, ...), addressed path-style as
+ * S3_ENDPOINT/S3_BUCKET/<key> and signed with AWS Signature V4. Needs S3_ENDPOINT, S3_BUCKET,
+ * S3_ACCESS_KEY_ID and S3_SECRET_ACCESS_KEY; S3_REGION defaults to us-east-1.
+ * A local MinIO (or any stand-in speaking the same PUT/GET/DELETE protocol) works for testing.
+ */
+function config() {
+  const missing = ['S3_ENDPOINT', 'S3_BUCKET', 'S3_ACCESS_KEY_ID', 'S3_SECRET_ACCESS_KEY'].filter((name) => !process.env[name]);
+  if (missing.length) throw new Error(`S3 storage needs ${missing.join(', ')}`);
+  return {
+    endpoint: process.env.S3_ENDPOINT.replace(/\/+$/, ''),
+    bucket: process.env.S3_BUCKET,
+    region: process.env.S3_REGION || 'us-east-1',
+    accessKeyId: process.env.S3_ACCESS_KEY_ID,
+    secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+  };
+}
+
+const sha256 = (data) => crypto.createHash('sha256').update(data).digest('hex');
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Headers for one request, including the Authorization header of Signature V4
+function signedHeaders(settings, method, url, body, extraHeaders = {}) {
+  const amzDate = new Date().toISOString().replace(/[:-]|\.\d{3}/g, '');
+  const dateStamp = amzDate.slice(0, 8);
+  const headers = {
+    host: url.host,
+    'x-amz-content-sha256': sha256(body || ''),
+    'x-amz-date': amzDate,
+    ...extraHeaders,
+  };
+  const names = Object.keys(headers).sort();
+  const canonicalRequest = [
+    method,
+    url.pathname,
+    '',
+    names.map((name) => `${name}:${String(headers[name]).trim()}\n`).join(''),
+    names.join(';'),
+    headers['x-amz-content-sha256'],
+  ].join('\n');
+  const scope = `${dateStamp}/${settings.region}/s3/aws4_request`;
+  const stringToSign = ['AWS4-HMAC-SHA256', amzDate, scope, sha256(canonicalRequest)].join('\n');
+  const signingKey = ['s3', 'aws4_request'].reduce(
+    (key, part) => hmac(key, part),
+    hmac(hmac(`AWS4${settings.secretAccessKey}`, dateStamp), settings.region)
+  );
+  const signature = crypto.createHmac('sha256', signingKey).update(stringToSign).digest('hex');
+  const { host, ...sent } = headers;
+  return {
+    ...sent,
+    Authorization: `AWS4-HMAC-SHA256 Credential=${settings.accessKeyId}/${scope}, SignedHeaders=${names.join(';')}, Signature=${signature}`,
+  };
+}
+
+async function request(method, key, { body, contentType } = {}) {
+  const settings = config();
+  const url = new URL(`${settings.endpoint}/${encodeURIComponent(settings.bucket)}/${key.split('/').map(encodeURIComponent).join('/')}`);
+  const headers = signedHeaders(settings, method, url, body, contentType ? { 'content-type': contentType } : {});
+  try {
+    const response = await axios({ method, url: url.toString(), data: body, headers, responseType: 'arraybuffer', timeout: 30000 });
+    return Buffer.from(response.data);
+  } catch (error) {
+    const status = error.response && error.response.status;
+    const err = new Error(`S3 ${method} ${key} failed: ${status ? `status ${status}` : error.message}`);
+    if (status === 404) err.code = 'NOT_FOUND';
+    throw err;
+  }
+}
+
+module.exports = {
+  name: 's3',
+
+  async put(key, buffer, contentType) {
+    await request('PUT', key, { body: buffer, contentType });
+  },
+
+  // Rejects with code NOT_FOUND when there is no such object
+  get(key) {
+    return request('GET', key);
+  },
+
+  // S3 answers 204 whether or not the object existed
+  async remove(key) {
+    await request('DELETE', key);
+  },
+};
@@ -0,0 +1,125 @@
+const { isEncrypted, matchValue } = require('./fieldEncryption');
+
+// Age brackets of the dashboard chart: [0, 18), [18, 30), ... [60, 120), ages counted in 365.25-day years
+const AGE_BOUNDARIES = [0, 18, 30, 45, 60, 120];
+const YEAR_MS = 1000 * 60 * 60 * 24 * 365.25;
+
+// Query parameters buildSubmissionFilter understands; saved filters keep only these
+const FILTER_PARAMS = ['q', 'search', 'email', 'country', 'state', 'validationStatus', 'status', 'from', 'to', 'dobFrom', 'dobTo', 'age'];
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const textParam = (value) => (typeof value === 'string' ? value.trim() : '');
+
+// Parse a YYYY-MM-DD (or any Date-parsable) query value, null when absent or invalid
+function parseDate(value) {
+  if (!value || typeof value !== 'string') return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? null : date;
+}
+
+// { $gte, $lt } for a from/to pair; a plain-date `to` includes the whole day
+function dateRange(fromValue, toValue) {
+  const from = parseDate(fromValue);
+  const to = parseDate(toValue);
+  if (!from && !to) return null;
+  const range = {};
+  if (from) range.$gte = from;
+  if (to) {
+    if (/^\d{4}-\d{2}-\d{2}$/.test(toValue)) to.setUTCDate(to.getUTCDate() + 1);
+    else to.setMilliseconds(to.getMilliseconds() + 1);
+    range.$lt = to;
+  }
+  return range;
+}
+
+// Lower bounds of the requested brackets, from ?age=18&age=30 or ?age=18,30
+function ageBrackets(value) {
+  return []
+    .concat(value || [])
+    .flatMap((item) => String(item).split(','))
+    .map((item) => parseInt(item, 10))
+    .filter((lower) => AGE_BOUNDARIES.slice(0, -1).includes(lower));
+}
+
+// Chart and filter label of the bracket starting at `lower`
+function ageBracketLabel(lower) {
+  const upper = AGE_BOUNDARIES[AGE_BOUNDARIES.indexOf(lower) + 1];
+  if (lower === 0) return `Under ${upper}`;
+  return upper === AGE_BOUNDARIES[AGE_BOUNDARIES.length - 1] ? `${lower}+` : `${lower}-${upper - 1}`;
+}
+
+// dob range of the people whose age falls in the bracket starting at `lower`, as of `now`
+function ageBracketRange(lower, now = Date.now()) {
+  const upper = AGE_BOUNDARIES[AGE_BOUNDARIES.indexOf(lower) + 1];
+  return { $gt: new Date(now - upper * YEAR_MS), $lte: new Date(now - lower * YEAR_MS) };
+}
+
+/**
+ * Build the MongoDB filter for a form's submissions from list query parameters.
+ * Shared by /api/v1/users, /users and /export so all honour the same filters; trashed submissions are left out:
+ *   q                 full-text search over name, email, state and country (text index)
+ *   search            case-insensitive substring of the name
+ *   email             case-insensitive substring of the email; the whole address when emails are encrypted
+ *   country, state    exact value, case-insensitive
+ *   validationStatus  exact email validation result
+ *   status            pending or confirmed (double opt-in)
+ *   from/to           createdAt range, `to` includes the whole day
+ *   dobFrom/dobTo     date of birth range
+ *   age               dashboard age brackets by lower bound (0, 18, 30, 45, 60), repeatable
+ * Encrypted dates of birth can't be compared, so dobFrom, dobTo and age are ignored for them.
+ */
+function buildSubmissionFilter(form, params = {}) {
+  const filter = { form: form._id, deletedAt: null };
+
+  const q = textParam(params.q);
+  if (q) filter.$text = { $search: q };
+
+  const search = textParam(params.search);
+  if (search) filter.name = { $regex: escapeRegex(search), $options: 'i' };
+
+  const email = textParam(params.email);
+  if (email && isEncrypted('email')) Object.assign(filter, matchValue('email', email));
+  else if (email) filter.email = { $regex: escapeRegex(email), $options: 'i' };
+
+  ['country', 'state'].forEach((field) => {
+    const value = textParam(params[field]);
+    if (value) filter[field] = { $regex: `^${escapeRegex(value)}$`, $options: 'i' };
+  });
+
+  const validationStatus = textParam(params.validationStatus);
+  if (validationStatus) filter.validationStatus = validationStatus;
+
+  if (['pending', 'confirmed'].includes(params.status)) {
+    filter.confirmationStatus = params.status;
+  }
+
+  const created = dateRange(params.from, params.to);
+  if (created) filter.createdAt = created;
+
+  const dob = isEncrypted('dob') ? null : dateRange(params.dobFrom, params.dobTo);
+  const brackets = isEncrypted('dob') ? [] : ageBrackets(params.age);
+  if (dob && brackets.length) {
+    filter.$and = [{ dob }, { $or: brackets.map((lower) => ({ dob: ageBracketRange(lower) })) }];
+  } else if (dob) {
+    filter.dob = dob;
+  } else if (brackets.length === 1) {
+    filter.dob = ageBracketRange(brackets[0]);
+  } else if (brackets.length) {
+    filter.$or = brackets.map((lower) => ({ dob: ageBracketRange(lower) }));
+  }
+
+  return filter;
+}
+
+// The filter parameters present in a query, for saving and for links that keep the current filters
+function pickFilterParams(query = {}) {
+  const params = {};
+  FILTER_PARAMS.forEach((name) => {
+    const value = name === 'age' ? ageBrackets(query.age).map(String) : textParam(query[name]);
+    if (value.length) params[name] = value;
+  });
+  return params;
+}
+
+module.exports = { AGE_BOUNDARIES, FILTER_PARAMS, ageBracketLabel, buildSubmissionFilter, pickFilterParams };
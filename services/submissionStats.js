@@ -0,0 +1,23 @@
+const User = require('../models/User');
+
+// Submission counts per country for a User filter, most common first
+function countsByCountry(match) {
+  return User.aggregate([
+    { $match: { ...match, country: { $exists: true, $ne: null } } },
+    { $group: { _id: '$country', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+  ]);
+}
+
+// Submission counts per state for a User filter, most common first; pass `country` in match to narrow it
+function countsByState(match, { limit = 5 } = {}) {
+  return User.aggregate([
+    { $match: { ...match, state: { $exists: true, $ne: null } } },
+    { $group: { _id: { state: '$state', country: '$country' }, count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: limit },
+    { $project: { _id: '$_id.state', country: '$_id.country', count: 1 } },
+  ]);
+}
+
+module.exports = { countsByCountry, countsByState };
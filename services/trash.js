@@ -0,0 +1,107 @@
+const User = require('../models/User');
+const { newBatchId, recordAudit, recordBulkRemoval, systemContext } = require('./audit');
+const { alertBulkDelete } = require('./notifications');
+const { emitSubmissionEvent } = require('./webhooks');
+const { removeAttachments } = require('./attachments');
+
+// Deleted submissions stay in the trash this many days before they are purged for good
+const TRASH_RETENTION_DAYS = Math.max(parseInt(process.env.TRASH_RETENTION_DAYS) || 30, 1);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PURGE_INTERVAL_MS = 60 * 60 * 1000;
+
+const deletionStamp = (req) => ({ deletedAt: new Date(), deletedBy: req.admin ? req.admin._id : null });
+
+// Move one submission to the trash; null when it doesn't exist or is already there
+async function trashSubmission(req, id) {
+  const before = await User.findOne({ _id: id, deletedAt: null });
+  if (!before) return null;
+  const user = await User.findOneAndUpdate({ _id: id, deletedAt: null }, deletionStamp(req), { new: true });
+  if (user) {
+    await recordAudit(req, { action: 'delete', before });
+    emitSubmissionEvent('submission.deleted', user);
+  }
+  return user;
+}
+
+// Move all live submissions of a form to the trash in chunks, auditing each chunk with its last values
+async function trashFormSubmissions(req, form) {
+  const batch = newBatchId();
+  const stamp = deletionStamp(req);
+  let trashed = 0;
+  for (;;) {
+    const docs = await User.find({ form: form._id, deletedAt: null }).sort({ _id: 1 }).limit(500).lean();
+    if (!docs.length) break;
+    await recordBulkRemoval(req, { form, docs, batch });
+    const result = await User.updateMany({ _id: { $in: docs.map((doc) => doc._id) }, deletedAt: null }, stamp);
+    trashed += result.modifiedCount;
+    emitSubmissionEvent('submission.deleted', docs.map((doc) => ({ ...doc, ...stamp })), form);
+  }
+  if (trashed) alertBulkDelete(form, trashed, req.admin);
+  return trashed;
+}
+
+// Bring a submission back; fails with "Email already exists" when the email was submitted again meanwhile
+async function restoreSubmission(req, id) {
+  const user = await User.findOne({ _id: id, deletedAt: { $ne: null } });
+  if (!user) return null;
+  user.deletedAt = null;
+  user.deletedBy = undefined;
+  user.mergedInto = undefined;
+  await user.save();
+  await recordAudit(req, { action: 'restore', after: user });
+  return user;
+}
+
+// Permanently remove one trashed submission, with its uploaded files
+async function purgeSubmission(req, id) {
+  const user = await User.findOneAndDelete({ _id: id, deletedAt: { $ne: null } });
+  if (user) {
+    await recordAudit(req, { action: 'purge', before: user });
+    await removeAttachments({ submission: user._id });
+  }
+  return user;
+}
+
+/**
+ * Permanently remove trashed submissions, and their uploaded files, deleted more than `olderThanDays` days ago,
+ * optionally only those of one form. Returns the number purged.
+ */
+async function purgeTrash(context, { form = null, olderThanDays = TRASH_RETENTION_DAYS } = {}) {
+  const filter = { deletedAt: { $ne: null, $lte: new Date(Date.now() - olderThanDays * DAY_MS) } };
+  if (form) filter.form = form._id;
+  const batch = newBatchId();
+  let purged = 0;
+  for (;;) {
+    const docs = await User.find(filter).sort({ _id: 1 }).limit(500).lean();
+    if (!docs.length) break;
+    await recordBulkRemoval(context, { action: 'purge', docs, batch });
+    const result = await User.deleteMany({ _id: { $in: docs.map((doc) => doc._id) } });
+    await removeAttachments({ submission: { $in: docs.map((doc) => doc._id) } });
+    purged += result.deletedCount;
+  }
+  return purged;
+}
+
+// Purge expired trash now and then every hour
+function startTrashRetention() {
+  const run = async () => {
+    try {
+      const purged = await purgeTrash(systemContext('trash retention'));
+      if (purged) console.log(`✅ Purged ${purged} submissions deleted more than ${TRASH_RETENTION_DAYS} days ago`);
+    } catch (err) {
+      console.error('❌ Error purging trash:', err.message);
+    }
+  };
+  run();
+  setInterval(run, PURGE_INTERVAL_MS).unref();
+}
+
+module.exports = {
+  TRASH_RETENTION_DAYS,
+  trashSubmission,
+  trashFormSubmissions,
+  restoreSubmission,
+  purgeSubmission,
+  purgeTrash,
+  startTrashRetention,
+};
@@ -0,0 +1,192 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { revealStored } = require('./fieldEncryption');
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 8;
+// Retries wait 30s, 1m, 2m, 4m, ... capped at 6 hours
+const BASE_BACKOFF_MS = 30 * 1000;
+const MAX_BACKOFF_MS = 6 * 60 * 60 * 1000;
+const REQUEST_TIMEOUT_MS = 10 * 1000;
+const LOCK_MS = 60 * 1000;
+const POLL_MS = 15 * 1000;
+const MAX_STORED_RESPONSE = 2000;
+// Finished deliveries (and the submission copies in them) are removed after this long
+const RETENTION_MS = (parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const backoff = (attempts) => Math.min(BASE_BACKOFF_MS * 2 ** (attempts - 1), MAX_BACKOFF_MS);
+
+/**
+ * Signature headers for a body. Receivers recompute
+ * HMAC-SHA256(secret, `${X-Webhook-Timestamp}.${raw body}`) and compare it with X-Webhook-Signature.
+ */
+function signatureHeaders(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const signature = crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  return { 'X-Webhook-Timestamp': String(timestamp), 'X-Webhook-Signature': `sha256=${signature}` };
+}
+
+// Lean submissions (trash and opt-in expiry pass those) are decrypted here, like the model does for documents
+function submissionPayload(event, user, form) {
+  const submission = typeof user.toObject === 'function' ? user.toObject({ versionKey: false }) : revealStored({ ...user });
+  delete submission.__v;
+  delete submission.encrypted;
+  delete submission.hashes;
+  delete submission.birthYear;
+  return {
+    event,
+    occurredAt: new Date().toISOString(),
+    form: form ? { id: String(form._id), slug: form.slug, title: form.title } : { id: String(submission.form) },
+    submission,
+  };
+}
+
+// Send one delivery and record the outcome, scheduling a retry with backoff on failure
+async function attemptDelivery(delivery) {
+  const webhook = await Webhook.findById(delivery.webhook);
+  const attempts = delivery.attempts + 1;
+  const update = { attempts, lastAttemptAt: new Date(), lockedUntil: null };
+
+  if (!webhook) {
+    Object.assign(update, { status: 'failed', error: 'Webhook was removed' });
+  } else {
+    const body = JSON.stringify({ id: String(delivery._id), ...delivery.payload });
+    try {
+      const response = await axios.post(webhook.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'FormApp-Webhooks/1.0',
+          'X-Webhook-Event': delivery.event,
+          'X-Webhook-Delivery': String(delivery._id),
+          ...signatureHeaders(webhook.secret, body),
+        },
+        timeout: REQUEST_TIMEOUT_MS,
+        maxRedirects: 0,
+        transformResponse: [(data) => data],
+        validateStatus: () => true,
+      });
+      update.responseStatus = response.status;
+      update.responseBody = String(response.data || '').slice(0, MAX_STORED_RESPONSE);
+      update.error = response.status >= 200 && response.status < 300 ? null : `HTTP ${response.status}`;
+    } catch (err) {
+      update.responseStatus = null;
+      update.responseBody = null;
+      update.error = err.message;
+    }
+    if (!update.error) update.status = 'succeeded';
+    else if (attempts >= MAX_ATTEMPTS) update.status = 'failed';
+    else update.nextAttemptAt = new Date(Date.now() + backoff(attempts));
+  }
+  if (update.status) update.expiresAt = new Date(Date.now() + RETENTION_MS);
+
+  await WebhookDelivery.updateOne({ _id: delivery._id }, { $set: update });
+  if (update.status === 'failed') console.error(`❌ Webhook delivery ${delivery._id} (${delivery.event}) gave up: ${update.error}`);
+  return update;
+}
+
+// Claim due deliveries one at a time, so several app instances never send the same one twice
+async function processDueDeliveries({ limit = 50 } = {}) {
+  let processed = 0;
+  while (processed < limit) {
+    const now = new Date();
+    const delivery = await WebhookDelivery.findOneAndUpdate(
+      { status: 'pending', nextAttemptAt: { $lte: now }, $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }] },
+      { $set: { lockedUntil: new Date(now.getTime() + LOCK_MS) } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!delivery) break;
+    await attemptDelivery(delivery);
+    processed += 1;
+  }
+  return processed;
+}
+
+let running = null;
+// Run the worker now unless it is already running
+function kick() {
+  if (!running) {
+    running = processDueDeliveries()
+      .catch((err) => console.error('❌ Error delivering webhooks:', err.message))
+      .finally(() => {
+        running = null;
+      });
+  }
+  return running;
+}
+
+/**
+ * Queue `event` for every active webhook subscribed to it, one delivery per submission,
+ * and start sending. Never rejects, so handlers can call it without awaiting.
+ */
+async function emitSubmissionEvent(event, users, form = null) {
+  try {
+    const list = [].concat(users).filter(Boolean);
+    if (!list.length) return;
+    const webhooks = await Webhook.find({ active: true, events: event }).select('_id');
+    if (!webhooks.length) return;
+    const deliveries = [];
+    list.forEach((user) => {
+      const payload = submissionPayload(event, user, form);
+      webhooks.forEach((webhook) => deliveries.push({ webhook: webhook._id, event, payload }));
+    });
+    await WebhookDelivery.insertMany(deliveries);
+    kick();
+  } catch (err) {
+    console.error(`❌ Error queueing ${event} webhooks:`, err.message);
+  }
+}
+
+// Queue a fresh copy of a delivery (same payload) and send it now
+async function redeliver(deliveryId) {
+  const original = await WebhookDelivery.findById(deliveryId);
+  if (!original) return null;
+  const copy = await WebhookDelivery.create({
+    webhook: original.webhook,
+    event: original.event,
+    payload: original.payload,
+    redeliveryOf: original._id,
+  });
+  kick();
+  return copy;
+}
+
+/**
+ * Startup step for deliveries stored before payloads were sealed and pruned: seal their
+ * payloads and let the finished ones expire RETENTION_MS from now.
+ */
+async function secureStoredDeliveries() {
+  try {
+    let sealed = 0;
+    const cursor = WebhookDelivery.collection.find({ payload: { $type: 'object' } }, { projection: { payload: 1 } });
+    for await (const raw of cursor) {
+      const payload = WebhookDelivery.sealPayload(raw.payload);
+      if (payload === raw.payload) break;
+      await WebhookDelivery.collection.updateOne({ _id: raw._id }, { $set: { payload } });
+      sealed += 1;
+    }
+    const { modifiedCount } = await WebhookDelivery.collection.updateMany(
+      { status: { $ne: 'pending' }, expiresAt: null },
+      { $set: { expiresAt: new Date(Date.now() + RETENTION_MS) } }
+    );
+    if (sealed || modifiedCount) console.log(`✅ Sealed ${sealed} stored webhook payloads and scheduled ${modifiedCount} finished deliveries for removal`);
+  } catch (err) {
+    console.error('❌ Error securing stored webhook deliveries:', err.message);
+  }
+}
+
+// Retries survive restarts: pending deliveries stay in Mongo and are picked up by this poller
+function startWebhookWorker() {
+  kick();
+  setInterval(kick, POLL_MS).unref();
+}
+
+module.exports = {
+  MAX_ATTEMPTS,
+  signatureHeaders,
+  submissionPayload,
+  emitSubmissionEvent,
+  processDueDeliveries,
+  redeliver,
+  secureStoredDeliveries,
+  startWebhookWorker,
+};
@@ -0,0 +1,129 @@
+require('./support/env');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const express = require('express');
+const session = require('express-session');
+const Admin = require('../models/Admin');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const { prepareFirstOwner, checkSetupToken } = require('../services/adminSetup');
+const { ensureAdmin, requireRole } = require('../middleware/auth');
+const authRouter = require('../routes/auth');
+
+const admins = useMemoryCollection(Admin);
+
+// The auth routes and role checks behind an in-memory session store, plus a way to sign in as anyone
+const app = express();
+app.set('view engine', 'ejs');
+app.set('views', path.join(__dirname, '../views'));
+app.use(express.urlencoded({ extended: true }));
+app.use(session({ secret: 'test', resave: false, saveUninitialized: false }));
+app.use((req, res, next) => {
+  res.locals.isAdmin = req.session.isAdmin || false;
+  res.locals.csrfToken = 'token';
+  next();
+});
+app.post('/test/sign-in/:id', (req, res) => {
+  req.session.adminId = req.params.id;
+  req.session.isAdmin = true;
+  res.end();
+});
+app.get('/api/v1/browse', ensureAdmin, requireRole('viewer'), (req, res) => res.json({ ok: true }));
+app.delete('/api/v1/edit', ensureAdmin, requireRole('editor'), (req, res) => res.json({ ok: true }));
+app.delete('/api/v1/bulk', ensureAdmin, requireRole('owner'), (req, res) => res.json({ ok: true }));
+app.use(authRouter);
+
+let server;
+let base;
+before(async () => {
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  admins.length = 0;
+  delete process.env.ADMIN_USER;
+  delete process.env.ADMIN_PASS;
+  delete process.env.SETUP_TOKEN;
+});
+
+const form = (values) => ({ method: 'POST', redirect: 'manual', body: new URLSearchParams(values) });
+const owner = { username: 'asha', password: 'correct horse', confirmPassword: 'correct horse' };
+
+test('/setup needs the token printed at startup, and only works once', async () => {
+  process.env.SETUP_TOKEN = 's'.repeat(48);
+  await prepareFirstOwner();
+
+  for (const query of ['', '?token=wrong']) {
+    const response = await fetch(`${base}/setup${query}`, { redirect: 'manual' });
+    assert.equal(response.status, 403);
+  }
+  let response = await fetch(`${base}/setup`, form({ ...owner, token: 'wrong' }));
+  assert.equal(response.status, 403);
+  assert.equal(admins.length, 0, 'no owner is created without the token');
+
+  response = await fetch(`${base}/setup?token=${process.env.SETUP_TOKEN}`, { redirect: 'manual' });
+  assert.equal(response.status, 200);
+  assert.match(await response.text(), new RegExp(`name="token" value="${process.env.SETUP_TOKEN}"`));
+
+  response = await fetch(`${base}/setup`, form({ ...owner, token: process.env.SETUP_TOKEN }));
+  assert.equal(response.status, 302);
+  assert.equal(response.headers.get('location'), '/dashboard');
+  assert.deepEqual(admins.map((admin) => [admin.username, admin.role, admin.status]), [['asha', 'owner', 'active']]);
+
+  assert.equal(checkSetupToken(process.env.SETUP_TOKEN), false);
+  response = await fetch(`${base}/setup`, form({ ...owner, username: 'mallory', token: process.env.SETUP_TOKEN }));
+  assert.equal(response.headers.get('location'), '/admin');
+  assert.equal(admins.length, 1);
+});
+
+test('without SETUP_TOKEN a random token is printed; ADMIN_USER and ADMIN_PASS create the owner instead', async () => {
+  await prepareFirstOwner();
+  assert.equal(checkSetupToken(''), false);
+  assert.equal(checkSetupToken('s'.repeat(48)), false);
+
+  process.env.ADMIN_USER = 'Ravi';
+  process.env.ADMIN_PASS = 'correct horse';
+  await prepareFirstOwner();
+  assert.equal(admins.length, 1);
+  const seeded = await Admin.findOne({ username: 'ravi' });
+  assert.equal(seeded.role, 'owner');
+  assert.ok(await seeded.verifyPassword('correct horse'));
+
+  // Only while there is no admin at all
+  await prepareFirstOwner();
+  assert.equal(admins.length, 1);
+  const response = await fetch(`${base}/setup`, { redirect: 'manual' });
+  assert.equal(response.headers.get('location'), '/admin');
+});
+
+test('routes are gated by role: viewer < editor < owner', async () => {
+  const accounts = {};
+  for (const role of ['viewer', 'editor', 'owner']) {
+    const admin = new Admin({ username: role, role });
+    await admin.setPassword('correct horse');
+    await admin.save();
+    accounts[role] = admin;
+  }
+  const signedIn = async (admin) => {
+    const response = await fetch(`${base}/test/sign-in/${admin._id}`, { method: 'POST' });
+    return response.headers.get('set-cookie').split(';')[0];
+  };
+  const statuses = async (cookie) => {
+    const call = (method, route) => fetch(`${base}${route}`, { method, headers: cookie ? { Cookie: cookie } : {} });
+    return [(await call('GET', '/api/v1/browse')).status, (await call('DELETE', '/api/v1/edit')).status, (await call('DELETE', '/api/v1/bulk')).status];
+  };
+
+  assert.deepEqual(await statuses(null), [401, 401, 401]);
+  assert.deepEqual(await statuses(await signedIn(accounts.viewer)), [200, 403, 403]);
+  assert.deepEqual(await statuses(await signedIn(accounts.editor)), [200, 200, 403]);
+  assert.deepEqual(await statuses(await signedIn(accounts.owner)), [200, 200, 200]);
+
+  // An invited admin who hasn't accepted yet has no role at all
+  const { admin: invited } = await Admin.invite({ email: 'new@example.com', role: 'owner' });
+  assert.deepEqual(await statuses(await signedIn(invited)), [401, 401, 401]);
+});
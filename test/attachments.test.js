@@ -0,0 +1,133 @@
+require('./support/env');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Attachment = require('../models/Attachment');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const { registerStorage, saveWithAttachments } = require('../services/attachments');
+const attachmentsRouter = require('../routes/attachments');
+
+const submissions = useMemoryCollection(User);
+const attachments = useMemoryCollection(Attachment);
+
+// An in-memory storage adapter that can be told to fail on a given put
+const objects = new Map();
+let failOnPut = 0;
+let puts = 0;
+registerStorage({
+  name: 'memory',
+  put: async (key, buffer) => {
+    if (++puts === failOnPut) throw new Error('storage is down');
+    objects.set(key, buffer);
+  },
+  get: async (key) => objects.get(key),
+  remove: async (key) => {
+    objects.delete(key);
+  },
+});
+process.env.STORAGE_DRIVER = 'memory';
+
+const form = {
+  _id: new mongoose.Types.ObjectId(),
+  fields: [
+    { name: 'name', type: 'text' },
+    { name: 'resume', type: 'file' },
+    { name: 'letter', type: 'file' },
+  ],
+};
+const pdf = (fieldname, originalname) => {
+  const buffer = Buffer.from('%PDF-1.4 test');
+  return { fieldname, originalname, mimetype: 'application/pdf', buffer, size: buffer.length };
+};
+const request = (...files) => ({ files });
+const newSubmission = (extra) => new User({ form: form._id, name: 'Asha Rao', email: 'asha@example.com', extra });
+
+beforeEach(() => {
+  submissions.length = 0;
+  attachments.length = 0;
+  objects.clear();
+  failOnPut = 0;
+  puts = 0;
+});
+
+test('files named by the submission are stored with it', async () => {
+  const user = newSubmission({ resume: 'cv.pdf', letter: null });
+  await saveWithAttachments(request(pdf('resume', 'cv.pdf'), pdf('letter', 'letter.pdf')), form, user, () => user.save());
+  assert.equal(submissions.length, 1);
+  assert.equal(attachments.length, 1, 'a file its values do not name is not kept');
+  assert.equal(attachments[0].field, 'resume');
+  assert.ok(attachments[0].submission.equals(user._id));
+  assert.deepEqual([...objects.keys()], [attachments[0].key]);
+});
+
+test('when storage fails partway nothing is saved and stored files are removed', async () => {
+  failOnPut = 2;
+  const user = newSubmission({ resume: 'cv.pdf', letter: 'letter.pdf' });
+  const files = request(pdf('resume', 'cv.pdf'), pdf('letter', 'letter.pdf'));
+  await assert.rejects(saveWithAttachments(files, form, user, () => user.save()), /storage is down/);
+  assert.equal(submissions.length, 0);
+  assert.equal(attachments.length, 0);
+  assert.equal(objects.size, 0);
+});
+
+test('when the submission cannot be saved its files are removed', async () => {
+  const user = new User({ form: form._id, name: 'Asha Rao', email: 'not an email', extra: { resume: 'cv.pdf' } });
+  await assert.rejects(saveWithAttachments(request(pdf('resume', 'cv.pdf')), form, user, () => user.save()));
+  assert.equal(attachments.length, 0);
+  assert.equal(objects.size, 0);
+
+  // Nothing to update: the files go too
+  const missing = { _id: new mongoose.Types.ObjectId(), extra: { resume: 'cv.pdf' } };
+  assert.equal(await saveWithAttachments(request(pdf('resume', 'cv.pdf')), form, missing, async () => null), null);
+  assert.equal(attachments.length, 0);
+  assert.equal(objects.size, 0);
+});
+
+test('a new file replaces the old one, and a cleared field loses its file, once saved', async () => {
+  const user = newSubmission({ resume: 'cv.pdf', letter: 'letter.pdf' });
+  await saveWithAttachments(request(pdf('resume', 'cv.pdf'), pdf('letter', 'letter.pdf')), form, user, () => user.save());
+  const [oldResume] = attachments;
+
+  const update = { _id: user._id, extra: { resume: 'cv-2.pdf', letter: null } };
+  const save = () => User.findOneAndUpdate({ _id: user._id }, { 'extra.resume': 'cv-2.pdf', 'extra.letter': null }, { new: true });
+  await saveWithAttachments(request(pdf('resume', 'cv-2.pdf')), form, update, save);
+  assert.deepEqual(attachments.map((attachment) => attachment.originalName), ['cv-2.pdf']);
+  assert.ok(!objects.has(oldResume.key));
+  assert.equal(objects.size, 1);
+});
+
+// The download routes, as mounted on /attachments behind ensureAdmin
+const app = express();
+app.use('/attachments', attachmentsRouter);
+let server;
+let base;
+before(async () => {
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  base = `http://127.0.0.1:${server.address().port}/attachments`;
+});
+after(() => new Promise((resolve) => server.close(resolve)));
+
+test('the files of a trashed submission can only be downloaded again once it is restored', async () => {
+  const user = newSubmission({ resume: 'cv.pdf' });
+  await saveWithAttachments(request(pdf('resume', 'cv.pdf')), form, user, () => user.save());
+  const download = () => fetch(`${base}/${user._id}/resume`);
+
+  let response = await download();
+  assert.equal(response.status, 200);
+  assert.equal(await response.text(), '%PDF-1.4 test');
+  assert.match(response.headers.get('content-disposition'), /^attachment; filename="cv.pdf"/);
+
+  await User.updateOne({ _id: user._id }, { deletedAt: new Date() });
+  response = await download();
+  assert.equal(response.status, 404);
+  assert.equal((await fetch(`${base}/${user._id}/resume/thumbnail`)).status, 404);
+  assert.equal(objects.size, 1, 'the file is kept for a restore');
+
+  await User.updateOne({ _id: user._id }, { deletedAt: null });
+  assert.equal((await download()).status, 200);
+  assert.equal((await fetch(`${base}/not-an-id/resume`)).status, 404);
+});
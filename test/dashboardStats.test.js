@@ -0,0 +1,89 @@
+require('./support/env');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const { dashboardStats } = require('../services/dashboardStats');
+const { backfillBirthYears } = require('../services/encryptionMigration');
+const { maskSubmission } = require('../services/masking');
+
+const submissions = useMemoryCollection(User);
+const form = { _id: new mongoose.Types.ObjectId(), slug: 'signup' };
+
+// The in-memory collection can't run the $facet pipeline; keep it for the tests to inspect and
+// answer with the totals only (and no states for the per-state counts)
+let pipeline = null;
+User.aggregate = async (stages) => {
+  if (!stages[1] || !stages[1].$facet) return [];
+  pipeline = stages;
+  return [{ status: [{ _id: 'confirmed', count: submissions.length }], overTime: [], byCountry: [], states: [], ages: [] }];
+};
+const agesFacet = () => pipeline[1].$facet.ages;
+
+const bornOn = (date) => new Date(`${date}T00:00:00Z`);
+
+async function addSubmission(values) {
+  return User.create({ form: form._id, name: 'Someone', email: `${new mongoose.Types.ObjectId()}@example.com`, ...values });
+}
+
+beforeEach(() => {
+  submissions.length = 0;
+  process.env.ENCRYPTED_FIELDS = 'email,contact,dob';
+});
+
+test('the birth year is stored next to an encrypted dob and follows it on every write', async () => {
+  const user = await addSubmission({ dob: bornOn('1990-05-21') });
+  assert.equal(submissions[0].dob, undefined, 'dates of birth are not stored in the clear');
+  assert.equal(submissions[0].birthYear, 1990);
+
+  await User.findOneAndUpdate({ _id: user._id }, { dob: '1985-12-31' });
+  assert.equal(submissions[0].birthYear, 1985);
+  await User.findOneAndUpdate({ _id: user._id }, { $set: { dob: null } });
+  assert.equal(submissions[0].birthYear, null);
+  user.dob = bornOn('2001-01-01');
+  await user.save();
+  assert.equal(submissions[0].birthYear, 2001);
+
+  // Derived from dob, so it is as private as dob
+  assert.equal(user.toJSON().birthYear, undefined);
+  assert.equal(maskSubmission(user).birthYear, undefined);
+});
+
+test('the age chart is counted in the database on the birth year while dob is encrypted', async () => {
+  await addSubmission({ dob: bornOn('1990-05-21') });
+  const find = User.find;
+  User.find = () => assert.fail('no submission is read to count ages');
+  try {
+    await dashboardStats(form, { country: 'india' }, { refresh: true });
+  } finally {
+    User.find = find;
+  }
+  assert.deepEqual(agesFacet().slice(0, 2), [
+    { $match: { birthYear: { $ne: null } } },
+    { $project: { age: { $subtract: [new Date().getUTCFullYear(), '$birthYear'] } } },
+  ]);
+  assert.equal(agesFacet()[2].$bucket.groupBy, '$age');
+  assert.match(JSON.stringify(pipeline[0].$match), /india/i, 'the dashboard filters apply to the ages too');
+});
+
+test('with dob not encrypted the chart comes from the dates of birth as before', async () => {
+  process.env.ENCRYPTED_FIELDS = 'email,contact';
+  await addSubmission({ dob: bornOn('1990-05-21') });
+  assert.ok(submissions[0].dob instanceof Date);
+  await dashboardStats(form, {}, { refresh: true });
+  assert.deepEqual(agesFacet()[0], { $match: { dob: { $ne: null } } });
+});
+
+test('submissions stored before birthYear existed get it once', async () => {
+  await addSubmission({ dob: bornOn('1990-05-21') });
+  await addSubmission({ dob: bornOn('1975-01-02'), country: 'India' });
+  await addSubmission({});
+  submissions.forEach((doc) => delete doc.birthYear);
+  process.env.ENCRYPTED_FIELDS = 'email,contact';
+  await User.collection.insertOne({ form: form._id, name: 'Plain', dob: bornOn('1960-07-07'), deletedAt: null });
+
+  assert.equal(await backfillBirthYears(), 3);
+  assert.deepEqual(submissions.map((doc) => doc.birthYear), [1990, 1975, undefined, 1960]);
+  assert.equal(await backfillBirthYears(), 0);
+});
@@ -0,0 +1,102 @@
+require('./support/env');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const Draft = require('../models/Draft');
+const mailer = require('../services/mailer');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const { SEALED_PREFIX } = require('../services/fieldEncryption');
+const { formSteps, submittedValues } = require('../services/formSchema');
+
+// Record what would be mailed; the service picks sendMail up when it is loaded
+const sent = [];
+mailer.sendMail = async (message) => {
+  sent.push(message);
+};
+const { resumeLink, sendResumeLink } = require('../services/drafts');
+
+const drafts = useMemoryCollection(Draft);
+const form = {
+  _id: new mongoose.Types.ObjectId(),
+  title: 'Signup',
+  wizard: true,
+  fields: [
+    { name: 'name', type: 'text' },
+    { name: 'email', type: 'email' },
+    { name: 'dob', type: 'date', section: 'About you' },
+    { name: 'country', type: 'select', section: 'About you' },
+    { name: 'contact', type: 'tel', section: 'Reaching you' },
+  ],
+};
+const otherForm = { _id: new mongoose.Types.ObjectId(), title: 'Survey', fields: [] };
+
+beforeEach(() => {
+  drafts.length = 0;
+  sent.length = 0;
+  delete process.env.ENCRYPTED_FIELDS;
+});
+
+test('saving again with the resume token updates the same draft and pushes its expiry back', async () => {
+  const { draft, token } = await Draft.saveFor(form, { values: { name: 'Asha' }, step: 0 });
+  assert.equal(drafts.length, 1);
+  assert.notEqual(drafts[0].tokenHash, token, 'only the hash of the token is stored');
+
+  const firstExpiry = draft.expiresAt;
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const again = await Draft.saveFor(form, { values: { name: 'Asha', email: 'asha@example.com' }, step: 1, token });
+  assert.equal(again.token, token);
+  assert.equal(drafts.length, 1);
+  assert.ok(again.draft.expiresAt > firstExpiry);
+
+  const resumed = await Draft.findByToken(token);
+  assert.deepEqual(resumed.values, { name: 'Asha', email: 'asha@example.com' });
+  assert.equal(resumed.step, 1);
+});
+
+test('a token of another form, unknown or expired, does not open a draft', async () => {
+  const { token } = await Draft.saveFor(form, { values: { name: 'Asha' }, step: 0 });
+  const elsewhere = await Draft.saveFor(otherForm, { values: {}, step: 0, token });
+  assert.notEqual(elsewhere.token, token, 'a draft of another form is not overwritten');
+  assert.equal(drafts.length, 2);
+
+  assert.equal(await Draft.findByToken('unknown'), null);
+  assert.equal(await Draft.findByToken(undefined), null);
+  drafts[0].expiresAt = new Date(Date.now() - 1000);
+  assert.equal(await Draft.findByToken(token), null);
+
+  await Draft.discard(elsewhere.token);
+  assert.equal(drafts.length, 1);
+});
+
+test('encrypted fields of a draft are stored sealed and read back in the clear', async () => {
+  process.env.ENCRYPTED_FIELDS = 'email,contact,dob';
+  const values = { name: 'Asha', email: 'asha@example.com', contact: '+919876543210', dob: '1990-05-01' };
+  const { token } = await Draft.saveFor(form, { values, step: 2 });
+
+  const stored = drafts[0].values;
+  assert.equal(stored.name, 'Asha');
+  ['email', 'contact', 'dob'].forEach((field) => assert.ok(stored[field].startsWith(SEALED_PREFIX), field));
+  assert.deepEqual((await Draft.findByToken(token)).values, values);
+});
+
+test('the resume link reopens the form on its step with the typed values', async () => {
+  const steps = formSteps(form);
+  assert.deepEqual(steps.map((step) => [step.title, step.fields.map((field) => field.name)]), [
+    ['Details', ['name', 'email']],
+    ['About you', ['dob', 'country']],
+    ['Reaching you', ['contact']],
+  ]);
+  assert.equal(formSteps({ ...form, wizard: false }).length, 1);
+  assert.deepEqual(submittedValues(form.fields, { name: 'Asha', country: ['India'], unknown: 'x' }), { name: 'Asha' });
+
+  const req = { protocol: 'http', get: () => 'localhost:3000' };
+  assert.equal(resumeLink(req, 'abc'), 'http://localhost:3000/resume/abc');
+  process.env.APP_URL = 'https://forms.test';
+  assert.equal(resumeLink(req, 'abc'), 'https://forms.test/resume/abc');
+  delete process.env.APP_URL;
+
+  await sendResumeLink('asha@example.com', form, 'https://forms.test/resume/abc', new Date('2026-11-18T00:00:00Z'));
+  assert.equal(sent[0].to, 'asha@example.com');
+  assert.equal(sent[0].subject, 'Finish your answers to Signup');
+  assert.match(sent[0].text, /https:\/\/forms\.test\/resume\/abc/);
+});
@@ -0,0 +1,32 @@
+require('./support/env');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const dns = require('dns');
+const local = require('../services/emailProviders/local');
+
+test('the local verifier asks DNS for MX records unless told otherwise', async () => {
+  const asked = [];
+  const resolveMx = dns.promises.resolveMx;
+  dns.promises.resolveMx = async (domain) => {
+    asked.push(domain);
+    if (domain === 'nomail.org') throw Object.assign(new Error('queryMx ENODATA nomail.org'), { code: 'ENODATA' });
+    if (domain === 'slow.org') throw Object.assign(new Error('queryMx ETIMEOUT slow.org'), { code: 'ETIMEOUT' });
+    return [{ exchange: `mx.${domain}`, priority: 10 }];
+  };
+  delete process.env.EMAIL_MX_RESOLVER;
+  try {
+    assert.deepEqual(await local.verify('asha@mail.org'), { isValid: true, message: 'Email validated' });
+    assert.deepEqual(await local.verify('asha@nomail.org'), { isValid: false, message: 'Email domain has no mail server' });
+    await assert.rejects(local.verify('asha@slow.org'), /MX lookup for slow.org failed/);
+    assert.deepEqual(asked, ['mail.org', 'nomail.org', 'slow.org']);
+  } finally {
+    dns.promises.resolveMx = resolveMx;
+    process.env.EMAIL_MX_RESOLVER = 'stub';
+  }
+});
+
+test('the tests run on the offline stub, which knows the reserved domains have no mail', async () => {
+  assert.equal((await local.verify('asha@mail.org')).isValid, true);
+  assert.deepEqual(await local.verify('asha@example.com'), { isValid: false, message: 'Email domain has no mail server' });
+  assert.deepEqual(await local.verify('asha@mailinator.com'), { isValid: false, message: 'Disposable email addresses are not accepted' });
+});
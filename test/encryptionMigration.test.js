@@ -0,0 +1,95 @@
+require('./support/env');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const { rotateKey, sealedKeyId } = require('../services/fieldEncryption');
+const { syncEncryption, isSyncing } = require('../services/encryptionMigration');
+
+const submissions = useMemoryCollection(User);
+const form = new mongoose.Types.ObjectId();
+
+async function addSubmissions(count) {
+  for (let i = 0; i < count; i++) {
+    await User.create({ form, name: `Person ${i}`, email: `person${i}@example.com`, contact: `+9198765432${10 + i}` });
+  }
+}
+
+beforeEach(() => {
+  submissions.length = 0;
+  process.env.ENCRYPTED_FIELDS = 'email,contact,dob';
+});
+
+test('a rotation re-encrypts every stored value under the new key', async () => {
+  await addSubmissions(3);
+  const id = rotateKey();
+  assert.deepEqual(await syncEncryption(), { updated: 3, failed: 0 });
+  submissions.forEach((doc) => {
+    assert.equal(sealedKeyId(doc.encrypted.email), id);
+    assert.equal(sealedKeyId(doc.encrypted.contact), id);
+  });
+  assert.deepEqual(await syncEncryption(), { updated: 0, failed: 0 });
+});
+
+test('a rotation during a sync gets a full pass of its own', async () => {
+  await addSubmissions(3);
+  rotateKey();
+
+  // Rotate again right after the running pass re-encrypted its first submission
+  const updateOne = User.collection.updateOne;
+  let latest = null;
+  let second = null;
+  User.collection.updateOne = async (...args) => {
+    const result = await updateOne(...args);
+    if (!latest) {
+      latest = rotateKey();
+      second = syncEncryption();
+    }
+    return result;
+  };
+  try {
+    const first = syncEncryption();
+    assert.ok(isSyncing());
+    await first;
+    assert.ok(second && second !== first, 'the second call waits for a pass of its own');
+    assert.ok(isSyncing());
+    await second;
+  } finally {
+    User.collection.updateOne = updateOne;
+  }
+  assert.ok(!isSyncing());
+  submissions.forEach((doc) => assert.equal(sealedKeyId(doc.encrypted.email), latest));
+});
+
+test('calls made while a pass is queued share it', async () => {
+  await addSubmissions(1);
+  rotateKey();
+  const first = syncEncryption();
+  const second = syncEncryption();
+  const third = syncEncryption();
+  assert.equal(second, third);
+  await Promise.all([first, second]);
+});
+
+test('fields taken out of ENCRYPTED_FIELDS are decrypted again, and encrypted when put back', async () => {
+  await addSubmissions(2);
+  process.env.ENCRYPTED_FIELDS = 'email';
+  await syncEncryption();
+  submissions.forEach((doc, i) => {
+    assert.equal(doc.contact, `+9198765432${10 + i}`);
+    assert.equal(doc.encrypted.contact, undefined);
+    assert.equal(doc.hashes.contact, undefined);
+    assert.equal(doc.email, undefined);
+  });
+  const [first] = await User.find({}).sort({ name: 1 });
+  assert.equal(first.contact, '+919876543210');
+  assert.equal(first.email, 'person0@example.com');
+
+  process.env.ENCRYPTED_FIELDS = 'email,contact,dob';
+  await syncEncryption();
+  submissions.forEach((doc) => {
+    assert.equal(doc.contact, undefined);
+    assert.match(doc.encrypted.contact, /^enc1:/);
+  });
+});
@@ -0,0 +1,196 @@
+const { dir, keyFile } = require('./support/env');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Draft = require('../models/Draft');
+const AuditLog = require('../models/AuditLog');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const encryption = require('../services/fieldEncryption');
+const { recordAudit, readableEntry, buildAuditFilter } = require('../services/audit');
+
+const submissions = useMemoryCollection(User);
+const drafts = useMemoryCollection(Draft);
+const auditEntries = useMemoryCollection(AuditLog);
+const form = new mongoose.Types.ObjectId();
+
+const values = { name: 'Asha Rao', email: 'Asha@Example.com', contact: '+919876543210', dob: new Date('1990-05-21') };
+
+beforeEach(() => {
+  submissions.length = 0;
+  drafts.length = 0;
+  auditEntries.length = 0;
+  process.env.ENCRYPTED_FIELDS = 'email,contact,dob';
+});
+
+test('the key file is created on purpose, readable by its owner only, and never replaced', () => {
+  assert.equal(encryption.currentKeyId(), 'k1');
+  assert.equal(fs.statSync(keyFile).mode & 0o777, 0o600);
+  const stored = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  assert.equal(stored.current, 'k1');
+  assert.equal(Buffer.from(stored.keys.k1, 'base64').length, 32);
+  assert.throws(() => encryption.createKeyFile(), /already exists/);
+});
+
+test('encryption is off by default, and on only with a key file to start with', () => {
+  delete process.env.ENCRYPTED_FIELDS;
+  assert.deepEqual(encryption.encryptedFields(), []);
+  process.env.ENCRYPTION_KEY_FILE = path.join(dir, 'missing.json');
+  try {
+    encryption.checkEncryptionKeys();
+    process.env.ENCRYPTED_FIELDS = 'email';
+    assert.throws(() => encryption.checkEncryptionKeys(), /missing\.json not found: create it with `npm run encryption-key`/);
+    assert.equal(fs.existsSync(process.env.ENCRYPTION_KEY_FILE), false, 'no key is made up on the fly');
+  } finally {
+    process.env.ENCRYPTION_KEY_FILE = keyFile;
+    encryption.loadKeyring({ reload: true });
+  }
+  encryption.checkEncryptionKeys();
+});
+
+test('sealed values open to what was sealed, as the field type', () => {
+  const email = encryption.seal('email', ' Asha@Example.com ');
+  assert.match(email, /^enc1:k\d+:/);
+  assert.equal(encryption.open('email', email), 'asha@example.com');
+  assert.equal(encryption.open('contact', encryption.seal('contact', '+919876543210')), '+919876543210');
+  const dob = encryption.open('dob', encryption.seal('dob', new Date('1990-05-21')));
+  assert.ok(dob instanceof Date);
+  assert.equal(dob.toISOString(), '1990-05-21T00:00:00.000Z');
+  assert.equal(encryption.openText('dob', encryption.seal('dob', new Date('1990-05-21'))), '1990-05-21T00:00:00.000Z');
+  // A fresh IV every time
+  assert.notEqual(encryption.seal('contact', '1'), encryption.seal('contact', '1'));
+});
+
+test('a sealed value cannot be opened as another field or after tampering', () => {
+  const sealed = encryption.seal('email', 'asha@example.com');
+  assert.throws(() => encryption.open('contact', sealed));
+  const parts = sealed.split(':');
+  parts[4] = Buffer.from('someone@else.com').toString('base64url');
+  assert.throws(() => encryption.open('email', parts.join(':')));
+});
+
+test('blind indexes match equal values only, emails regardless of case', () => {
+  assert.equal(encryption.blindIndex('email', 'Asha@Example.com '), encryption.blindIndex('email', 'asha@example.com'));
+  assert.notEqual(encryption.blindIndex('email', 'asha@example.com'), encryption.blindIndex('email', 'asha@example.org'));
+  assert.notEqual(encryption.blindIndex('email', 'x'), encryption.blindIndex('contact', 'x'));
+  assert.equal(encryption.blindIndex('dob', new Date('1990-05-21T00:00:00Z')), encryption.blindIndex('dob', new Date('1990-05-21T00:00:00Z')));
+});
+
+test('after a rotation new values use the new key and older values still open', () => {
+  const before = encryption.seal('email', 'asha@example.com');
+  const hash = encryption.blindIndex('email', 'asha@example.com');
+  const id = encryption.rotateKey();
+  const stored = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  assert.equal(stored.current, id);
+  assert.ok(Object.keys(stored.keys).length >= 2);
+  assert.equal(encryption.sealedKeyId(encryption.seal('email', 'x@y.z')), id);
+  assert.notEqual(encryption.sealedKeyId(before), id);
+  assert.equal(encryption.open('email', before), 'asha@example.com');
+  // The index key is never rotated, so lookups keep working
+  assert.equal(encryption.blindIndex('email', 'asha@example.com'), hash);
+});
+
+test('a key added by another process is picked up when a value needs it', () => {
+  const stored = JSON.parse(fs.readFileSync(keyFile, 'utf8'));
+  stored.keys.other = crypto.randomBytes(32).toString('base64');
+  stored.current = 'other';
+  fs.writeFileSync(keyFile, JSON.stringify(stored));
+  const id = 'other';
+  // Sealed by "another process": with the key file's new key, which this one hasn't loaded
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', Buffer.from(stored.keys.other, 'base64'), iv);
+  cipher.setAAD(Buffer.from('contact'));
+  const encrypted = Buffer.concat([cipher.update('+14155550123'), cipher.final()]);
+  const sealed = `enc1:${id}:${[iv, cipher.getAuthTag(), encrypted].map((part) => part.toString('base64url')).join(':')}`;
+  assert.equal(encryption.open('contact', sealed), '+14155550123');
+  assert.equal(encryption.currentKeyId(), 'other');
+});
+
+test('submissions are stored without plain values and read back decrypted', async () => {
+  const user = await User.create({ form, ...values });
+  assert.equal(user.email, 'asha@example.com');
+
+  const [raw] = submissions;
+  ['email', 'contact', 'dob'].forEach((field) => {
+    assert.equal(raw[field], undefined, `${field} is not stored in the clear`);
+    assert.match(raw.encrypted[field], /^enc1:/);
+    assert.match(raw.hashes[field], /^[a-f0-9]{64}$/);
+  });
+  assert.ok(!JSON.stringify(raw).includes('919876543210'));
+
+  const found = await User.findOne({ _id: user._id });
+  assert.equal(found.email, 'asha@example.com');
+  assert.equal(found.contact, '+919876543210');
+  assert.equal(found.dob.toISOString(), '1990-05-21T00:00:00.000Z');
+  assert.equal(found.toJSON().encrypted, undefined);
+  assert.equal(found.toJSON().hashes, undefined);
+
+  const lean = await User.findOne({ _id: user._id }).lean();
+  assert.equal(lean.email, 'asha@example.com');
+  assert.equal(lean.contact, '+919876543210');
+
+  const byEmail = await User.findOne({ form, ...encryption.matchValue('email', 'ASHA@example.com') });
+  assert.ok(byEmail && byEmail._id.equals(user._id));
+});
+
+test('updates store encrypted fields sealed and still validate them', async () => {
+  const user = await User.create({ form, ...values });
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id },
+    { contact: '+14155550123', name: 'Asha R' },
+    { new: true, runValidators: true }
+  );
+  assert.equal(updated.contact, '+14155550123');
+  assert.equal(submissions[0].contact, undefined);
+  assert.equal(encryption.open('contact', submissions[0].encrypted.contact), '+14155550123');
+  assert.equal(submissions[0].hashes.contact, encryption.blindIndex('contact', '+14155550123'));
+
+  await assert.rejects(User.findOneAndUpdate({ _id: user._id }, { email: 'not an email' }, { runValidators: true }));
+  await assert.rejects(User.findOneAndUpdate({ _id: user._id }, { dob: new Date('2999-01-01') }, { runValidators: true }));
+
+  user.contact = '+919999999999';
+  await user.save();
+  assert.equal(user.contact, '+919999999999');
+  assert.equal(encryption.open('contact', submissions[0].encrypted.contact), '+919999999999');
+  assert.equal(submissions[0].contact, undefined);
+});
+
+test('with ENCRYPTED_FIELDS empty submissions are stored as before', async () => {
+  process.env.ENCRYPTED_FIELDS = '';
+  await User.create({ form, ...values });
+  assert.equal(submissions[0].email, 'asha@example.com');
+  assert.equal(submissions[0].encrypted, undefined);
+});
+
+test('audit entries keep encrypted values sealed and are readable through readableEntry', async () => {
+  const before = new User({ form, ...values });
+  const after = new User({ _id: before._id, form, ...values, email: 'new@example.com' });
+  await recordAudit({ actor: { id: null, username: 'system', role: null }, ip: null, route: 'test' }, { action: 'update', before, after });
+
+  const [raw] = auditEntries;
+  assert.match(raw.email, /^enc1:/);
+  assert.equal(raw.emailHash, encryption.blindIndex('email', 'new@example.com'));
+  const emailChange = raw.changes.find((change) => change.field === 'email');
+  assert.match(emailChange.before, /^enc1:/);
+  assert.ok(!JSON.stringify(raw).includes('example.com'));
+
+  const entry = readableEntry(raw);
+  assert.equal(entry.email, 'new@example.com');
+  assert.deepEqual(entry.changes.find((change) => change.field === 'email'), { field: 'email', before: 'asha@example.com', after: 'new@example.com' });
+  assert.equal(entry.emailHash, undefined);
+
+  const found = await AuditLog.find(buildAuditFilter({ email: 'NEW@example.com' })).lean();
+  assert.equal(found.length, 1);
+});
+
+test('drafts keep encrypted fields sealed and re-fill them decrypted', async () => {
+  const { token } = await Draft.saveFor({ _id: form }, { values: { name: 'Asha', email: 'asha@example.com', dob: '1990-05-21' }, step: 1 });
+  assert.equal(drafts[0].values.name, 'Asha');
+  assert.match(drafts[0].values.email, /^enc1:/);
+  assert.match(drafts[0].values.dob, /^enc1:/);
+  const draft = await Draft.findByToken(token);
+  assert.deepEqual(draft.values, { name: 'Asha', email: 'asha@example.com', dob: '1990-05-21' });
+});
@@ -0,0 +1,144 @@
+require('./support/env');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const { validationResult } = require('express-validator');
+const FormRules = require('../public/form-rules');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const Form = require('../models/Form');
+const { validateSubmission, pickSubmission, patternProblem } = require('../services/formSchema');
+const { validationStatusFor } = require('../services/emailVerification');
+
+const submissions = useMemoryCollection(User);
+
+// The engine as the browser gets it: the served script run as a plain script, defining window.FormRules
+const browser = (() => {
+  const window = {};
+  window.self = window;
+  vm.runInNewContext(fs.readFileSync(path.join(__dirname, '../public/form-rules.js'), 'utf8'), window);
+  return window.FormRules;
+})();
+
+const fields = [
+  { name: 'name', type: 'text', required: true },
+  { name: 'email', type: 'email' },
+  { name: 'contact', type: 'text', requiredIf: 'email is empty' },
+  { name: 'country', type: 'select', required: true, options: ['India', 'France'] },
+  { name: 'state', type: 'text', required: true, showIf: 'country = India' },
+  { name: 'district', type: 'text', showIf: 'state is not empty', requiredIf: 'country in india, nepal and email is empty' },
+];
+
+test('the browser and the server decide the same fields are shown and required', () => {
+  const cases = [
+    {},
+    { country: 'India' },
+    { country: ' india ', state: 'Kerala' },
+    { country: 'France', state: 'Kerala' },
+    { country: 'India', state: 'Kerala', email: 'asha@example.com' },
+    { country: 'India', state: '', email: '' },
+    { email: null, contact: undefined },
+  ];
+  cases.forEach((values) => {
+    const server = FormRules.evaluate(fields, values);
+    assert.deepEqual(JSON.parse(JSON.stringify(browser.evaluate(fields, values))), server, JSON.stringify(values));
+  });
+  const { visible, required } = FormRules.evaluate(fields, { country: 'France', state: 'Kerala' });
+  assert.equal(visible.state, false);
+  assert.equal(visible.district, false, 'a hidden field counts as empty in other rules');
+  assert.equal(required.contact, true);
+  assert.deepEqual([...browser.ruleErrors([{ name: 'a', showIf: 'b = 1' }])], FormRules.ruleErrors([{ name: 'a', showIf: 'b = 1' }]));
+});
+
+// Run the server's checks on a request body, as the submit and API routes do
+async function check(body, options = {}, submission = null) {
+  const req = { body: { ...body }, form: { fields }, submission, files: [] };
+  await new Promise((resolve, reject) => validateSubmission(options)(req, {}, (err) => (err ? reject(err) : resolve())));
+  return { req, errors: validationResult(req).array().map((error) => error.path) };
+}
+
+test('submissions are checked and stored by the rules', async () => {
+  let { errors } = await check({ name: 'Asha', country: 'India' });
+  assert.deepEqual(errors.sort(), ['contact', 'state']);
+
+  const result = await check({ name: 'Asha', email: 'asha@example.com', country: 'France', state: 'Kerala' });
+  assert.deepEqual(result.errors, []);
+  assert.equal(pickSubmission(fields, result.req.body).state, null, 'a hidden field is stored empty');
+});
+
+const stored = { name: 'Asha', email: 'asha@example.com', contact: null, country: 'India', state: 'Kerala', extra: {} };
+
+test('a PATCH is ruled on the stored values merged with the body', async () => {
+  // Fields the stored values hide can't be filled in
+  const france = { ...stored, country: 'France', state: null };
+  let { req, errors } = await check({ state: 'Kerala' }, { partial: true }, france);
+  assert.deepEqual(errors, []);
+  assert.deepEqual(pickSubmission(fields, req.body, { partial: true, stored: france }), { state: null, extra: { district: null } });
+
+  // A change that hides a field empties it
+  ({ req, errors } = await check({ country: 'France' }, { partial: true }, stored));
+  assert.deepEqual(errors, []);
+  const update = pickSubmission(fields, req.body, { partial: true, stored });
+  assert.equal(update.country, 'France');
+  assert.equal(update.state, null);
+  assert.equal(update.name, undefined, 'fields left out stay as stored');
+
+  // Fields the result requires can't be left out
+  ({ errors } = await check({ email: '' }, { partial: true }, stored));
+  assert.deepEqual(errors, ['contact', 'district']);
+  ({ errors } = await check({ email: '', contact: '+33123456789', district: 'Ernakulam' }, { partial: true }, stored));
+  assert.deepEqual(errors, []);
+});
+
+test('a PUT replaces the values and is ruled on the body alone', async () => {
+  const { errors } = await check({ name: 'Asha', country: 'India', email: 'asha@example.com' }, {}, stored);
+  assert.deepEqual(errors, ['state']);
+});
+
+test('a submission the rules let through without an email is stored', async () => {
+  const { req, errors } = await check({ name: 'Asha', email: '', contact: '+919876543210', country: 'France' });
+  assert.deepEqual(errors, []);
+  const submission = pickSubmission(fields, req.body);
+  const emailCheck = await validationStatusFor(submission.email);
+  assert.deepEqual(emailCheck, { isValid: true, message: null }, 'there is no address to verify');
+
+  const form = new mongoose.Types.ObjectId();
+  await new User({ ...submission, form, validationStatus: emailCheck.message }).save();
+  const saved = await User.findOne({ form }).lean();
+  assert.equal(saved.email ?? null, null);
+  assert.equal(saved.contact, '+919876543210');
+  // Out of the per-form unique email indexes, which only cover string values
+  assert.equal(submissions[0].email ?? null, null);
+  assert.equal((submissions[0].hashes || {}).email, undefined);
+});
+
+test('field patterns that could hang the server are refused when the form is saved', () => {
+  assert.equal(patternProblem('^[A-Z]{2}[0-9]{4}$'), null);
+  assert.equal(patternProblem('('), 'Pattern must be a valid regular expression');
+  assert.match(patternProblem('^(a+)+$'), /too complex/);
+
+  const form = new Form({ slug: 'codes', title: 'Codes', fields: [...fields, { name: 'code', label: 'Code', type: 'text', pattern: '^(\\w+\\s?)*$' }] });
+  const error = form.validateSync();
+  assert.match(error.errors['fields.6.pattern'].message, /too complex/);
+});
+
+test('a pattern is checked safely on submission, whatever was stored', async () => {
+  const withCode = (pattern) => [...fields, { name: 'code', type: 'text', pattern, message: 'Invalid code' }];
+  const run = async (pattern, code) => {
+    const req = { body: { name: 'Asha', email: 'asha@example.com', country: 'France', code }, form: { fields: withCode(pattern) }, files: [] };
+    await new Promise((resolve, reject) => validateSubmission()(req, {}, (err) => (err ? reject(err) : resolve())));
+    return validationResult(req).array().map((error) => `${error.path}: ${error.msg}`);
+  };
+  assert.deepEqual(await run('^[A-Z]{2}[0-9]{4}$', 'AB1234'), []);
+  assert.deepEqual(await run('^[A-Z]{2}[0-9]{4}$', 'AB12'), ['code: Invalid code']);
+  // Values too long to match are refused without running the pattern
+  assert.deepEqual(await run('^A*$', 'A'.repeat(1001)), ['code: Invalid code']);
+  // Patterns saved before they were checked give a validation error, not a server error
+  assert.deepEqual(await run('(', 'AB1234'), ['code: Invalid code']);
+  const started = Date.now();
+  assert.deepEqual(await run('^(a+)+$', `${'a'.repeat(40)}!`), ['code: Invalid code']);
+  assert.ok(Date.now() - started < 1000, 'the unsafe pattern is not run');
+});
@@ -0,0 +1,32 @@
+require('./support/env');
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { sendMail } = require('../services/mailer');
+const { scrubUrl } = require('../services/logScrubbing');
+
+test('links with tokens are logged redacted', () => {
+  assert.equal(scrubUrl('https://forms.example/confirm/abc.def-123'), 'https://forms.example/confirm/redacted');
+  assert.equal(scrubUrl('/resume/0123abcd?step=2'), '/resume/redacted?step=2');
+  assert.equal(scrubUrl('/invite/0123abcd'), '/invite/redacted');
+  assert.equal(scrubUrl('/setup?token=0123abcd'), '/setup?token=redacted');
+  assert.equal(scrubUrl('/users?email=asha%40example.com&page=2'), '/users?email=redacted&page=2');
+  assert.equal(scrubUrl('/f/signup'), '/f/signup');
+});
+
+test('without SMTP only the subject and the redacted links of a message reach the log', async () => {
+  delete process.env.SMTP_URL;
+  delete process.env.SMTP_HOST;
+  const logged = [];
+  const log = console.log;
+  console.log = (...args) => logged.push(args.join(' '));
+  try {
+    await sendMail({
+      to: 'asha@example.com',
+      subject: 'Please confirm your submission',
+      text: 'Hi Asha,\nconfirm here: https://forms.example/confirm/secret-token-value\nThanks',
+    });
+  } finally {
+    console.log = log;
+  }
+  assert.deepEqual(logged, ['✉️ Mail not sent (no SMTP configured): Please confirm your submission\nhttps://forms.example/confirm/redacted']);
+});
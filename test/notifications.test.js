@@ -0,0 +1,69 @@
+require('./support/env');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const Admin = require('../models/Admin');
+const mailer = require('../services/mailer');
+const { useMemoryCollection } = require('./support/memoryCollection');
+
+// Record what would be mailed; the service picks sendMail up when it is loaded
+const sent = [];
+mailer.sendMail = async (message) => {
+  sent.push(message);
+};
+const { alertNewSubmission, alertValidationFailed, alertBulkDelete } = require('../services/notifications');
+
+const admins = useMemoryCollection(Admin);
+const form = { title: 'Signup' };
+const submission = { name: 'Asha Rao', email: 'asha.rao@example.com', country: 'India', state: 'Kerala', confirmationStatus: 'confirmed' };
+
+async function addAdmin(username, role, { alerts = ['submission', 'validation-failed', 'bulk-delete'], email = `${username}@admins.test`, status = 'active' } = {}) {
+  await Admin.create({ username, role, email, status, notifications: { alerts, digest: 'off' } });
+}
+
+const sentTo = () => sent.map((message) => message.to).sort();
+
+beforeEach(() => {
+  admins.length = 0;
+  sent.length = 0;
+});
+
+test('alerts go to the active admins subscribed to the event who have an email address', async () => {
+  await addAdmin('owner', 'owner');
+  await addAdmin('editor', 'editor', { alerts: ['bulk-delete'] });
+  await addAdmin('viewer', 'viewer', { alerts: ['submission'] });
+  await addAdmin('noemail', 'owner', { email: null });
+  await addAdmin('invited', 'editor', { status: 'invited' });
+
+  await alertNewSubmission(form, submission);
+  assert.deepEqual(sentTo(), ['owner@admins.test', 'viewer@admins.test']);
+  assert.ok(sent.every((message) => message.subject === '[Alert] New submission to Signup'));
+
+  sent.length = 0;
+  await alertBulkDelete(form, 3, { username: 'owner' });
+  assert.deepEqual(sentTo(), ['editor@admins.test', 'owner@admins.test']);
+  assert.equal(sent[0].text, 'owner deleted 3 submissions of Signup.');
+});
+
+test('viewers get the submitter email masked, editors and owners in full', async () => {
+  await addAdmin('viewer', 'viewer');
+  await addAdmin('editor', 'editor');
+
+  await alertNewSubmission(form, submission);
+  await alertValidationFailed(form, submission.email, 'Domain has no mail server');
+  const textFor = (to) => sent.filter((message) => message.to === to).map((message) => message.text);
+
+  const [viewerNew, viewerRejected] = textFor('viewer@admins.test');
+  assert.match(viewerNew, /^Asha Rao <as\*{4}ao@example\.com> submitted Signup\./);
+  assert.match(viewerRejected, /from as\*{4}ao@example\.com was rejected/);
+  assert.ok(!viewerNew.includes(submission.email) && !viewerRejected.includes(submission.email));
+
+  const [editorNew, editorRejected] = textFor('editor@admins.test');
+  assert.match(editorNew, /^Asha Rao <asha\.rao@example\.com> submitted Signup\./);
+  assert.match(editorRejected, /from asha\.rao@example\.com was rejected by email validation: Domain has no mail server/);
+});
+
+test('a submission without an email is announced by name alone', async () => {
+  await addAdmin('viewer', 'viewer');
+  await alertNewSubmission(form, { ...submission, email: null, confirmationStatus: 'pending' });
+  assert.equal(sent[0].text, 'Asha Rao submitted Signup (awaiting email confirmation).\nCountry: India, state: Kerala.');
+});
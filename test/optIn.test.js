@@ -0,0 +1,127 @@
+const { waitFor } = require('./support/env');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const AuditLog = require('../models/AuditLog');
+const Attachment = require('../models/Attachment');
+const Webhook = require('../models/Webhook');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const { resetTransport } = require('../services/mailer');
+const { optInEnabled, verifyToken, sendConfirmation, confirmSubmission, expirePending } = require('../services/optIn');
+
+const submissions = useMemoryCollection(User);
+useMemoryCollection(AuditLog);
+useMemoryCollection(Attachment);
+useMemoryCollection(Webhook);
+
+// A local SMTP sink: just enough of the protocol for nodemailer, keeping each message's DATA
+const messages = [];
+const sink = net.createServer((socket) => {
+  let buffer = '';
+  let data = null;
+  socket.write('220 localhost ESMTP test sink\r\n');
+  socket.on('data', (chunk) => {
+    buffer += chunk;
+    let end;
+    while ((end = buffer.indexOf('\r\n')) >= 0) {
+      const line = buffer.slice(0, end);
+      buffer = buffer.slice(end + 2);
+      if (data !== null) {
+        if (line === '.') {
+          messages.push(data.join('\n'));
+          data = null;
+          socket.write('250 OK queued\r\n');
+        } else data.push(line.startsWith('..') ? line.slice(1) : line);
+      } else if (/^(EHLO|HELO)/i.test(line)) socket.write('250 localhost\r\n');
+      else if (/^DATA/i.test(line)) {
+        data = [];
+        socket.write('354 End data with <CR><LF>.<CR><LF>\r\n');
+      } else if (/^QUIT/i.test(line)) socket.end('221 Bye\r\n');
+      else socket.write('250 OK\r\n');
+    }
+  });
+});
+
+const form = { _id: new mongoose.Types.ObjectId(), title: 'Signup' };
+const context = { actor: { id: null, username: 'system', role: null }, ip: null, route: 'test' };
+const HOUR = 60 * 60 * 1000;
+let port;
+
+const useSmtp = (enabled) => {
+  if (enabled) process.env.SMTP_HOST = '127.0.0.1';
+  else delete process.env.SMTP_HOST;
+  resetTransport();
+};
+
+const pending = (values = {}) =>
+  User.create({ form: form._id, name: 'Asha Rao', email: 'asha@example.com', confirmationStatus: 'pending', confirmationSentAt: new Date(), ...values });
+
+before(async () => {
+  await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+  port = sink.address().port;
+  process.env.SMTP_PORT = String(port);
+});
+
+after(() => {
+  resetTransport();
+  return new Promise((resolve) => sink.close(resolve));
+});
+
+beforeEach(() => {
+  submissions.length = 0;
+  messages.length = 0;
+  delete process.env.DOUBLE_OPT_IN;
+  useSmtp(true);
+});
+
+test('double opt-in is on by default only when mail can be sent', () => {
+  assert.equal(optInEnabled(), true);
+  process.env.DOUBLE_OPT_IN = 'false';
+  assert.equal(optInEnabled(), false);
+
+  useSmtp(false);
+  delete process.env.DOUBLE_OPT_IN;
+  assert.equal(optInEnabled(), false);
+  process.env.DOUBLE_OPT_IN = 'true';
+  assert.equal(optInEnabled(), true);
+});
+
+test('the confirmation link goes out over SMTP and confirms the submission', async () => {
+  const user = await pending();
+  await sendConfirmation(user, form, 'http://forms.test');
+  await waitFor(() => messages.length);
+
+  const message = messages[0].replace(/=\n/g, '');
+  assert.match(message, /^To: asha@example\.com$/m);
+  assert.match(message, /^Subject: Please confirm your submission to Signup$/m);
+  const [, token] = message.match(/href=3D"http:\/\/forms\.test\/confirm\/([^"]+)"/);
+  assert.equal(verifyToken(token), String(user._id));
+  assert.ok(submissions[0].confirmationMailedAt instanceof Date);
+
+  const confirmed = await confirmSubmission(context, token);
+  assert.equal(confirmed.confirmationStatus, 'confirmed');
+  assert.equal(verifyToken(`${token.slice(0, -1)}x`), null);
+});
+
+test('without SMTP the link is only logged and the submission is not marked as mailed', async () => {
+  useSmtp(false);
+  const user = await pending();
+  await sendConfirmation(user, form, 'http://forms.test');
+  assert.equal(messages.length, 0);
+  assert.equal(submissions[0].confirmationMailedAt, null);
+});
+
+test('expiry removes only expired pending submissions whose link was mailed', async () => {
+  const old = new Date(Date.now() - 49 * HOUR);
+  const expired = await pending({ name: 'Expired', confirmationSentAt: old, confirmationMailedAt: old });
+  await pending({ name: 'Never mailed', confirmationSentAt: old });
+  await pending({ name: 'Recent', confirmationMailedAt: new Date() });
+  await pending({ name: 'Confirmed', confirmationStatus: 'confirmed', confirmationSentAt: old, confirmationMailedAt: old });
+
+  assert.equal(await expirePending(), 1);
+  assert.deepEqual(submissions.map((doc) => doc.name).sort(), ['Confirmed', 'Never mailed', 'Recent']);
+  assert.ok(!submissions.some((doc) => doc._id.equals(expired._id)));
+  assert.equal(await expirePending(), 0);
+});
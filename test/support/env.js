@@ -0,0 +1,31 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const util = require('util');
+
+// Each test file runs in its own process; give it its own key file so no test touches keys/.
+// Encryption stays off unless a test sets ENCRYPTED_FIELDS.
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'form-app-test-'));
+process.env.ENCRYPTION_KEY_FILE = path.join(dir, 'field-encryption.json');
+process.on('exit', () => fs.rmSync(dir, { recursive: true, force: true }));
+require('../../services/fieldEncryption').createKeyFile();
+// Email checks never reach the network
+require('./mxStub');
+
+// The runner talks to each test process over its stdout, which the app's log lines would garble
+['log', 'info', 'warn', 'error', 'debug'].forEach((method) => {
+  console[method] = (...args) => process.stderr.write(`${util.format(...args)}\n`);
+});
+
+// Resolves once `check` returns something truthy, polling every 10ms for up to `timeout` ms
+async function waitFor(check, { timeout = 2000 } = {}) {
+  const started = Date.now();
+  for (;;) {
+    const result = await check();
+    if (result) return result;
+    if (Date.now() - started > timeout) throw new Error('Timed out waiting for a condition');
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+module.exports = { dir, keyFile: process.env.ENCRYPTION_KEY_FILE, waitFor };
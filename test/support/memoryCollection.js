@@ -0,0 +1,269 @@
+const mongoose = require('mongoose');
+
+/**
+ * An in-memory stand-in for the MongoDB collection behind a model, for tests without a server.
+ * It covers the filters and updates the app sends (equality, comparison, $in, $exists, $regex,
+ * $not, $type, $or/$and, $set/$unset/$inc/$push) and goes under the model's own hooks and casting.
+ */
+
+const isObjectId = (value) => value && value._bsontype === 'ObjectId';
+const isPlainObject = (value) => value && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date) && !isObjectId(value) && !Buffer.isBuffer(value) && !(value instanceof RegExp);
+
+function clone(value) {
+  if (value instanceof Date) return new Date(value.getTime());
+  if (Array.isArray(value)) return value.map(clone);
+  if (isObjectId(value) || value instanceof RegExp || (value && value._bsontype)) return value;
+  if (Buffer.isBuffer(value)) return Buffer.from(value);
+  if (isPlainObject(value)) return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, clone(item)]));
+  return value;
+}
+
+function comparable(value) {
+  if (value instanceof Date) return value.getTime();
+  if (isObjectId(value)) return value.toHexString();
+  return value;
+}
+
+function equal(a, b) {
+  if (isPlainObject(a) || isPlainObject(b) || Array.isArray(a) || Array.isArray(b)) {
+    return JSON.stringify(clone(a)) === JSON.stringify(clone(b));
+  }
+  if (a === undefined) a = null;
+  if (b === undefined) b = null;
+  return comparable(a) === comparable(b);
+}
+
+function getPath(doc, path) {
+  return path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+}
+
+function setPath(doc, path, value) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((object, key) => {
+    if (!isPlainObject(object[key])) object[key] = {};
+    return object[key];
+  }, doc);
+  target[last] = value;
+}
+
+function unsetPath(doc, path) {
+  const keys = path.split('.');
+  const last = keys.pop();
+  const target = getPath(doc, keys.join('.')) ?? (keys.length ? undefined : doc);
+  if (target && typeof target === 'object') delete target[last];
+}
+
+const TYPES = {
+  null: (value) => value === null,
+  string: (value) => typeof value === 'string',
+  object: isPlainObject,
+  date: (value) => value instanceof Date,
+  objectId: isObjectId,
+  array: Array.isArray,
+};
+
+const toRegExp = (pattern, options) => (pattern instanceof RegExp ? pattern : new RegExp(pattern, options || ''));
+
+// Whether `value` (the field, or one of its elements when it is an array) satisfies `condition`
+function matchesCondition(value, condition) {
+  if (!isPlainObject(condition) || !Object.keys(condition).some((key) => key.startsWith('$'))) {
+    if (condition instanceof RegExp) return [].concat(value).some((item) => typeof item === 'string' && condition.test(item));
+    if (Array.isArray(value) && !Array.isArray(condition)) return value.some((item) => equal(item, condition));
+    return equal(value, condition);
+  }
+  return Object.entries(condition).every(([operator, operand]) => {
+    const values = Array.isArray(value) ? value : [value];
+    switch (operator) {
+      case '$eq':
+        return matchesCondition(value, operand);
+      case '$ne':
+        return !matchesCondition(value, operand);
+      case '$gt':
+        return values.some((item) => item != null && comparable(item) > comparable(operand));
+      case '$gte':
+        return values.some((item) => item != null && comparable(item) >= comparable(operand));
+      case '$lt':
+        return values.some((item) => item != null && comparable(item) < comparable(operand));
+      case '$lte':
+        return values.some((item) => item != null && comparable(item) <= comparable(operand));
+      case '$in':
+        return operand.some((candidate) => matchesCondition(value, candidate));
+      case '$nin':
+        return !operand.some((candidate) => matchesCondition(value, candidate));
+      case '$exists':
+        return (value !== undefined) === Boolean(operand);
+      case '$regex':
+        return values.some((item) => typeof item === 'string' && toRegExp(operand, condition.$options).test(item));
+      case '$options':
+        return true;
+      case '$not':
+        return !matchesCondition(value, operand);
+      case '$type':
+        return values.some((item) => (TYPES[operand] || (() => false))(item));
+      default:
+        throw new Error(`memoryCollection does not support ${operator}`);
+    }
+  });
+}
+
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some((part) => matches(doc, part));
+    if (key === '$and') return condition.every((part) => matches(doc, part));
+    if (key === '$nor') return !condition.some((part) => matches(doc, part));
+    return matchesCondition(getPath(doc, key), condition);
+  });
+}
+
+function applyUpdate(doc, update, { inserting = false } = {}) {
+  if (Array.isArray(update)) throw new Error('memoryCollection does not support pipeline updates');
+  const operators = Object.keys(update).some((key) => key.startsWith('$')) ? update : { $set: update };
+  Object.entries(operators).forEach(([operator, fields]) => {
+    Object.entries(fields || {}).forEach(([path, value]) => {
+      if (operator === '$set' || (operator === '$setOnInsert' && inserting)) setPath(doc, path, clone(value));
+      else if (operator === '$unset') unsetPath(doc, path);
+      else if (operator === '$inc') setPath(doc, path, (getPath(doc, path) || 0) + value);
+      else if (operator === '$push') setPath(doc, path, [...(getPath(doc, path) || []), clone(value)]);
+      else if (operator !== '$setOnInsert') throw new Error(`memoryCollection does not support ${operator}`);
+    });
+  });
+  return doc;
+}
+
+function sortDocs(docs, sort) {
+  const keys = Array.isArray(sort) ? sort : Object.entries(sort || {});
+  if (!keys.length) return docs;
+  return [...docs].sort((a, b) => {
+    for (const [path, direction] of keys) {
+      const x = comparable(getPath(a, path));
+      const y = comparable(getPath(b, path));
+      if (x === y) continue;
+      if (x == null) return -direction;
+      if (y == null) return direction;
+      return (x < y ? -1 : 1) * (direction === -1 || direction === 'desc' ? -1 : 1);
+    }
+    return 0;
+  });
+}
+
+// Enough of the driver's FindCursor for mongoose queries, query cursors and raw collection use
+function cursorOver(load) {
+  let sort = null;
+  let skip = 0;
+  let limit = 0;
+  let results = null;
+  const all = () => {
+    if (!results) {
+      const sorted = sortDocs(load(), sort);
+      results = sorted.slice(skip, limit ? skip + limit : undefined).map(clone);
+    }
+    return results;
+  };
+  const cursor = {
+    sort(value) {
+      sort = value;
+      return cursor;
+    },
+    skip(value) {
+      skip = value;
+      return cursor;
+    },
+    limit(value) {
+      limit = value;
+      return cursor;
+    },
+    project: () => cursor,
+    batchSize: () => cursor,
+    toArray: async () => all(),
+    next: async () => all().shift() || null,
+    hasNext: async () => all().length > 0,
+    close: async () => {},
+    async *[Symbol.asyncIterator]() {
+      while (all().length) yield all().shift();
+    },
+  };
+  return cursor;
+}
+
+/**
+ * Replace the collection methods of `model` with in-memory ones. Returns the stored documents,
+ * raw as they would be in MongoDB, for assertions.
+ */
+function useMemoryCollection(model) {
+  const docs = [];
+  const collection = model.collection;
+  const find = (filter) => docs.filter((doc) => matches(doc, filter));
+  const first = (filter, options = {}) => sortDocs(find(filter), options.sort)[0];
+
+  const insert = (doc) => {
+    const stored = clone(doc);
+    if (!stored._id) stored._id = new mongoose.Types.ObjectId();
+    docs.push(stored);
+    return stored._id;
+  };
+
+  // Query cursors otherwise wait for a connection that never opens
+  collection.buffer = false;
+  Object.assign(collection, {
+    insertOne: async (doc) => ({ acknowledged: true, insertedId: insert(doc) }),
+    insertMany: async (list) => {
+      const insertedIds = Object.fromEntries(list.map((doc, i) => [i, insert(doc)]));
+      return { acknowledged: true, insertedCount: list.length, insertedIds };
+    },
+    find: (filter = {}, options = {}) => {
+      const cursor = cursorOver(() => find(filter));
+      if (options.sort) cursor.sort(options.sort);
+      if (options.skip) cursor.skip(options.skip);
+      if (options.limit) cursor.limit(options.limit);
+      return cursor;
+    },
+    findOne: async (filter = {}, options = {}) => clone(first(filter, options)) || null,
+    countDocuments: async (filter = {}) => find(filter).length,
+    distinct: async (path, filter = {}) => {
+      const values = find(filter).flatMap((doc) => [].concat(getPath(doc, path) ?? []));
+      return values.filter((value, i) => values.findIndex((other) => equal(other, value)) === i);
+    },
+    updateOne: async (filter, update, options = {}) => {
+      const doc = first(filter);
+      if (doc) applyUpdate(doc, update);
+      else if (options.upsert) insert(applyUpdate(clone(Object.fromEntries(Object.entries(filter).filter(([key]) => !key.startsWith('$')))), update, { inserting: true }));
+      return { acknowledged: true, matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0, upsertedCount: !doc && options.upsert ? 1 : 0 };
+    },
+    updateMany: async (filter, update) => {
+      const matched = find(filter);
+      matched.forEach((doc) => applyUpdate(doc, update));
+      return { acknowledged: true, matchedCount: matched.length, modifiedCount: matched.length };
+    },
+    findOneAndUpdate: async (filter, update, options = {}) => {
+      let doc = first(filter, options);
+      const before = clone(doc) || null;
+      if (doc) applyUpdate(doc, update);
+      else if (options.upsert) {
+        const id = insert(applyUpdate({}, update, { inserting: true }));
+        doc = docs.find((item) => equal(item._id, id));
+      }
+      const value = options.returnDocument === 'after' ? clone(doc) || null : before;
+      return options.includeResultMetadata === false ? value : { ok: 1, value };
+    },
+    findOneAndDelete: async (filter, options = {}) => {
+      const doc = first(filter, options);
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      const value = clone(doc) || null;
+      return options.includeResultMetadata === false ? value : { ok: 1, value };
+    },
+    deleteOne: async (filter) => {
+      const doc = first(filter);
+      if (doc) docs.splice(docs.indexOf(doc), 1);
+      return { acknowledged: true, deletedCount: doc ? 1 : 0 };
+    },
+    deleteMany: async (filter = {}) => {
+      const matched = find(filter);
+      matched.forEach((doc) => docs.splice(docs.indexOf(doc), 1));
+      return { acknowledged: true, deletedCount: matched.length };
+    },
+  });
+  return docs;
+}
+
+module.exports = { useMemoryCollection, matches };
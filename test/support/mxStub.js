@@ -0,0 +1,20 @@
+const local = require('../../services/emailProviders/local');
+
+// Reserved names that never receive mail (RFC 2606 / 6761)
+const RESERVED_TLDS = ['test', 'example', 'invalid', 'localhost'];
+
+/**
+ * An MX resolver for tests, which have no network access: reserved domains (and example.com)
+ * have no mail server, every other domain gets a synthetic MX record. Used by every test file
+ * through EMAIL_MX_RESOLVER=stub.
+ */
+local.resolvers.stub = async (domain) => {
+  const tld = domain.split('.').pop();
+  if (RESERVED_TLDS.includes(tld) || domain === 'example.com') {
+    const err = new Error(`queryMx ENOTFOUND ${domain}`);
+    err.code = 'ENOTFOUND';
+    throw err;
+  }
+  return [{ exchange: `mx.${domain}`, priority: 10 }];
+};
+process.env.EMAIL_MX_RESOLVER = 'stub';
@@ -0,0 +1,84 @@
+require('./support/env');
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Admin = require('../models/Admin');
+const AuditLog = require('../models/AuditLog');
+const Attachment = require('../models/Attachment');
+const Webhook = require('../models/Webhook');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const { trashSubmission, trashFormSubmissions, restoreSubmission, purgeTrash } = require('../services/trash');
+
+const submissions = useMemoryCollection(User);
+const entries = useMemoryCollection(AuditLog);
+useMemoryCollection(Attachment);
+useMemoryCollection(Webhook);
+useMemoryCollection(Admin);
+
+const form = { _id: new mongoose.Types.ObjectId(), title: 'Signup', slug: 'signup' };
+const otherForm = { _id: new mongoose.Types.ObjectId(), title: 'Survey', slug: 'survey' };
+const admin = { _id: new mongoose.Types.ObjectId(), username: 'asha', role: 'editor' };
+const req = { admin, ip: '127.0.0.1', method: 'POST', originalUrl: '/forms/signup/users/delete' };
+const DAY = 24 * 60 * 60 * 1000;
+
+const submit = (name, values = {}) => User.create({ form: form._id, name, email: `${name.toLowerCase()}@example.com`, ...values });
+const stored = (user) => submissions.find((doc) => doc._id.equals(user._id));
+
+beforeEach(() => {
+  submissions.length = 0;
+  entries.length = 0;
+});
+
+test('a trashed submission keeps its data, records who deleted it, and can only be trashed once', async () => {
+  const user = await submit('Asha');
+  const trashed = await trashSubmission(req, user._id);
+  assert.ok(trashed.deletedAt instanceof Date);
+  assert.ok(trashed.deletedBy.equals(admin._id));
+  assert.equal(stored(user).name, 'Asha');
+  assert.equal(await User.countDocuments({ form: form._id, deletedAt: null }), 0);
+
+  assert.equal(await trashSubmission(req, user._id), null);
+  assert.deepEqual(entries.map((entry) => [entry.action, entry.actor.username, String(entry.submission)]), [['delete', 'asha', String(user._id)]]);
+});
+
+test('restoring brings a submission back from the trash, and only from there', async () => {
+  const user = await submit('Asha');
+  assert.equal(await restoreSubmission(req, user._id), null, 'a live submission is not in the trash');
+
+  await trashSubmission(req, user._id);
+  const restored = await restoreSubmission(req, user._id);
+  assert.equal(restored.deletedAt, null);
+  assert.equal(stored(user).deletedAt, null);
+  assert.equal(stored(user).deletedBy, undefined);
+  assert.equal(await User.countDocuments({ form: form._id, deletedAt: null }), 1);
+  assert.deepEqual(entries.map((entry) => entry.action), ['delete', 'restore']);
+});
+
+test('deleting all submissions of a form trashes only that form\'s live ones', async () => {
+  await submit('Asha');
+  await submit('Ravi');
+  await User.create({ form: otherForm._id, name: 'Meera', email: 'meera@example.com' });
+
+  assert.equal(await trashFormSubmissions(req, form), 2);
+  assert.deepEqual(submissions.filter((doc) => doc.deletedAt).map((doc) => doc.name).sort(), ['Asha', 'Ravi']);
+  assert.equal(await trashFormSubmissions(req, form), 0);
+  assert.equal(entries.length, 2);
+  assert.equal(entries[0].batch, entries[1].batch);
+});
+
+test('purging removes only trashed submissions past the retention period', async () => {
+  const longAgo = new Date(Date.now() - 31 * DAY);
+  await submit('Expired', { deletedAt: longAgo });
+  await submit('Recent', { deletedAt: new Date(Date.now() - DAY) });
+  await submit('Live');
+  await User.create({ form: otherForm._id, name: 'Elsewhere', email: 'elsewhere@example.com', deletedAt: longAgo });
+
+  assert.equal(await purgeTrash(req, { form, olderThanDays: 30 }), 1);
+  assert.deepEqual(submissions.map((doc) => doc.name).sort(), ['Elsewhere', 'Live', 'Recent']);
+  assert.deepEqual(entries.map((entry) => entry.action), ['purge']);
+
+  // Emptying the trash of every form
+  assert.equal(await purgeTrash(req, { olderThanDays: 0 }), 2);
+  assert.deepEqual(submissions.map((doc) => doc.name), ['Live']);
+});
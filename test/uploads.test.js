@@ -0,0 +1,90 @@
+require('./support/env');
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const express = require('express');
+const { acceptUploads } = require('../middleware/uploads');
+
+const TOKEN = 'a'.repeat(64);
+const withFile = { fields: [{ name: 'name', type: 'text' }, { name: 'resume', type: 'file' }] };
+const withoutFile = { fields: [{ name: 'name', type: 'text' }] };
+
+// The upload middleware behind a stand-in session and form loader, echoing what reached the route
+const app = express();
+let reached = 0;
+app.post('/api/v1/users', (req, res, next) => {
+  req.session = { csrfToken: TOKEN };
+  req.form = req.query.form === 'plain' ? withoutFile : withFile;
+  next();
+}, acceptUploads, (req, res) => {
+  reached++;
+  res.json({ body: req.body, files: (req.files || []).map((file) => [file.fieldname, file.size]), uploadError: req.uploadError || null });
+});
+
+let server;
+let url;
+before(async () => {
+  server = await new Promise((resolve) => {
+    const listening = app.listen(0, '127.0.0.1', () => resolve(listening));
+  });
+  url = `http://127.0.0.1:${server.address().port}/api/v1/users`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+const file = (size = 5) => new Blob([Buffer.alloc(size, 'x')], { type: 'application/pdf' });
+
+function post(parts, { query = '', headers = {} } = {}) {
+  const body = new FormData();
+  parts.forEach(([name, value]) => (value instanceof Blob ? body.append(name, value, 'resume.pdf') : body.append(name, value)));
+  return fetch(`${url}${query}`, { method: 'POST', body, headers });
+}
+
+test('the files of a post whose token comes first are read into req.files', async () => {
+  const response = await post([['_csrf', TOKEN], ['name', 'Asha'], ['resume', file()]]);
+  assert.equal(response.status, 200);
+  const { body, files, uploadError } = await response.json();
+  assert.equal(body.name, 'Asha');
+  assert.deepEqual(files, [['resume', 5]]);
+  assert.equal(uploadError, null);
+});
+
+test('a file ahead of the token, or without one, is refused before the route', async () => {
+  const before = reached;
+  for (const parts of [[['resume', file()], ['_csrf', TOKEN]], [['name', 'Asha'], ['resume', file()]], [['_csrf', 'b'.repeat(64)], ['resume', file()]]]) {
+    const response = await post(parts);
+    assert.equal(response.status, 403);
+    assert.equal((await response.json()).error.code, 'invalid_csrf_token');
+  }
+  assert.equal(reached, before);
+});
+
+test('the token can come as a header instead', async () => {
+  const response = await post([['resume', file()]], { headers: { 'X-CSRF-Token': TOKEN } });
+  assert.equal(response.status, 200);
+  assert.deepEqual((await response.json()).files, [['resume', 5]]);
+});
+
+test('a file under a name the form has no file field for is reported, not stored', async () => {
+  const response = await post([['_csrf', TOKEN], ['name', 'Asha'], ['photo', file()]]);
+  const { files, uploadError } = await response.json();
+  assert.deepEqual(files, []);
+  assert.deepEqual(uploadError, { field: null, message: 'Unexpected file: this form takes one file per file field' });
+});
+
+test('forms without file fields take no multipart body', async () => {
+  const before = reached;
+  let response = await post([['_csrf', TOKEN], ['name', 'Asha']], { query: '?form=plain' });
+  assert.equal(response.status, 403);
+  response = await post([['name', 'Asha']], { query: '?form=plain', headers: { Authorization: 'Bearer key' } });
+  assert.equal(response.status, 415);
+  assert.equal((await response.json()).error.code, 'unsupported_media_type');
+  assert.equal(reached, before);
+});
+
+test('API key calls skip the token and other bodies pass through untouched', async () => {
+  let response = await post([['resume', file()]], { headers: { Authorization: 'Bearer key' } });
+  assert.deepEqual((await response.json()).files, [['resume', 5]]);
+  response = await fetch(url, { method: 'POST', body: JSON.stringify({ name: 'Asha' }), headers: { 'Content-Type': 'application/json' } });
+  assert.equal(response.status, 200);
+  assert.equal((await response.json()).body, undefined);
+});
@@ -0,0 +1,190 @@
+process.env.WEBHOOK_MAX_ATTEMPTS = '3';
+const { waitFor } = require('./support/env');
+const { test, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const http = require('http');
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Webhook = require('../models/Webhook');
+const WebhookDelivery = require('../models/WebhookDelivery');
+const { useMemoryCollection } = require('./support/memoryCollection');
+const {
+  MAX_ATTEMPTS,
+  signatureHeaders,
+  submissionPayload,
+  emitSubmissionEvent,
+  processDueDeliveries,
+  secureStoredDeliveries,
+} = require('../services/webhooks');
+
+const deliveries = useMemoryCollection(WebhookDelivery);
+const webhooks = useMemoryCollection(Webhook);
+const users = useMemoryCollection(User);
+
+// A local receiver answering with the queued statuses (then 200) and recording what it got
+const received = [];
+const statuses = [];
+const receiver = http.createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => (body += chunk));
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statuses.shift() || 200, { 'Content-Type': 'text/plain' });
+    res.end('ok');
+  });
+});
+
+let webhook;
+const form = { _id: new mongoose.Types.ObjectId(), slug: 'signup', title: 'Signup' };
+const submission = () => ({ _id: new mongoose.Types.ObjectId(), form: form._id, name: 'Asha Rao', country: 'India' });
+
+before(async () => {
+  await new Promise((resolve) => receiver.listen(0, '127.0.0.1', resolve));
+  webhook = await Webhook.create({ url: `http://127.0.0.1:${receiver.address().port}/hook`, events: ['submission.created'] });
+});
+
+after(() => new Promise((resolve) => receiver.close(resolve)));
+
+beforeEach(() => {
+  deliveries.length = 0;
+  received.length = 0;
+  statuses.length = 0;
+  process.env.ENCRYPTED_FIELDS = 'email,contact,dob';
+});
+
+// Make a pending delivery due now, as if its backoff had passed
+const makeDue = (id) => WebhookDelivery.collection.updateOne({ _id: id }, { $set: { nextAttemptAt: new Date(Date.now() - 1000) } });
+
+test('signatureHeaders is an HMAC-SHA256 of the timestamp and the raw body', () => {
+  const headers = signatureHeaders('secret', '{"a":1}', 1700000000);
+  const expected = crypto.createHmac('sha256', 'secret').update('1700000000.{"a":1}').digest('hex');
+  assert.equal(headers['X-Webhook-Timestamp'], '1700000000');
+  assert.equal(headers['X-Webhook-Signature'], `sha256=${expected}`);
+});
+
+test('deliveries reach the receiver signed with the webhook secret', async () => {
+  await emitSubmissionEvent('submission.created', submission(), form);
+  const delivery = await waitFor(() => WebhookDelivery.findOne({ status: 'succeeded' }));
+  assert.equal(received.length, 1);
+
+  const { headers, body } = received[0];
+  const signature = crypto.createHmac('sha256', webhook.secret).update(`${headers['x-webhook-timestamp']}.${body}`).digest('hex');
+  assert.equal(headers['x-webhook-signature'], `sha256=${signature}`);
+  assert.equal(headers['x-webhook-event'], 'submission.created');
+  assert.equal(headers['x-webhook-delivery'], String(delivery._id));
+
+  const payload = JSON.parse(body);
+  assert.equal(payload.id, String(delivery._id));
+  assert.equal(payload.event, 'submission.created');
+  assert.equal(payload.form.slug, 'signup');
+  assert.equal(payload.submission.name, 'Asha Rao');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.responseStatus, 200);
+});
+
+test('a failed delivery is retried with backoff until the receiver accepts it', async () => {
+  statuses.push(500, 503);
+  const { _id } = await WebhookDelivery.create({ webhook: webhook._id, event: 'submission.created', payload: { event: 'submission.created' } });
+
+  await processDueDeliveries();
+  let delivery = await WebhookDelivery.findById(_id);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.attempts, 1);
+  assert.equal(delivery.error, 'HTTP 500');
+  const wait = delivery.nextAttemptAt - delivery.lastAttemptAt;
+  assert.ok(wait >= 29 * 1000 && wait <= 31 * 1000, `first retry after ~30s, got ${wait}ms`);
+
+  // Not due yet: nothing is sent
+  assert.equal(await processDueDeliveries(), 0);
+  assert.equal(received.length, 1);
+
+  await makeDue(_id);
+  await processDueDeliveries();
+  delivery = await WebhookDelivery.findById(_id);
+  assert.equal(delivery.attempts, 2);
+  assert.equal(delivery.error, 'HTTP 503');
+  const secondWait = delivery.nextAttemptAt - delivery.lastAttemptAt;
+  assert.ok(secondWait >= 59 * 1000 && secondWait <= 61 * 1000, `second retry after ~60s, got ${secondWait}ms`);
+
+  await makeDue(_id);
+  await processDueDeliveries();
+  delivery = await WebhookDelivery.findById(_id);
+  assert.equal(delivery.status, 'succeeded');
+  assert.equal(delivery.attempts, 3);
+  assert.equal(delivery.error, null);
+  assert.equal(received.length, 3);
+});
+
+test('a delivery gives up after MAX_ATTEMPTS failures', async () => {
+  assert.equal(MAX_ATTEMPTS, 3);
+  statuses.push(500, 500, 500);
+  const { _id } = await WebhookDelivery.create({ webhook: webhook._id, event: 'submission.created', payload: { event: 'submission.created' } });
+  for (let i = 0; i < MAX_ATTEMPTS; i++) {
+    await makeDue(_id);
+    await processDueDeliveries();
+  }
+  const delivery = await WebhookDelivery.findById(_id);
+  assert.equal(delivery.status, 'failed');
+  assert.equal(delivery.attempts, 3);
+
+  await makeDue(_id);
+  assert.equal(await processDueDeliveries(), 0);
+  assert.equal(received.length, 3);
+});
+
+test('a receiver that cannot be reached counts as a failed attempt', async () => {
+  const closed = http.createServer();
+  await new Promise((resolve) => closed.listen(0, '127.0.0.1', resolve));
+  const { port } = closed.address();
+  await new Promise((resolve) => closed.close(resolve));
+  const unreachable = await Webhook.create({ url: `http://127.0.0.1:${port}/hook`, events: ['submission.created'] });
+
+  const { _id } = await WebhookDelivery.create({ webhook: unreachable._id, event: 'submission.created', payload: {} });
+  await processDueDeliveries();
+  const delivery = await WebhookDelivery.findById(_id);
+  assert.equal(delivery.status, 'pending');
+  assert.equal(delivery.responseStatus, null);
+  assert.match(delivery.error, /ECONNREFUSED/);
+  webhooks.splice(webhooks.findIndex((item) => item._id.equals(unreachable._id)), 1);
+});
+
+test('payloads of lean submissions carry the decrypted values, never the ciphertext or hashes', async () => {
+  await User.create({ form: form._id, name: 'Asha Rao', email: 'asha@example.com', contact: '+919876543210', dob: new Date('1990-05-21') });
+  const raw = users[0];
+  assert.equal(raw.email, undefined);
+
+  for (const lean of [raw, await User.findOne({}).lean()]) {
+    const { submission: sent } = submissionPayload('submission.deleted', lean, form);
+    assert.equal(sent.email, 'asha@example.com');
+    assert.equal(sent.contact, '+919876543210');
+    assert.equal(new Date(sent.dob).toISOString(), '1990-05-21T00:00:00.000Z');
+    assert.equal(sent.encrypted, undefined);
+    assert.equal(sent.hashes, undefined);
+  }
+});
+
+test('queued payloads are stored sealed and finished deliveries are set to expire', async () => {
+  await emitSubmissionEvent('submission.created', { ...submission(), email: 'asha@example.com' }, form);
+  await waitFor(() => WebhookDelivery.findOne({ status: 'succeeded' }));
+  assert.match(deliveries[0].payload, /^enc1:/);
+  assert.ok(!JSON.stringify(deliveries[0]).includes('asha@example.com'));
+  assert.equal(JSON.parse(received[0].body).submission.email, 'asha@example.com');
+
+  const days = (deliveries[0].expiresAt - Date.now()) / (24 * 60 * 60 * 1000);
+  assert.ok(days > 29.9 && days <= 30, `expires in 30 days, got ${days}`);
+});
+
+test('deliveries stored before payloads were sealed are sealed and set to expire on start', async () => {
+  const payload = { event: 'submission.created', submission: { email: 'asha@example.com' } };
+  await WebhookDelivery.collection.insertMany([
+    { webhook: webhook._id, event: 'submission.created', payload, status: 'succeeded', attempts: 1 },
+    { webhook: webhook._id, event: 'submission.created', payload, status: 'pending', attempts: 0 },
+  ]);
+  await secureStoredDeliveries();
+  assert.ok(deliveries.every((delivery) => typeof delivery.payload === 'string' && delivery.payload.startsWith('enc1:')));
+  assert.ok(deliveries[0].expiresAt instanceof Date);
+  assert.equal(deliveries[1].expiresAt, undefined);
+  const [stored] = await WebhookDelivery.find({ status: 'succeeded' });
+  assert.deepEqual(stored.payload, payload);
+});